@@ -7,24 +7,48 @@ const express = require('express')
 // Initialize Express app
 const app = express()
 
+// Trust the number of reverse proxy hops in front of the app so that req.ip is the client IP
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || false)
+
 // Middleware to parse incoming JSON requests
 app.use(express.json())
 
 // Connect to mongoDB
 const { connectToMongoDB} = require('./src/db');
-connectToMongoDB();
+const bootstrapSuperAdmin = require('./src/utils/bootstrapSuperAdmin');
+const { seedAdminRoles } = require('./src/utils/adminRoles');
+const { seedTariffs } = require('./src/utils/fareEngine');
+const { startJobs } = require('./src/jobs');
+connectToMongoDB()
+    .then(() => seedAdminRoles())
+    .then(() => seedTariffs())
+    .then(() => bootstrapSuperAdmin({
+        // Create the first super-admin from environment variable if none exists
+        username: process.env.SUPER_ADMIN_USERNAME,
+        email: process.env.SUPER_ADMIN_EMAIL,
+        password: process.env.SUPER_ADMIN_PASSWORD
+    }))
+    .then(() => startJobs()) // Background jobs, e.g. scheduled booking reminders
+    .catch((err) => console.error("Startup Error:", err));
 
 // Import routes modules
 const usersRoutes = require('./src/routes/users');
 const driversRoutes = require('./src/routes/drivers');
 const ridesRoutes = require('./src/routes/rides');
 const adminsRoutes = require('./src/routes/admins');
+const authRoutes = require('./src/routes/auth');
 
 // Register application routes
 app.use('/users', usersRoutes);
 app.use('/drivers', driversRoutes);
 app.use('/rides', ridesRoutes);
 app.use('/admins', adminsRoutes);
+app.use('/auth', authRoutes);
+
+// Central error handling, after all routes
+const { notFoundHandler, errorHandler } = require('./src/middlewares/errorHandler');
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Server port (use environment variable)
 const port = process.env.PORT;
@@ -0,0 +1,127 @@
+/**
+ * generateApiDocs.js
+ * Generate docs/api.md from the request schemas attached to the routes.
+ * Usage: npm run docs:api
+ */
+
+// Import modules for file
+const fs = require('fs');
+const path = require('path');
+
+// Routers and their mount path (same as index.js)
+const mounts = [
+    { prefix: '/users', router: require('../src/routes/users') },
+    { prefix: '/drivers', router: require('../src/routes/drivers') },
+    { prefix: '/rides', router: require('../src/routes/rides') },
+    { prefix: '/admins', router: require('../src/routes/admins') },
+    { prefix: '/auth', router: require('../src/routes/auth') }
+];
+
+// Output file
+const output = path.join(__dirname, '..', 'docs', 'api.md');
+
+/**
+ * Describe the rule of a field in one line
+ */
+function describeRule(rule) {
+    const parts = [];
+    if (rule.format) parts.push(`format: ${rule.format}`);
+    if (rule.enum) parts.push(`one of: ${rule.enum.map(value => `\`${value}\``).join(', ')}`);
+    if (rule.minLength !== undefined) parts.push(`min length: ${rule.minLength}`);
+    if (rule.maxLength !== undefined) parts.push(`max length: ${rule.maxLength}`);
+    if (rule.min !== undefined) parts.push(`min: ${rule.min}`);
+    if (rule.max !== undefined) parts.push(`max: ${rule.max}`);
+    if (rule.pattern) parts.push(`pattern: \`${rule.pattern}\``);
+    if (Array.isArray(rule.items)) {
+        parts.push(`items: [${rule.items.map(item => `${item.description || item.type} ${item.min}..${item.max}`).join(', ')}]`);
+    } else if (rule.items) {
+        parts.push(`items: ${rule.items.type}${rule.items.enum ? ` (${rule.items.enum.map(value => `\`${value}\``).join(', ')})` : ''}`);
+    }
+    return [rule.description, parts.join('; ')].filter(Boolean).join(' — ');
+}
+
+/**
+ * Render the table of fields of a request location
+ */
+function renderFields(title, fields) {
+    const names = Object.keys(fields);
+    if (names.length === 0) return [`${title}: none`, ''];
+
+    const lines = [`${title}:`, '', '| Field | Type | Required | Rules |', '| --- | --- | --- | --- |'];
+    for (const name of names) {
+        const rule = fields[name];
+        lines.push(`| \`${name}\` | ${rule.type} | ${rule.required ? 'yes' : 'no'} | ${describeRule(rule)} |`);
+        if (rule.type === 'object' && rule.properties) {
+            for (const [child, childRule] of Object.entries(rule.properties)) {
+                lines.push(`| \`${name}.${child}\` | ${childRule.type} | ${childRule.required ? 'yes' : 'no'} | ${describeRule(childRule)} |`);
+            }
+        }
+    }
+    lines.push('');
+    return lines;
+}
+
+/**
+ * Collect the routes and their schema from an express router
+ */
+function collectRoutes(prefix, router) {
+    const routes = [];
+    for (const layer of router.stack) {
+        if (!layer.route) continue;
+
+        const handlers = layer.route.stack.map(item => item.handle);
+        const validator = handlers.find(handle => handle.schema);
+        for (const method of Object.keys(layer.route.methods)) {
+            routes.push({
+                method: method.toUpperCase(),
+                path: `${prefix}${layer.route.path === '/' ? '' : layer.route.path}`,
+                schema: validator ? validator.schema : null
+            });
+        }
+    }
+    return routes;
+}
+
+function main() {
+    const lines = [
+        '# API Reference',
+        '',
+        '> Generated by `npm run docs:api` from the request schemas in `src/schemas`. Do not edit by hand.',
+        '',
+        'Requests that fail validation return `400` (`INVALID_ID` for malformed path parameters):',
+        '',
+        '```json',
+        '{ "error": "Validation failed", "code": "VALIDATION_ERROR", "details": { "fields": [{ "field": "body.email", "message": "must be a valid email" }] } }',
+        '```',
+        '',
+        'Unknown fields are rejected with the message `is not allowed`. See [error codes](error-codes.md) for all error responses.',
+        ''
+    ];
+
+    const missing = [];
+    for (const { prefix, router } of mounts) {
+        lines.push(`## ${prefix}`, '');
+        for (const route of collectRoutes(prefix, router)) {
+            lines.push(`### ${route.method} ${route.path}`, '');
+            if (!route.schema) {
+                missing.push(`${route.method} ${route.path}`);
+                lines.push('No request schema.', '');
+                continue;
+            }
+            if (route.schema.summary) lines.push(route.schema.summary, '');
+            for (const [location, title] of [['params', 'Path parameters'], ['query', 'Query'], ['body', 'Body']]) {
+                if (route.schema[location]) lines.push(...renderFields(title, route.schema[location]));
+            }
+        }
+    }
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, lines.join('\n'));
+    console.log(`API docs written to ${path.relative(process.cwd(), output)}`);
+
+    if (missing.length > 0) {
+        console.warn(`Routes without request schema:\n  ${missing.join('\n  ')}`);
+    }
+}
+
+main();
@@ -0,0 +1,40 @@
+/**
+ * seedSuperAdmin.js
+ * CLI to create the first super-admin.
+ * Usage: npm run seed:super-admin -- <username> <email> <password>
+ * Falls back to SUPER_ADMIN_USERNAME, SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD.
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+// Import modules for database and function
+const { connectToMongoDB, getClient } = require('../src/db');
+const bootstrapSuperAdmin = require('../src/utils/bootstrapSuperAdmin');
+const { seedAdminRoles } = require('../src/utils/adminRoles');
+
+async function main() {
+    const [username, email, password] = process.argv.slice(2);
+
+    await connectToMongoDB();
+    await seedAdminRoles();
+
+    const id = await bootstrapSuperAdmin({
+        username: username || process.env.SUPER_ADMIN_USERNAME,
+        email: email || process.env.SUPER_ADMIN_EMAIL,
+        password: password || process.env.SUPER_ADMIN_PASSWORD
+    });
+
+    if (id) {
+        console.log(`Super-admin ready (${id})`);
+    } else {
+        console.log('Super-admin already exists or missing username, email and password. Nothing to do.');
+    }
+
+    await getClient().close();
+}
+
+main().catch((err) => {
+    console.error("Seed Super-admin Error:", err);
+    process.exit(1);
+});
@@ -8,420 +8,476 @@
 const { ObjectId } = require('mongodb');
 const { getDB } = require('../db');
 
-// Import modules for password hashing and authentication
+// Import modules for password hashing and invitation token
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const saltRounds = 10;
 
 // Import module for constants
-const { ACCOUNT_STATUS, ROLES, RIDE_STATUS } = require('../utils/constants');
+const { ACCOUNT_STATUS, ADMIN_ROLES, ERROR_CODES, MESSAGE_CHANNEL, PERMISSIONS, ROLES, RIDE_STATUS } = require('../utils/constants');
+
+// Import module for error types
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors');
 
 // Import modules for function
 const checkStatus = require('../utils/checkStatus');
+const { DUMMY_PASSWORD_HASH, checkLoginThrottle, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+const { isTwoFactorEnabled, isTwoFactorMandatory, signChallengeToken } = require('../utils/twoFactor');
+const { createSession, revokeAllSessions } = require('../utils/sessions');
+const { sendMessage } = require('../utils/messageSender');
+const { adminRoleExists, hasPermission } = require('../utils/adminRoles');
+const { recordAudit } = require('../utils/auditLog');
+const { DEFAULT_ROUNDING, getActiveTariff } = require('../utils/fareEngine');
+const { cancelRideCascade } = require('../utils/rideCancellation');
+const { canTransition, transition } = require('../utils/rideStateMachine');
+const { waitingCharge } = require('../utils/waitingTime');
 const rideDetail = require('../utils/rideDetail');
 
+// Admin invitation lifetime in hours (use environment variable)
+const inviteHours = Number(process.env.ADMIN_INVITE_EXPIRES_IN_HOURS) || 48;
 
 /**
- * Internal admin registration
+ * Hash an invitation token, only the hash is stored in database
  */
-async function adminRegistration(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "admins";
-
-        // Destructure input from request body
-        const { username, email, password } = req.body;
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
-        // Validate required fields
-        if (!username || !email || !password ) {
-            return res.status(400).json({ error: "Missing information." });
-        }
 
-        // Check whether the email already exists in the database
-        const existingAcc = await db.collection(collection).findOne({ email: email });
-        if (existingAcc) {
-            return res.status(409).json({ error: "Account already registered." });
-        }
+/**
+ * Admin registration by invitation.
+ * The invitation token is single use and the email comes from the invitation.
+ */
+async function adminRegistration(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collections
+    const collection = "admins";
+    const invitationsCollection = "adminInvitations";
+
+    // Destructure input from request body
+    const { inviteToken, username, password } = req.body;
+
+    // Find the usable invitation
+    const invitation = await db.collection(invitationsCollection).findOne({
+        tokenHash: hashToken(inviteToken),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    if (!invitation) {
+        throw new BadRequestError("Invalid or expired invitation.", ERROR_CODES.INVALID_INVITATION);
+    }
 
-        // Hash the password before storing it to prevent plaintext password leaks
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-        
-        // Prepare new driver object to insert into database
-        const newAccount = {
-            role : ROLES.ADMIN,
-            username,
-            email,
-            password: hashedPassword,
-            createdAt: new Date(),
-            status : ACCOUNT_STATUS.ACTIVE
-        };
-
-        // Insert new admin document into MongoDB
-        const result = await db.collection(collection).insertOne(newAccount);
-
-        // Return success response with minimal admin info (without password)
-        return res.status(201).json({
-            message: `Admin registered successfully`,
-            id: result.insertedId,
-            username,
-            email
-        });
+    // Check whether the email already exists in the database
+    const existingAcc = await db.collection(collection).findOne({ email: invitation.email });
+    if (existingAcc) {
+        throw new ConflictError("Account already registered.", ERROR_CODES.ACCOUNT_ALREADY_EXISTS);
+    }
 
-    } catch (err) {
-        console.error("Register Error:", err);
-        res.status(500).json({ error: "Registration failed." });
+    // Mark the invitation as accepted, the filter prevents double use
+    const accepted = await db.collection(invitationsCollection).updateOne(
+        { _id: invitation._id, acceptedAt: null },
+        { $set: { acceptedAt: new Date() } }
+    );
+    if (accepted.modifiedCount === 0) {
+        throw new BadRequestError("Invalid or expired invitation.", ERROR_CODES.INVALID_INVITATION);
     }
+
+    // Hash the password before storing it to prevent plaintext password leaks
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Prepare new admin object to insert into database
+    const newAccount = {
+        role : ROLES.ADMIN,
+        adminRole : invitation.adminRole,
+        username,
+        email: invitation.email,
+        password: hashedPassword,
+        invitedBy: invitation.invitedBy,
+        createdAt: new Date(),
+        status : ACCOUNT_STATUS.ACTIVE
+    };
+
+    // Insert new admin document into MongoDB
+    const result = await db.collection(collection).insertOne(newAccount);
+
+    // Return success response with minimal admin info (without password)
+    return res.status(201).json({
+        message: `Admin registered successfully`,
+        id: result.insertedId,
+        username,
+        email: newAccount.email,
+        adminRole: newAccount.adminRole
+    });
 };
 
 /**
- * Authenticates admin credentials and returns a JWT token.
+ * Authenticates admin credentials and returns a JWT token and refresh token.
  */
 async function adminLogin(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "admins";
-
-        // Destructure input from request body
-        const { email, password } = req.body;
-        
-        // Validate required fields
-        if (!email || !password) {
-            return res.status(400).json({ error: "Email and password are required." });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Check whether the email exists in the database
-        const existingAcc = await db.collection(collection).findOne({ email: email });
-        if (!existingAcc) {
-            return res.status(404).json({ error: "Admin not registered." });
-        }
+    // Define collection
+    const collection = "admins";
 
-        // Check account status
-        if (!checkStatus(existingAcc, ACCOUNT_STATUS.ACTIVE)) {
-            return res.status(403).json({ error: "Account not active" });
-        }
+    // Destructure input from request body
+    const { email, password } = req.body;
 
-        // Compare the hashing password
-        const isMatch = await bcrypt.compare(password, existingAcc.password);
-        if (!isMatch) {
-            return res.status(401).json({ error: "Invalid credentials." });
-        }
+    // Check whether the account or client is temporarily locked
+    const attempt = { role: ROLES.ADMIN, email, ip: req.ip };
+    const throttle = await checkLoginThrottle(attempt);
+    if (throttle.locked) {
+        throw new TooManyRequestsError("Too many failed login attempts. Try again later.", ERROR_CODES.LOGIN_LOCKED, throttle.retryAfter);
+    }
+
+    // Find the account, compare against a dummy hash when the email is not registered
+    // so that neither the response nor its timing reveals whether the email exists
+    const existingAcc = await db.collection(collection).findOne({ email: email });
+    const isMatch = await bcrypt.compare(password, existingAcc ? existingAcc.password : DUMMY_PASSWORD_HASH);
+    if (!existingAcc || !isMatch) {
+        await recordLoginFailure(attempt);
+        throw new UnauthorizedError("Invalid credentials.", ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    // Reset failed login of the account
+    await clearLoginFailures(attempt);
 
-        // Generate token to authenticate and authorize process
-        const token = jwt.sign(
-            {
-                id: existingAcc._id.toString(),
-                role: existingAcc.role
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-        );
+    // Check account status
+    if (!checkStatus(existingAcc, ACCOUNT_STATUS.ACTIVE)) {
+        throw new ForbiddenError("Account not active", ERROR_CODES.ACCOUNT_NOT_ACTIVE);
+    }
 
+    // Two-step login when two-factor authentication is enabled
+    if (isTwoFactorEnabled(existingAcc)) {
         return res.status(200).json({
-            message: "Login successful",
-            token,
-            admin: {
-                id: existingAcc._id,
-                username: existingAcc.username,
-                email: existingAcc.email
-            }
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken: signChallengeToken(existingAcc)
         });
-
-    } catch (err) {
-        console.error("Login Error:", err);
-        return res.status(500).json({ error: "Failed to login." });
     }
+
+    // Create a login session with access token and refresh token
+    const { token, refreshToken } = await createSession(existingAcc, req);
+
+    return res.status(200).json({
+        message: "Login successful",
+        token,
+        refreshToken,
+        twoFactorSetupRequired: isTwoFactorMandatory(ROLES.ADMIN), // Admin must enroll before using admin routes
+        admin: {
+            id: existingAcc._id,
+            username: existingAcc.username,
+            email: existingAcc.email
+        }
+    });
 };
 
 /**
  * Retrieve all users
  */
 async function getUser(req, res) {
-    try {
-        // Access to mongoDB 
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-
-        // Retrieve all user in database
-        const users = await db.collection(collection).find(
-            {}, 
-            { projection: { _id: 1, username: 1, phone: 1, email: 1, status: 1 } }
-        ).toArray();
-
-        return res.status(200).json({
-            message: "Users retrieved successfully",
-            users
-        });
-
-    } catch (err) {
-        console.error("Get Users Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve users" });
-    }
+    // Access to mongoDB 
+    const db = getDB();
+
+    // Define collection
+    const collection = "users";
+
+    // Retrieve all user in database
+    const users = await db.collection(collection).find(
+        {}, 
+        { projection: { _id: 1, username: 1, phone: 1, email: 1, status: 1 } }
+    ).toArray();
+
+    return res.status(200).json({
+        message: "Users retrieved successfully",
+        users
+    });
 };
 
 /**
  * Retrieve a single user by ID
  */
 async function getUserById(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-
-        // Define user id
-        const userId = req.params.id;
-
-        // Retrieve user in database
-        const userDetails = await db.collection(collection).aggregate([
-            { $match: { _id: new ObjectId(userId) } },
-            {
-                // Retrieve user info in bookings collection
-                $lookup: {
-                from: "bookings",
-                localField: "_id",
-                foreignField: "userId",
-                as: "bookings"
-                }
-            },
-            {
-                // Retrieve user info in rides collection
-                $lookup: {
-                from: "rides",
-                localField: "_id",
-                foreignField: "userId",
-                as: "rides"
-                }
-            },
-            {
-                // Retrieve user info in payments collection
-                $lookup: {
-                from: "payments",
-                localField: "_id",
-                foreignField: "userId",
-                as: "payments"
-                }
-            },
-            {
-                // Retrieve user info in ratings collection
-                $lookup: {
-                from: "ratings",
-                localField: "_id",
-                foreignField: "userId",
-                as: "ratings"
-                }
-            },
-            { $project: { password: 0 } } //Ignore password for security
-            ]).toArray();
-
-        // Check whether the user exists in the database
-        if (!userDetails || userDetails.length === 0) {
-            return res.status(404).json({ error: "User not found" });
-        }
-
-        return res.status(200).json({
-            message: "User retrieved successfully",
-            user: userDetails[0]
-        });
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "users";
+
+    // Define user id
+    const userId = req.params.id;
+
+    // Retrieve user in database
+    const userDetails = await db.collection(collection).aggregate([
+        { $match: { _id: new ObjectId(userId) } },
+        {
+            // Retrieve user info in bookings collection
+            $lookup: {
+            from: "bookings",
+            localField: "_id",
+            foreignField: "userId",
+            as: "bookings"
+            }
+        },
+        {
+            // Retrieve user info in rides collection
+            $lookup: {
+            from: "rides",
+            localField: "_id",
+            foreignField: "userId",
+            as: "rides"
+            }
+        },
+        {
+            // Retrieve user info in payments collection
+            $lookup: {
+            from: "payments",
+            localField: "_id",
+            foreignField: "userId",
+            as: "payments"
+            }
+        },
+        {
+            // Retrieve user info in ratings collection
+            $lookup: {
+            from: "ratings",
+            localField: "_id",
+            foreignField: "userId",
+            as: "ratings"
+            }
+        },
+        { $project: { password: 0, twoFactor: 0, "rides.tripPin": 0 } } //Ignore password, two-factor secret and trip PIN for security
+        ]).toArray();
 
-    } catch (err) {
-        console.error("Get User Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve user" });
+    // Check whether the user exists in the database
+    if (!userDetails || userDetails.length === 0) {
+        throw new NotFoundError("User not found", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "User retrieved successfully",
+        user: userDetails[0]
+    });
 };
 
 /**
  * Update user details, including password
  */
 async function updateUser(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-
-        // Define user id
-        const userId = req.params.id;
-
-        // Fix the field that allow to update
-        const allowedFields = [
-            "username",
-            "phone",
-            "preferPay",
-            "bankAccountNumber",
-            "password"
-        ];
-
-        const updateData = {};
-
-        // Filter valid update field from request body
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                if (field === "password") {
-                    updateData.password = await bcrypt.hash(req.body.password, saltRounds);
-                } else {
-                    updateData[field] = req.body[field];
-                }
-            }
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // No update process when the updateData is empty
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "No valid fields provided for update" });
-        }
+    // Define collection
+    const collection = "users";
+
+    // Define user id
+    const userId = req.params.id;
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            { _id: new ObjectId(userId) },
-            { $set: updateData }
-        );
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Changing password requires its own permission
+    if (req.body.password !== undefined && !hasPermission(req.auth, PERMISSIONS.USERS_RESET_PASSWORD)) {
+        throw new ForbiddenError("Forbidden: insufficient permissions", ERROR_CODES.INSUFFICIENT_PERMISSIONS, { missingPermissions: [PERMISSIONS.USERS_RESET_PASSWORD] });
+    }
 
-        // Check whether the user exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "User not found" });
+    // Fix the field that allow to update
+    const allowedFields = [
+        "username",
+        "phone",
+        "preferPay",
+        "bankAccountNumber",
+        "password"
+    ];
+
+    const updateData = {};
+
+    // Filter valid update field from request body
+    for (const field of allowedFields) {
+        if (req.body[field] !== undefined) {
+            if (field === "password") {
+                updateData.password = await bcrypt.hash(req.body.password, saltRounds);
+            } else {
+                updateData[field] = req.body[field];
+            }
         }
+    }
 
-        return res.status(200).json({
-            message: "User updated successfully",
-            updatedFields: Object.keys(updateData).filter(f => f !== "password") // Ignore password for security
-        });
+    // No update process when the updateData is empty
+    if (Object.keys(updateData).length === 0) {
+        throw new BadRequestError("No valid fields provided for update", ERROR_CODES.NO_UPDATE_FIELDS);
+    }
 
-    } catch (err) {
-        console.error("Update User Error:", err);
-        return res.status(500).json({ error: "Failed to update user" });
+    // Update data in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        { $set: updateData },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the user exists in the database
+    if (!before) {
+        throw new NotFoundError("User not found", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    // Logout all devices after password reset by admin
+    if (updateData.password) {
+        await revokeAllSessions(userId, "password_reset_by_admin");
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "user.update",
+        targetType: "user",
+        targetId: userId,
+        before,
+        after: { ...before, ...updateData },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "User updated successfully",
+        updatedFields: Object.keys(updateData).filter(f => f !== "password") // Ignore password for security
+    });
 };
 
 /**
  * Suspend user account without deleting
  */
 async function suspendUser(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-
-        // Define user id
-        const userId = req.params.id;
-
-        // Define update status 
-        const updateData = {
-            status: ACCOUNT_STATUS.SUSPENDED, 
-            suspendedAt: new Date()
-        };
-
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            { 
-                _id: new ObjectId(userId), 
-                status: ACCOUNT_STATUS.ACTIVE 
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the user exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Not found or already inactive" });
-        }
-
-        return res.status(200).json({
-            message: "User suspended successfully",
-            userId,
-            status: ACCOUNT_STATUS.SUSPENDED
-        });
-
-    } catch (err) {
-        console.error("Deactivate User Error:", err);
-        return res.status(500).json({ error: "Failed to suspend user" });
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "users";
+
+    // Define user id
+    const userId = req.params.id;
+
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Define update status 
+    const updateData = {
+        status: ACCOUNT_STATUS.SUSPENDED, 
+        suspendedAt: new Date()
+    };
+
+    // Update status in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { 
+            _id: new ObjectId(userId), 
+            status: ACCOUNT_STATUS.ACTIVE 
+        },
+        { $set: updateData },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the user exists in the database
+    if (!before) {
+        throw new NotFoundError("Not found or already inactive", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "user.suspend",
+        targetType: "user",
+        targetId: userId,
+        before,
+        after: { ...before, ...updateData },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "User suspended successfully",
+        userId,
+        status: ACCOUNT_STATUS.SUSPENDED
+    });
 };
 
 /**
  * Reactivate user account
  */
 async function activateUser(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-
-        // Define user id
-        const userId = req.params.id;
-
-        // Define update status
-        const updateData = {
-            status: ACCOUNT_STATUS.ACTIVE,
-            suspendedAt: null
-        };
-
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            { 
-                _id: new ObjectId(userId), 
-                $or: [
-                    { status: ACCOUNT_STATUS.SUSPENDED },
-                    { status: ACCOUNT_STATUS.INACTIVE }
-                ] // Allow to active suspend or inactive account
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the user exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Not found or already active" });
-        }
-
-        return res.status(200).json({
-            message: "User reactivated successfully",
-            userId,
-            status: ACCOUNT_STATUS.ACTIVE
-        });
-
-    } catch (err) {
-        console.error("Activate User Error:", err);
-        return res.status(500).json({ error: "Failed to reactivate user" });
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "users";
+
+    // Define user id
+    const userId = req.params.id;
+
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Define update status
+    const updateData = {
+        status: ACCOUNT_STATUS.ACTIVE,
+        suspendedAt: null
+    };
+
+    // Update status in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { 
+            _id: new ObjectId(userId), 
+            $or: [
+                { status: ACCOUNT_STATUS.SUSPENDED },
+                { status: ACCOUNT_STATUS.INACTIVE }
+            ] // Allow to active suspend or inactive account
+        },
+        { $set: updateData },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the user exists in the database
+    if (!before) {
+        throw new NotFoundError("Not found or already active", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "user.activate",
+        targetType: "user",
+        targetId: userId,
+        before,
+        after: { ...before, ...updateData },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "User reactivated successfully",
+        userId,
+        status: ACCOUNT_STATUS.ACTIVE
+    });
 };
 
 /**
  * Retrieve all drivers
  */
 async function getDriver(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Retrieve all driver in database
-        const drivers = await db.collection(collection).find(
-            {}, 
-            { projection: { _id: 1, username: 1, phone: 1, email: 1, status: 1 } }
-        ).toArray();
-
-        return res.status(200).json({
-            message: "Drivers retrieved successfully",
-            drivers
-        });
-
-    } catch (err) {
-        console.error("Get Drivers Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve drivers" });
-    }
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "drivers";
+
+    // Retrieve all driver in database
+    const drivers = await db.collection(collection).find(
+        {}, 
+        { projection: { _id: 1, username: 1, phone: 1, email: 1, status: 1 } }
+    ).toArray();
+
+    return res.status(200).json({
+        message: "Drivers retrieved successfully",
+        drivers
+    });
 };
 
 /**
@@ -429,342 +485,1050 @@ async function getDriver(req, res) {
  * Retrieve a single user by ID
  */
 async function getDriverById(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Define driver id
-        const driverId = req.params.id;
-
-        // Retrieve driver in database
-        const driverDetails = await db.collection(collection).aggregate([
-            { $match: { _id: new ObjectId(driverId) } },
-            {
-                // Retrieve driver info in vehicles collection
-                $lookup: {
-                from: "vehicles",
-                localField: "_id",
-                foreignField: "driverId",
-                as: "vehicles"
-                }
-            },
-            {
-                // Retrieve driver info in rides collection
-                $lookup: {
-                from: "rides",
-                localField: "_id",
-                foreignField: "driverId",
-                as: "rides"
-                }
-            },
-            {
-                // Retrieve driver info in payments collection
-                $lookup: {
-                from: "payments",
-                localField: "_id",
-                foreignField: "driverId",
-                as: "payments"
-                }
-            },
-            {
-                // Retrieve driver info in ratings collection
-                $lookup: {
-                from: "ratings",
-                localField: "_id",
-                foreignField: "driverId",
-                as: "ratings"
-                }
-            },
-            { $project: { password: 0 } } //Ignore password for security
-            ]).toArray();
-
-        if (!driverDetails || driverDetails.length === 0) {
-            return res.status(404).json({ error: "Driver not found" });
-        }
-
-        return res.status(200).json({
-            message: "Driver retrieved successfully",
-            driver: driverDetails[0]
-        });
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "drivers";
+
+    // Define driver id
+    const driverId = req.params.id;
+
+    // Retrieve driver in database
+    const driverDetails = await db.collection(collection).aggregate([
+        { $match: { _id: new ObjectId(driverId) } },
+        {
+            // Retrieve driver info in vehicles collection
+            $lookup: {
+            from: "vehicles",
+            localField: "_id",
+            foreignField: "driverId",
+            as: "vehicles"
+            }
+        },
+        {
+            // Retrieve driver info in rides collection
+            $lookup: {
+            from: "rides",
+            localField: "_id",
+            foreignField: "driverId",
+            as: "rides"
+            }
+        },
+        {
+            // Retrieve driver info in payments collection
+            $lookup: {
+            from: "payments",
+            localField: "_id",
+            foreignField: "driverId",
+            as: "payments"
+            }
+        },
+        {
+            // Retrieve driver info in ratings collection
+            $lookup: {
+            from: "ratings",
+            localField: "_id",
+            foreignField: "driverId",
+            as: "ratings"
+            }
+        },
+        { $project: { password: 0, twoFactor: 0, "rides.tripPin": 0 } } //Ignore password, two-factor secret and trip PIN for security
+        ]).toArray();
 
-    } catch (err) {
-        console.error("Get Driver Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve driver" });
+    if (!driverDetails || driverDetails.length === 0) {
+        throw new NotFoundError("Driver not found", ERROR_CODES.DRIVER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Driver retrieved successfully",
+        driver: driverDetails[0]
+    });
 };
 
 /**
  * Update driver details, including password
  */
 async function updateDriver(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Define driver id
-        const driverId = req.params.id;
-
-        // Fix the field that allow to update
-        const allowedFields = [
-            "username",
-            "phone",
-            "licenseNumber",
-            "licenseExpiry",
-            "bankAccountNumber",
-            "password"
-        ];
-
-        const updateData = {};
-
-        // Filter valid update field from request body
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                if (field === "password") {
-                    updateData.password = await bcrypt.hash(req.body.password, saltRounds);
-                } else {
-                    updateData[field] = req.body[field];
-                }
-            }
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // No update process when the updateData is empty
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "No valid fields provided for update" });
-        }
+    // Define collection
+    const collection = "drivers";
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            { _id: new ObjectId(driverId) },
-            { $set: updateData }
-        );
+    // Define driver id
+    const driverId = req.params.id;
 
-        // Check whether the driver exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Driver not found" });
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Changing password requires its own permission
+    if (req.body.password !== undefined && !hasPermission(req.auth, PERMISSIONS.DRIVERS_RESET_PASSWORD)) {
+        throw new ForbiddenError("Forbidden: insufficient permissions", ERROR_CODES.INSUFFICIENT_PERMISSIONS, { missingPermissions: [PERMISSIONS.DRIVERS_RESET_PASSWORD] });
+    }
+
+    // Fix the field that allow to update
+    const allowedFields = [
+        "username",
+        "phone",
+        "licenseNumber",
+        "licenseExpiry",
+        "bankAccountNumber",
+        "password"
+    ];
+
+    const updateData = {};
+
+    // Filter valid update field from request body
+    for (const field of allowedFields) {
+        if (req.body[field] !== undefined) {
+            if (field === "password") {
+                updateData.password = await bcrypt.hash(req.body.password, saltRounds);
+            } else {
+                updateData[field] = req.body[field];
+            }
         }
+    }
 
-        return res.status(200).json({
-            message: "Driver updated successfully",
-            updatedFields: Object.keys(updateData).filter(f => f !== "password") // Ignore password for security
-        });
+    // No update process when the updateData is empty
+    if (Object.keys(updateData).length === 0) {
+        throw new BadRequestError("No valid fields provided for update", ERROR_CODES.NO_UPDATE_FIELDS);
+    }
 
-    } catch (err) {
-        console.error("Update Driver Error:", err);
-        return res.status(500).json({ error: "Failed to update driver" });
+    // Update data in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { _id: new ObjectId(driverId) },
+        { $set: updateData },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the driver exists in the database
+    if (!before) {
+        throw new NotFoundError("Driver not found", ERROR_CODES.DRIVER_NOT_FOUND);
+    }
+
+    // Logout all devices after password reset by admin
+    if (updateData.password) {
+        await revokeAllSessions(driverId, "password_reset_by_admin");
     }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "driver.update",
+        targetType: "driver",
+        targetId: driverId,
+        before,
+        after: { ...before, ...updateData },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "Driver updated successfully",
+        updatedFields: Object.keys(updateData).filter(f => f !== "password") // Ignore password for security
+    });
 };
 
 /**
  * Deactivate driver account without deleting
  */
 async function suspendDriver(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Define driver id
-        const driverId = req.params.id;
-
-        // Define update status
-        const updateData = {
-            status: ACCOUNT_STATUS.SUSPENDED, 
-            suspendedAt: new Date()
-        };
-
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            { 
-                _id: new ObjectId(driverId), 
-                status: ACCOUNT_STATUS.ACTIVE 
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the driver exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Not found or already inactive" });
-        }
-
-        return res.status(200).json({
-            message: "Driver deactivated successfully",
-            driverId,
-            status: ACCOUNT_STATUS.SUSPENDED
-        });
-
-    } catch (err) {
-        console.error("Deactivate Driver Error:", err);
-        return res.status(500).json({ error: "Failed to deactivate driver" });
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "drivers";
+
+    // Define driver id
+    const driverId = req.params.id;
+
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Define update status
+    const updateData = {
+        status: ACCOUNT_STATUS.SUSPENDED, 
+        suspendedAt: new Date()
+    };
+
+    // Update status in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { 
+            _id: new ObjectId(driverId), 
+            status: ACCOUNT_STATUS.ACTIVE 
+        },
+        { $set: updateData },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the driver exists in the database
+    if (!before) {
+        throw new NotFoundError("Not found or already inactive", ERROR_CODES.DRIVER_NOT_FOUND);
     }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "driver.suspend",
+        targetType: "driver",
+        targetId: driverId,
+        before,
+        after: { ...before, ...updateData },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "Driver deactivated successfully",
+        driverId,
+        status: ACCOUNT_STATUS.SUSPENDED
+    });
 };
 
 /**
  * Reactivate driver account
  */
 async function activateDriver(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Define driver id
-        const driverId = req.params.id;
-
-        // Define update status
-        const updateData = {
-            status: ACCOUNT_STATUS.ACTIVE,
-            suspendedAt: null
-        };
-
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            { 
-                _id: new ObjectId(driverId), 
-                $or: [
-                    { status: ACCOUNT_STATUS.SUSPENDED },
-                    { status: ACCOUNT_STATUS.INACTIVE }
-                ] // Allow to active suspend or inactive account
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the driver exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Not found or already active" });
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "drivers";
+
+    // Define driver id
+    const driverId = req.params.id;
+
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Define update status
+    const updateData = {
+        status: ACCOUNT_STATUS.ACTIVE,
+        suspendedAt: null
+    };
+
+    // Update status in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { 
+            _id: new ObjectId(driverId), 
+            $or: [
+                { status: ACCOUNT_STATUS.SUSPENDED },
+                { status: ACCOUNT_STATUS.INACTIVE }
+            ] // Allow to active suspend or inactive account
+        },
+        { $set: updateData },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the driver exists in the database
+    if (!before) {
+        throw new NotFoundError("Not found or already active", ERROR_CODES.DRIVER_NOT_FOUND);
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "driver.activate",
+        targetType: "driver",
+        targetId: driverId,
+        before,
+        after: { ...before, ...updateData },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "Driver reactivated successfully",
+        driverId,
+        status: ACCOUNT_STATUS.ACTIVE
+    });
+};
+
+/**
+ * Retrieve all ride
+ */
+async function getRide(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "rides";
+
+    // Retrieve all ride in database
+    const rides = await db.collection(collection).find(
+        {}, 
+        { projection: { _id: 1, userId: 1, driverId: 1, vehicleId: 1, distance: 1, duration: 1, fare: 1, status: 1 } }
+    ).toArray();
+
+    return res.status(200).json({
+        message: "Rides retrieved successfully",
+        rides
+    });
+};
+
+/**
+ * Retrieve ride detail (admin)
+ */
+async function getRideById(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define ride id
+    const rideId = req.params.id;
+
+    // Retrieve ride in database
+    const ride = await rideDetail({
+        rideId: new ObjectId(rideId),
+        isAdmin: true
+    });
+
+    // Check whether the driver exists in the database
+    if (!ride || ride.length === 0) {
+        throw new NotFoundError("Ride not found or access denied", ERROR_CODES.RIDE_NOT_FOUND);
+    }
+
+    return res.status(200).json({
+        message: "Ride retrieved successfully",
+        ride
+    });
+};
+
+/**
+ * Admin force cancel a ride
+ */
+async function forceCancelRide(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "rides";
+
+    // Define ride id
+    const rideId = req.params.id;
+
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Define update status with the admin who cancelled and why
+    const cancelData = {
+        cancelledAt: new Date(),
+        cancelledBy: new ObjectId(req.auth.id),
+        cancelledByRole: ROLES.ADMIN,
+        cancelReason: reason
+    };
+
+    // Cancel the ride with its booking and payment, an admin can cancel an accepted or ongoing ride
+    const result = await cancelRideCascade(
+        { _id: new ObjectId(rideId) },
+        { id: req.auth.id, role: ROLES.ADMIN },
+        { reason, at: cancelData.cancelledAt, set: cancelData }
+    );
+
+    // Tell apart a missing ride from a ride that already ended
+    if (!result) {
+        const ride = await db.collection(collection).findOne({ _id: new ObjectId(rideId) });
+        if (!ride) {
+            throw new NotFoundError("Ride not found", ERROR_CODES.RIDE_NOT_FOUND);
         }
+        throw new ConflictError(`Ride cannot be cancelled when ${ride.status}`, ERROR_CODES.RIDE_NOT_CANCELLABLE, { status: ride.status });
+    }
 
-        return res.status(200).json({
-            message: "Driver reactivated successfully",
-            driverId,
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "ride.force_cancel",
+        targetType: "ride",
+        targetId: rideId,
+        before: result.ride,
+        after: { ...result.ride, ...cancelData, status: RIDE_STATUS.CANCELLED },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "Ride cancelled by admin",
+        rideId,
+        bookingStatus: result.bookingStatus
+    });
+};
+
+/**
+ * Admin starts a ride without the trip PIN, e.g. when the passenger cannot give it.
+ * Every override is recorded in audit log with the reason.
+ */
+async function overrideTripPin(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "rides";
+
+    // Define ride id
+    const rideId = req.params.id;
+
+    // Destructure reason from request body, required for audit log
+    const { reason } = req.body;
+
+    // Find the ride information
+    const ride = await db.collection(collection).findOne({ _id: new ObjectId(rideId) });
+
+    // Check whether the ride exists in the database and can start
+    if (!ride) {
+        throw new NotFoundError("Ride not found", ERROR_CODES.RIDE_NOT_FOUND);
+    }
+    if (!canTransition(ride.status, RIDE_STATUS.ONGOING, ROLES.ADMIN)) {
+        throw new ConflictError(`Ride cannot start when ${ride.status}`, ERROR_CODES.RIDE_NOT_STARTABLE, { status: ride.status });
+    }
+
+    // Define update status with the admin who overrode the trip PIN and why
+    const startedAt = new Date();
+    const updateData = {
+        startedAt,
+        ...waitingCharge(ride.arrivedAt, startedAt), // waitingMinutes, waitingFee
+        tripPinOverriddenBy: new ObjectId(req.auth.id),
+        tripPinOverrideReason: reason,
+        tripPinAttempts: 0,
+        tripPinLockedUntil: null
+    };
+
+    // Start the ride, unless it started or was cancelled meanwhile
+    const before = await transition(
+        collection,
+        { _id: ride._id },
+        RIDE_STATUS.ONGOING,
+        { id: req.auth.id, role: ROLES.ADMIN },
+        { reason, at: startedAt, set: updateData }
+    );
+    if (!before) {
+        const current = await db.collection(collection).findOne({ _id: ride._id }, { projection: { status: 1 } });
+        const status = current ? current.status : null;
+        throw new ConflictError(`Ride cannot start when ${status}`, ERROR_CODES.RIDE_NOT_STARTABLE, { status });
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "ride.trip_pin_override",
+        targetType: "ride",
+        targetId: rideId,
+        before,
+        after: { ...before, ...updateData, status: RIDE_STATUS.ONGOING },
+        reason
+    });
+
+    return res.status(200).json({
+        message: "Ride started by admin without trip PIN",
+        rideId,
+        status: RIDE_STATUS.ONGOING,
+        startedAt
+    });
+};
+
+/**
+ * Invite a new admin.
+ * The invitation token is delivered by email and expires.
+ */
+async function inviteAdmin(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "adminInvitations";
+
+    // Destructure input from request body
+    const { email, adminRole = ADMIN_ROLES.SUPPORT } = req.body;
+
+    // Only super-admin can manage admin accounts
+    if (req.auth.adminRole !== ADMIN_ROLES.SUPER_ADMIN) {
+        throw new ForbiddenError("Forbidden: super-admin only", ERROR_CODES.SUPER_ADMIN_ONLY);
+    }
+
+    // Check the validity of admin role
+    if (!(await adminRoleExists(adminRole))) {
+        throw new BadRequestError("Invalid admin role.", ERROR_CODES.INVALID_ADMIN_ROLE);
+    }
+
+    // Check whether the email already exists in the database
+    const existingAcc = await db.collection("admins").findOne({ email: email });
+    if (existingAcc) {
+        throw new ConflictError("Account already registered.", ERROR_CODES.ACCOUNT_ALREADY_EXISTS);
+    }
+
+    // Revoke previous pending invitation of the same email
+    await db.collection(collection).updateMany(
+        { email, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    // Prepare new invitation object to insert into database
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = {
+        email,
+        adminRole,
+        tokenHash: hashToken(token),
+        invitedBy: new ObjectId(req.auth.id),
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + inviteHours * 60 * 60 * 1000),
+        acceptedAt: null,
+        revokedAt: null
+    };
+
+    // Insert new invitation document into MongoDB
+    const result = await db.collection(collection).insertOne(invitation);
+
+    // Deliver the invitation token to the invitee
+    await sendMessage({
+        channel: MESSAGE_CHANNEL.EMAIL,
+        to: email,
+        subject: "Admin invitation",
+        body: `You are invited as ${adminRole}. Register with invitation token ${token} before ${invitation.expiresAt.toISOString()}.`,
+        meta: { purpose: "admin_invitation", invitationId: result.insertedId }
+    });
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "admin.invite",
+        targetType: "adminInvitation",
+        targetId: result.insertedId,
+        after: { email, adminRole, expiresAt: invitation.expiresAt },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(201).json({
+        message: "Invitation sent successfully",
+        invitationId: result.insertedId,
+        email,
+        adminRole,
+        expiresAt: invitation.expiresAt
+    });
+};
+
+/**
+ * Retrieve all admins
+ */
+async function getAdmin(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "admins";
+
+    // Retrieve all admin in database
+    const admins = await db.collection(collection).find(
+        {},
+        { projection: { _id: 1, username: 1, email: 1, adminRole: 1, status: 1, createdAt: 1 } }
+    ).toArray();
+
+    return res.status(200).json({
+        message: "Admins retrieved successfully",
+        admins
+    });
+};
+
+/**
+ * Disable an admin account and revoke its sessions
+ */
+async function disableAdmin(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "admins";
+
+    // Define admin id
+    const adminId = req.params.id;
+
+    // Prevent super-admin locking themselves out
+    if (adminId === req.auth.id) {
+        throw new BadRequestError("Cannot disable own account", ERROR_CODES.SELF_ACTION_NOT_ALLOWED);
+    }
+
+    // Only super-admin can manage admin accounts
+    if (req.auth.adminRole !== ADMIN_ROLES.SUPER_ADMIN) {
+        throw new ForbiddenError("Forbidden: super-admin only", ERROR_CODES.SUPER_ADMIN_ONLY);
+    }
+
+    // Update status in database
+    const result = await db.collection(collection).updateOne(
+        {
+            _id: new ObjectId(adminId),
             status: ACCOUNT_STATUS.ACTIVE
-        });
+        },
+        { $set: { status: ACCOUNT_STATUS.INACTIVE, disabledAt: new Date() } }
+    );
 
-    } catch (err) {
-        console.error("Activate Driver Error:", err);
-        return res.status(500).json({ error: "Failed to reactivate driver" });
+    // Check whether the admin exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Not found or already inactive", ERROR_CODES.ADMIN_NOT_FOUND);
     }
+
+    // Logout all devices of the admin
+    await revokeAllSessions(adminId, "admin_disabled");
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "admin.disable",
+        targetType: "admin",
+        targetId: adminId,
+        before: { status: ACCOUNT_STATUS.ACTIVE },
+        after: { status: ACCOUNT_STATUS.INACTIVE },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(200).json({
+        message: "Admin disabled successfully",
+        adminId,
+        status: ACCOUNT_STATUS.INACTIVE
+    });
 };
 
 /**
- * Retrieve all ride
+ * Demote a super-admin to a lower admin role (support by default)
  */
-async function getRide(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+async function demoteAdmin(req, res) {
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "rides";
+    // Define collection
+    const collection = "admins";
 
-        // Retrieve all ride in database
-        const rides = await db.collection(collection).find(
-            {}, 
-            { projection: { _id: 1, userId: 1, driverId: 1, vehicleId: 1, distance: 1, duration: 1, fare: 1, status: 1 } }
-        ).toArray();
+    // Define admin id
+    const adminId = req.params.id;
 
-        return res.status(200).json({
-            message: "Rides retrieved successfully",
-            rides
-        });
+    // Destructure input from request body
+    const { adminRole = ADMIN_ROLES.SUPPORT } = req.body || {};
 
-    } catch (err) {
-        console.error("Get Rides Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve rides" });
+    // Prevent super-admin demoting themselves
+    if (adminId === req.auth.id) {
+        throw new BadRequestError("Cannot demote own account", ERROR_CODES.SELF_ACTION_NOT_ALLOWED);
     }
+
+    // Only super-admin can demote another super-admin
+    if (req.auth.adminRole !== ADMIN_ROLES.SUPER_ADMIN) {
+        throw new ForbiddenError("Forbidden: super-admin only", ERROR_CODES.SUPER_ADMIN_ONLY);
+    }
+
+    // Check the validity of target admin role
+    if (adminRole === ADMIN_ROLES.SUPER_ADMIN || !(await adminRoleExists(adminRole))) {
+        throw new BadRequestError("Invalid admin role.", ERROR_CODES.INVALID_ADMIN_ROLE);
+    }
+
+    // Update admin role in database
+    const result = await db.collection(collection).updateOne(
+        {
+            _id: new ObjectId(adminId),
+            adminRole: ADMIN_ROLES.SUPER_ADMIN
+        },
+        { $set: { adminRole, demotedAt: new Date() } }
+    );
+
+    // Check whether the admin exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Not found or not a super-admin", ERROR_CODES.ADMIN_NOT_FOUND);
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "admin.demote",
+        targetType: "admin",
+        targetId: adminId,
+        before: { adminRole: ADMIN_ROLES.SUPER_ADMIN },
+        after: { adminRole },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(200).json({
+        message: "Admin demoted successfully",
+        adminId,
+        adminRole
+    });
 };
 
 /**
- * Retrieve ride detail (admin)
+ * Assign an admin role to an admin
  */
-async function getRideById(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+async function assignAdminRole(req, res) {
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define ride id
-        const rideId = req.params.id;
+    // Define collection
+    const collection = "admins";
 
-        // Retrieve ride in database
-        const ride = await rideDetail({
-            rideId: new ObjectId(rideId),
-            isAdmin: true
-        });
+    // Define admin id
+    const adminId = req.params.id;
 
-        // Check whether the driver exists in the database
-        if (!ride || ride.length === 0) {
-            return res.status(404).json({
-                error: "Ride not found or access denied"
-            });
-        }
+    // Destructure input from request body
+    const { adminRole } = req.body;
 
-        return res.status(200).json({
-            message: "Ride retrieved successfully",
-            ride
-        });
+    // Prevent admin changing own role
+    if (adminId === req.auth.id) {
+        throw new BadRequestError("Cannot change own admin role", ERROR_CODES.SELF_ACTION_NOT_ALLOWED);
+    }
 
-    } catch (err) {
-        console.error("View Ride Error:", err);
-        return res.status(500).json({
-            error: "Failed to retrieve ride"
-        });
+    // Only super-admin can manage admin accounts
+    if (req.auth.adminRole !== ADMIN_ROLES.SUPER_ADMIN) {
+        throw new ForbiddenError("Forbidden: super-admin only", ERROR_CODES.SUPER_ADMIN_ONLY);
+    }
+
+    // Check the validity of admin role
+    if (!(await adminRoleExists(adminRole))) {
+        throw new BadRequestError("Invalid admin role.", ERROR_CODES.INVALID_ADMIN_ROLE);
     }
+
+    // Current role of the admin for audit log
+    const target = await db.collection(collection).findOne({ _id: new ObjectId(adminId) });
+
+    // Update admin role in database
+    const result = await db.collection(collection).updateOne(
+        { _id: new ObjectId(adminId) },
+        { $set: { adminRole } }
+    );
+
+    // Check whether the admin exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Admin not found", ERROR_CODES.ADMIN_NOT_FOUND);
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "admin.assign_role",
+        targetType: "admin",
+        targetId: adminId,
+        before: { adminRole: target ? target.adminRole : null },
+        after: { adminRole },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(200).json({
+        message: "Admin role assigned successfully",
+        adminId,
+        adminRole
+    });
 };
 
 /**
- * Admin force cancel a ride
+ * Retrieve all admin roles with their permissions
  */
-async function forceCancelRide(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "rides";
-
-        // Define ride id
-        const rideId = req.params.id;
-
-        // Cancel the ride
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(rideId),
-                status: { $in: [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ONGOING] }
-            },
-            {
-                $set: {
-                    status: RIDE_STATUS.CANCELLED,
-                    cancelledAt: new Date(),
-                    cancelledBy: "ADMIN"
-                }
-            }
-        );
+async function getRole(req, res) {
+    // Access to mongoDB
+    const db = getDB();
 
-        // Check whether the ride exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({
-                error: "Ride not found or cannot be cancelled"
-            });
-        }
+    // Define collection
+    const collection = "adminRoles";
 
-        return res.status(200).json({
-            message: "Ride cancelled by admin",
-            rideId
-        });
+    // Retrieve all role in database
+    const roles = await db.collection(collection).find({}).toArray();
+
+    return res.status(200).json({
+        message: "Admin roles retrieved successfully",
+        roles,
+        availablePermissions: Object.values(PERMISSIONS)
+    });
+};
+
+/**
+ * Throw when the admin grants a permission not held by their own role
+ */
+function checkGrantablePermissions(auth, permissions) {
+    const missing = [...new Set(permissions)].filter(permission => !hasPermission(auth, permission));
+    if (missing.length > 0) {
+        throw new ForbiddenError("Forbidden: cannot grant permissions not held", ERROR_CODES.INSUFFICIENT_PERMISSIONS, { missingPermissions: missing });
+    }
+}
+
+/**
+ * Create a custom admin role
+ */
+async function createRole(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "adminRoles";
+
+    // Destructure input from request body
+    const { name, permissions } = req.body;
+
+    // Prevent granting permissions the admin does not hold
+    checkGrantablePermissions(req.auth, permissions);
+
+    // Check whether the role already exists in the database
+    if (await adminRoleExists(name)) {
+        throw new ConflictError("Admin role already exists.", ERROR_CODES.ADMIN_ROLE_EXISTS);
+    }
+
+    // Insert new role document into MongoDB
+    const result = await db.collection(collection).insertOne({
+        name,
+        permissions: [...new Set(permissions)],
+        builtIn: false,
+        createdAt: new Date()
+    });
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "role.create",
+        targetType: "adminRole",
+        targetId: name,
+        after: { permissions },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(201).json({
+        message: "Admin role created successfully",
+        id: result.insertedId,
+        name,
+        permissions
+    });
+};
+
+/**
+ * Update the permissions of an admin role.
+ * Super-admin always holds every permission and cannot be changed.
+ */
+async function updateRole(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "adminRoles";
+
+    // Define role name
+    const name = req.params.name;
+
+    // Destructure input from request body
+    const { permissions } = req.body;
+
+    // Prevent editing super-admin
+    if (name === ADMIN_ROLES.SUPER_ADMIN) {
+        throw new BadRequestError("Super-admin permissions cannot be changed", ERROR_CODES.ADMIN_ROLE_IMMUTABLE);
+    }
+
+    // Prevent admin changing the permissions of own role
+    if (name === req.auth.adminRole) {
+        throw new BadRequestError("Cannot change own admin role", ERROR_CODES.SELF_ACTION_NOT_ALLOWED);
+    }
 
+    // Prevent granting permissions the admin does not hold
+    checkGrantablePermissions(req.auth, permissions);
+
+    // Update permissions in database
+    const before = await db.collection(collection).findOneAndUpdate(
+        { name },
+        { $set: { permissions: [...new Set(permissions)], updatedAt: new Date() } },
+        { returnDocument: 'before' }
+    );
+
+    // Check whether the role exists in the database
+    if (!before) {
+        throw new NotFoundError("Admin role not found", ERROR_CODES.ADMIN_ROLE_NOT_FOUND);
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "role.update",
+        targetType: "adminRole",
+        targetId: name,
+        before: { permissions: before.permissions },
+        after: { permissions },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(200).json({
+        message: "Admin role updated successfully",
+        name,
+        permissions
+    });
+};
+
+/**
+ * Retrieve login lockouts and accounts or IPs with recent failed logins
+ */
+async function getLockout(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "loginAttempts";
+
+    // Retrieve failed login records that still in effect
+    const lockouts = await db.collection(collection).find(
+        { expiresAt: { $gt: new Date() } }
+    ).sort({ lockedUntil: -1, lastFailureAt: -1 }).toArray();
+
+    return res.status(200).json({
+        message: "Lockouts retrieved successfully",
+        lockouts: lockouts.map(lockout => ({
+            ...lockout,
+            locked: !!lockout.lockedUntil && lockout.lockedUntil > new Date()
+        }))
+    });
+};
+
+/**
+ * Clear a login lockout and its failed login count
+ */
+async function clearLockout(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "loginAttempts";
+
+    // Define lockout id
+    const lockoutId = req.params.id;
+
+    // Remove the record in database
+    const before = await db.collection(collection).findOneAndDelete({ _id: new ObjectId(lockoutId) });
+
+    // Check whether the lockout exists in the database
+    if (!before) {
+        throw new NotFoundError("Lockout not found", ERROR_CODES.LOCKOUT_NOT_FOUND);
+    }
+
+    // Record the action in audit log
+    await recordAudit({
+        req,
+        action: "lockout.clear",
+        targetType: "loginAttempt",
+        targetId: lockoutId,
+        before: { key: before.key, failures: before.failures, lockedUntil: before.lockedUntil },
+        reason: (req.body && req.body.reason) || null
+    });
+
+    return res.status(200).json({
+        message: "Lockout cleared successfully",
+        lockoutId
+    });
+};
+
+/**
+ * Retrieve audit log, filterable by actor, target, action and date range
+ */
+async function getAudit(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "auditLogs";
+
+    // Destructure filter from query string
+    const { actorId, targetId, action, from, to } = req.query;
+    const limit = Number(req.query.limit) || 100;
+
+    // Build the filter
+    const filter = {};
+    if (actorId) filter["actor.id"] = new ObjectId(actorId);
+    if (targetId) {
+        filter["target.id"] = /^[a-f\d]{24}$/i.test(targetId) ? new ObjectId(targetId) : targetId;
+    }
+    if (action) filter.action = action;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    // Retrieve audit records, latest first
+    const records = await db.collection(collection).find(filter).sort({ createdAt: -1 }).limit(limit).toArray();
+
+    return res.status(200).json({
+        message: "Audit log retrieved successfully",
+        records
+    });
+};
+
+/**
+ * Retrieve the active tariff of every vehicle type,
+ * or every version of one vehicle type when filtered
+ */
+async function getTariff(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "tariffs";
+
+    // Destructure filter from query string
+    const { vehicleType } = req.query;
+
+    // Retrieve tariffs, latest version first
+    const tariffs = vehicleType
+        ? await db.collection(collection).find({ vehicleType }).sort({ version: -1 }).toArray()
+        : await db.collection(collection).aggregate([
+            { $sort: { vehicleType: 1, version: -1 } },
+            { $group: { _id: "$vehicleType", tariff: { $first: "$$ROOT" } } },
+            { $replaceRoot: { newRoot: "$tariff" } },
+            { $sort: { vehicleType: 1 } }
+        ]).toArray();
+
+    return res.status(200).json({
+        message: "Tariffs retrieved successfully",
+        tariffs
+    });
+};
+
+/**
+ * Publish a new tariff version of a vehicle type.
+ * Older versions are kept so that priced bookings and rides still point at their tariff.
+ */
+async function publishTariff(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "tariffs";
+
+    // Destructure input from request body
+    const { vehicleType, baseFare, perKm, perMinute, bookingFee, minimumFare, rounding, reason } = req.body;
+
+    // Current version of the vehicle type
+    const current = await getActiveTariff(vehicleType);
+
+    // Prepare new tariff version to insert into database
+    const tariff = {
+        vehicleType,
+        version: current.version + 1,
+        baseFare,
+        perKm,
+        perMinute,
+        bookingFee,
+        minimumFare,
+        rounding: rounding || DEFAULT_ROUNDING,
+        createdBy: new ObjectId(req.auth.id),
+        createdAt: new Date()
+    };
+
+    // Insert new tariff document into MongoDB, the unique index rejects a concurrent publish of the same version
+    let result;
+    try {
+        result = await db.collection(collection).insertOne(tariff);
     } catch (err) {
-        console.error("Admin Cancel Ride Error:", err);
-        return res.status(500).json({ error: "Failed to cancel ride" });
+        if (err.code === 11000) {
+            throw new ConflictError("Tariff was changed by another admin, please retry.", ERROR_CODES.TARIFF_VERSION_CONFLICT);
+        }
+        throw err;
     }
+
+    // Record the action in audit log
+    const rates = ({ baseFare, perKm, perMinute, bookingFee, minimumFare, rounding }) => ({ baseFare, perKm, perMinute, bookingFee, minimumFare, rounding });
+    await recordAudit({
+        req,
+        action: "tariff.publish",
+        targetType: "tariff",
+        targetId: result.insertedId,
+        before: { version: current.version, ...rates(current) },
+        after: { version: tariff.version, ...rates(tariff) },
+        reason
+    });
+
+    return res.status(201).json({
+        message: "Tariff published successfully",
+        tariff: { _id: result.insertedId, ...tariff }
+    });
 };
 
 //Export the admins controller function
@@ -783,5 +1547,19 @@ module.exports = {
     activateDriver,
     getRide,
     getRideById,
-    forceCancelRide
+    forceCancelRide,
+    overrideTripPin,
+    inviteAdmin,
+    getAdmin,
+    disableAdmin,
+    demoteAdmin,
+    assignAdminRole,
+    getRole,
+    createRole,
+    updateRole,
+    getLockout,
+    clearLockout,
+    getAudit,
+    getTariff,
+    publishTariff
 };
\ No newline at end of file
@@ -0,0 +1,537 @@
+/**
+ * authController.js
+ * Session, password, verification and two-factor related request handlers
+ * shared by users, drivers and admins.
+ */
+
+// Import module to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Import module for password hashing
+const bcrypt = require('bcrypt');
+const saltRounds = 10;
+
+// Import module for constants
+const { ACCOUNT_STATUS, ERROR_CODES, MESSAGE_CHANNEL } = require('../utils/constants');
+
+// Import module for error types
+const { BadRequestError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors');
+
+// Import modules for function
+const checkStatus = require('../utils/checkStatus');
+const accountCollection = require('../utils/accountCollection');
+const { rotateSession, revokeSession: revokeSessionById, revokeAllSessions, listSessions } = require('../utils/sessions');
+const { createCode, consumeCode } = require('../utils/oneTimeCode');
+const { sendMessage } = require('../utils/messageSender');
+const { VERIFY_CHANNELS, sendVerificationCode, verifyAccount } = require('../utils/verification');
+const { createSession } = require('../utils/sessions');
+const { generateSecret, buildOtpauthUri, verifyCode } = require('../utils/totp');
+const {
+    isTwoFactorMandatory,
+    isTwoFactorEnabled,
+    verifyChallengeToken,
+    generateRecoveryCodes,
+    verifySecondFactor
+} = require('../utils/twoFactor');
+const { checkLoginThrottle, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+
+// Password reset code lifetime in minutes (use environment variable)
+const resetCodeMinutes = Number(process.env.PASSWORD_RESET_EXPIRES_IN_MINUTES) || 15;
+
+// Issuer shown in authenticator apps
+const totpIssuer = process.env.TOTP_ISSUER || "My Texi";
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ */
+async function refreshToken(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Destructure input from request body
+    const { refreshToken } = req.body;
+
+    // Rotate the refresh token
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+        throw new UnauthorizedError("Invalid or expired refresh token.", ERROR_CODES.INVALID_REFRESH_TOKEN);
+    }
+
+    // Check whether the account still exists and active
+    const account = await db.collection(accountCollection(rotated.session.role)).findOne(
+        { _id: rotated.session.accountId }
+    );
+    if (checkStatus(account, ACCOUNT_STATUS.PENDING_VERIFICATION)) {
+        throw new ForbiddenError("Account not verified", ERROR_CODES.ACCOUNT_NOT_VERIFIED);
+    }
+    if (!checkStatus(account, ACCOUNT_STATUS.ACTIVE)) {
+        await revokeSessionById(rotated.session._id, "account_not_active");
+        throw new ForbiddenError("Account not active", ERROR_CODES.ACCOUNT_NOT_ACTIVE);
+    }
+
+    return res.status(200).json({
+        message: "Token refreshed successfully",
+        token: rotated.token,
+        refreshToken: rotated.refreshToken
+    });
+};
+
+/**
+ * Logout and revoke the current session.
+ */
+async function logout(req, res) {
+    // Revoke the session of the access token
+    await revokeSessionById(req.auth.sessionId, "logout", req.auth.id);
+
+    return res.status(200).json({ message: "Logout successful" });
+};
+
+/**
+ * List the active sessions (devices) of the authenticated account.
+ */
+async function getSessions(req, res) {
+    // Retrieve active sessions in database
+    const sessions = await listSessions(req.auth.id);
+
+    return res.status(200).json({
+        message: "Sessions retrieved successfully",
+        sessions: sessions.map(session => ({
+            ...session,
+            current: session._id.toString() === req.auth.sessionId
+        }))
+    });
+};
+
+/**
+ * Revoke one of the sessions (devices) of the authenticated account.
+ */
+async function revokeSession(req, res) {
+    // Define session id
+    const sessionId = req.params.id;
+
+    // Check the validity of session id
+    if (!ObjectId.isValid(sessionId)) {
+        throw new NotFoundError("Session not found.", ERROR_CODES.SESSION_NOT_FOUND);
+    }
+
+    // Revoke the session owned by the authenticated account only
+    const revoked = await revokeSessionById(sessionId, "revoked_by_owner", req.auth.id);
+    if (!revoked) {
+        throw new NotFoundError("Session not found or already revoked.", ERROR_CODES.SESSION_NOT_FOUND);
+    }
+
+    return res.status(200).json({
+        message: "Session revoked successfully",
+        sessionId
+    });
+};
+
+/**
+ * Change the password of the authenticated account (old password required).
+ * Other sessions are revoked, the current session stays logged in.
+ */
+async function changePassword(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(req.auth.role);
+
+    // Destructure input from request body
+    const { oldPassword, newPassword } = req.body;
+
+    // Find the account
+    const account = await db.collection(collection).findOne({ _id: new ObjectId(req.auth.id) });
+    if (!account) {
+        throw new NotFoundError("Account not found", ERROR_CODES.ACCOUNT_NOT_FOUND);
+    }
+
+    // Compare the old password with the hashed password stored in the database
+    const isMatch = await bcrypt.compare(oldPassword, account.password);
+    if (!isMatch) {
+        throw new UnauthorizedError("Invalid credentials.", ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    // Hash and update the new password
+    await db.collection(collection).updateOne(
+        { _id: account._id },
+        { $set: { password: await bcrypt.hash(newPassword, saltRounds), passwordChangedAt: new Date() } }
+    );
+
+    // Logout other devices
+    await revokeAllSessions(account._id, "password_changed", req.auth.sessionId);
+
+    return res.status(200).json({ message: "Password changed successfully" });
+};
+
+/**
+ * Request a password reset code for the given role.
+ * Always responds with the same message so that registered emails are not leaked.
+ */
+function forgotPassword(role) {
+    return async (req, res) => {
+        // Access to mongoDB
+        const db = getDB();
+
+        // Destructure input from request body
+        const { email } = req.body;
+
+        // Send the reset code only if the account exists
+        const account = await db.collection(accountCollection(role)).findOne({ email: email });
+        if (account) {
+            const code = await createCode({
+                accountId: account._id,
+                role,
+                purpose: "password_reset",
+                ttlMinutes: resetCodeMinutes
+            });
+
+            await sendMessage({
+                channel: MESSAGE_CHANNEL.EMAIL,
+                to: account.email,
+                subject: "Password reset code",
+                body: `Your password reset code is ${code}. It expires in ${resetCodeMinutes} minutes.`,
+                meta: { purpose: "password_reset", role, accountId: account._id }
+            });
+        }
+
+        return res.status(200).json({
+            message: "If the email is registered, a reset code has been sent."
+        });
+    };
+};
+
+/**
+ * Reset the password of the given role with a reset code.
+ * All sessions of the account are revoked.
+ */
+function resetPassword(role) {
+    return async (req, res) => {
+        // Access to mongoDB
+        const db = getDB();
+
+        // Define collection according to role
+        const collection = accountCollection(role);
+
+        // Destructure input from request body
+        const { email, code, newPassword } = req.body;
+
+        // Find the account and consume the reset code
+        const account = await db.collection(collection).findOne({ email: email });
+        const isValid = account && await consumeCode({
+            accountId: account._id,
+            role,
+            purpose: "password_reset",
+            code
+        });
+        if (!isValid) {
+            throw new BadRequestError("Invalid or expired reset code.", ERROR_CODES.INVALID_RESET_CODE);
+        }
+
+        // Hash and update the new password
+        await db.collection(collection).updateOne(
+            { _id: account._id },
+            { $set: { password: await bcrypt.hash(newPassword, saltRounds), passwordChangedAt: new Date() } }
+        );
+
+        // Logout all devices
+        await revokeAllSessions(account._id, "password_reset");
+
+        return res.status(200).json({ message: "Password reset successfully" });
+    };
+};
+
+/**
+ * Verify the email or phone of a newly registered account of the given role.
+ */
+function verifyContact(role) {
+    return async (req, res) => {
+        // Access to mongoDB
+        const db = getDB();
+
+        // Destructure input from request body
+        const { email, channel, code } = req.body;
+
+        // Find the account and verify the code
+        const account = await db.collection(accountCollection(role)).findOne({ email: email });
+        const verification = account && await verifyAccount(account, channel, code);
+        if (!verification) {
+            throw new BadRequestError("Invalid or expired verification code.", ERROR_CODES.INVALID_VERIFICATION_CODE);
+        }
+
+        return res.status(200).json({
+            message: `${channel === "email" ? "Email" : "Phone"} verified successfully`,
+            ...verification
+        });
+    };
+};
+
+/**
+ * Resend the email or phone verification code of the given role.
+ * Resend is throttled per account and channel.
+ */
+function resendVerification(role) {
+    return async (req, res) => {
+        // Access to mongoDB
+        const db = getDB();
+
+        // Destructure input from request body
+        const { email, channel } = req.body;
+
+        // Send only to unverified channel of pending account
+        const account = await db.collection(accountCollection(role)).findOne({ email: email });
+        const { verifiedField } = VERIFY_CHANNELS[channel];
+        if (checkStatus(account, ACCOUNT_STATUS.PENDING_VERIFICATION) && !account[verifiedField]) {
+            const result = await sendVerificationCode(account, channel);
+            if (!result.sent) {
+                throw new TooManyRequestsError("Verification code recently sent. Please wait before requesting again.", ERROR_CODES.VERIFICATION_RESEND_THROTTLED, result.retryAfter);
+            }
+        }
+
+        return res.status(200).json({
+            message: "If the account is pending verification, a new code has been sent."
+        });
+    };
+};
+
+/**
+ * Start two-factor enrollment: generate a secret and its otpauth URI.
+ * The secret is pending until confirmed with a code.
+ */
+async function setupTwoFactor(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(req.auth.role);
+
+    // Find the account
+    const account = await db.collection(collection).findOne({ _id: new ObjectId(req.auth.id) });
+    if (!account) {
+        throw new NotFoundError("Account not found", ERROR_CODES.ACCOUNT_NOT_FOUND);
+    }
+
+    // Check whether two-factor already enabled
+    if (isTwoFactorEnabled(account)) {
+        throw new ConflictError("Two-factor authentication already enabled.", ERROR_CODES.TWO_FACTOR_ALREADY_ENABLED);
+    }
+
+    // Store the pending secret
+    const secret = generateSecret();
+    await db.collection(collection).updateOne(
+        { _id: account._id },
+        { $set: { "twoFactor.pendingSecret": secret, "twoFactor.enabled": false } }
+    );
+
+    return res.status(200).json({
+        message: "Scan the otpauth URI with an authenticator app, then confirm with a code",
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: account.email, issuer: totpIssuer })
+    });
+};
+
+/**
+ * Confirm two-factor enrollment with a code and return the recovery codes (shown once).
+ */
+async function enableTwoFactor(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(req.auth.role);
+
+    // Destructure input from request body
+    const { code } = req.body;
+
+    // Find the account with pending secret
+    const account = await db.collection(collection).findOne({ _id: new ObjectId(req.auth.id) });
+    if (!account || !account.twoFactor || !account.twoFactor.pendingSecret) {
+        throw new BadRequestError("Two-factor setup not started.", ERROR_CODES.TWO_FACTOR_SETUP_NOT_STARTED);
+    }
+
+    // Verify the code against the pending secret
+    const step = verifyCode(account.twoFactor.pendingSecret, code);
+    if (step === null) {
+        throw new BadRequestError("Invalid code.", ERROR_CODES.INVALID_TWO_FACTOR_CODE);
+    }
+
+    // Enable two-factor and store hashed recovery codes
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.collection(collection).updateOne(
+        { _id: account._id },
+        {
+            $set: {
+                twoFactor: {
+                    enabled: true,
+                    secret: account.twoFactor.pendingSecret,
+                    lastUsedStep: step,
+                    recoveryCodeHashes: hashes,
+                    enabledAt: new Date()
+                }
+            }
+        }
+    );
+
+    return res.status(200).json({
+        message: "Two-factor authentication enabled. Store the recovery codes safely, they are shown only once.",
+        recoveryCodes: codes
+    });
+};
+
+/**
+ * Disable two-factor authentication (password and a code required).
+ * Not allowed when the policy makes two-factor mandatory for the role.
+ */
+async function disableTwoFactor(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(req.auth.role);
+
+    // Destructure input from request body
+    const { password, code, recoveryCode } = req.body;
+
+    // Either code or recovery code is required
+    if (!code && !recoveryCode) {
+        throw new ValidationError([{ field: "body.code", message: "code or recoveryCode is required" }], "Code or recovery code is required.");
+    }
+
+    // Check the policy
+    if (isTwoFactorMandatory(req.auth.role)) {
+        throw new ForbiddenError("Two-factor authentication is mandatory for this role.", ERROR_CODES.TWO_FACTOR_MANDATORY);
+    }
+
+    // Find the account
+    const account = await db.collection(collection).findOne({ _id: new ObjectId(req.auth.id) });
+    if (!isTwoFactorEnabled(account)) {
+        throw new BadRequestError("Two-factor authentication not enabled.", ERROR_CODES.TWO_FACTOR_NOT_ENABLED);
+    }
+
+    // Verify password and second factor
+    const isMatch = await bcrypt.compare(password, account.password);
+    if (!isMatch || !(await verifySecondFactor(account, { code, recoveryCode }))) {
+        throw new UnauthorizedError("Invalid credentials.", ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    // Remove two-factor data
+    await db.collection(collection).updateOne(
+        { _id: account._id },
+        { $unset: { twoFactor: "" } }
+    );
+
+    return res.status(200).json({ message: "Two-factor authentication disabled" });
+};
+
+/**
+ * Replace the recovery codes (a valid TOTP code required).
+ */
+async function regenerateRecoveryCodes(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(req.auth.role);
+
+    // Destructure input from request body
+    const { code } = req.body;
+
+    // Find the account and verify the code
+    const account = await db.collection(collection).findOne({ _id: new ObjectId(req.auth.id) });
+    if (!isTwoFactorEnabled(account) || !(await verifySecondFactor(account, { code }))) {
+        throw new UnauthorizedError("Invalid code.", ERROR_CODES.INVALID_TWO_FACTOR_CODE);
+    }
+
+    // Replace recovery codes
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.collection(collection).updateOne(
+        { _id: account._id },
+        { $set: { "twoFactor.recoveryCodeHashes": hashes } }
+    );
+
+    return res.status(200).json({
+        message: "Recovery codes regenerated. Store them safely, they are shown only once.",
+        recoveryCodes: codes
+    });
+};
+
+/**
+ * Second login step: exchange the challenge token and a TOTP or recovery code
+ * for an access token and refresh token.
+ */
+async function verifyTwoFactorLogin(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Destructure input from request body
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // Either code or recovery code is required
+    if (!code && !recoveryCode) {
+        throw new ValidationError([{ field: "body.code", message: "code or recoveryCode is required" }], "Code or recovery code is required.");
+    }
+
+    // Verify the challenge token of the first login step
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+        throw new UnauthorizedError("Invalid or expired challenge token.", ERROR_CODES.INVALID_CHALLENGE_TOKEN);
+    }
+
+    // Find the account
+    const account = await db.collection(accountCollection(challenge.role)).findOne(
+        { _id: new ObjectId(challenge.id) }
+    );
+    if (!checkStatus(account, ACCOUNT_STATUS.ACTIVE)) {
+        throw new ForbiddenError("Account not active", ERROR_CODES.ACCOUNT_NOT_ACTIVE);
+    }
+
+    // Code guessing counts as failed login
+    const attempt = { role: account.role, email: account.email, ip: req.ip };
+    const throttle = await checkLoginThrottle(attempt);
+    if (throttle.locked) {
+        throw new TooManyRequestsError("Too many failed login attempts. Try again later.", ERROR_CODES.LOGIN_LOCKED, throttle.retryAfter);
+    }
+
+    // Verify the second factor
+    const method = await verifySecondFactor(account, { code, recoveryCode });
+    if (!method) {
+        await recordLoginFailure(attempt);
+        throw new UnauthorizedError("Invalid code.", ERROR_CODES.INVALID_TWO_FACTOR_CODE);
+    }
+    await clearLoginFailures(attempt);
+
+    // Create a login session with access token and refresh token
+    const { token, refreshToken } = await createSession(account, req);
+
+    return res.status(200).json({
+        message: "Login successful",
+        token,
+        refreshToken,
+        method,
+        account: {
+            id: account._id,
+            role: account.role,
+            username: account.username,
+            email: account.email
+        }
+    });
+};
+
+// Export the auth controller functions
+module.exports = {
+    refreshToken,
+    logout,
+    getSessions,
+    revokeSession,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyContact,
+    resendVerification,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin
+};
@@ -7,702 +7,861 @@
 const { ObjectId } = require('mongodb');
 const { getDB } = require('../db');
 
-// Import modules for password hashing and authentication
+// Import module for password hashing
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const saltRounds = 10;
 
 // Import module for constants
-const { ACCOUNT_STATUS, ROLES, RIDE_STATUS, VEHICLE_STATUS, VEHICLE_TYPE, PAYMENT_STATUS } = require('../utils/constants');
+const { ACCOUNT_STATUS, DISPATCH_STATUS, ERROR_CODES, OFFER_STATUS, ROLES, RIDE_STATUS, VEHICLE_STATUS, PAYMENT_STATUS } = require('../utils/constants');
+
+// Import module for error types
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors');
 
 // Import modules for function
 const checkStatus = require('../utils/checkStatus');
+const { DUMMY_PASSWORD_HASH, checkLoginThrottle, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+const { isTwoFactorEnabled, signChallengeToken } = require('../utils/twoFactor');
+const { createSession } = require('../utils/sessions');
+const { sendVerificationCode } = require('../utils/verification');
+const { calculateFare, getActiveTariff, getTariffById } = require('../utils/fareEngine');
+const { releasedFilter, upcomingFilter } = require('../utils/scheduledBooking');
+const { currentLocation } = require('../utils/driverLocation');
+const { acceptBookingForDriver } = require('../utils/bookingAcceptance');
+const { declineOffer: declineDispatchOffer } = require('../utils/dispatch');
+const { canTransition, transition } = require('../utils/rideStateMachine');
+const { cancelRideCascade } = require('../utils/rideCancellation');
+const { notifyAccount } = require('../utils/notify');
+const { noShowFee, waitingCharge, freeWaitingUntil, noShowAllowedAt } = require('../utils/waitingTime');
+const { verifyTripPin } = require('../utils/tripPin');
+
+// Booking feed settings (use environment variable)
+const feedRadiusKm = Number(process.env.FEED_RADIUS_KM) || 5;
+const feedLimit = Number(process.env.FEED_LIMIT) || 50;
+
+// Trip fields of a booking shown to drivers, without the user, status timeline or dispatch internals
+const FEED_PROJECTION = {
+    pickupLocation: 1,
+    pickupAddress: 1,
+    dropoffLocation: 1,
+    dropoffAddress: 1,
+    requestedVehicleType: 1,
+    scheduledPickupAt: 1,
+    estimatedDistance: 1,
+    estimatedDuration: 1,
+    estimatedFare: 1
+};
 
 /**
  * Registers a new driver and stores a hashed password in the database.
  */
 async function driverRegistration(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "drivers";
+    // Define collection
+    const collection = "drivers";
 
-        // Destructure input from request body
-        const { username, phone, email, password, licenseNumber, licenseExpiry, bankAccountNumber } = req.body;
-
-        // Validate required fields
-        if (!username || !phone || !email || !password || !licenseNumber || !licenseExpiry) {
-            return res.status(400).json({ error: "Missing information." });
-        }
+    // Destructure input from request body
+    const { username, phone, email, password, licenseNumber, licenseExpiry, bankAccountNumber } = req.body;
 
-        // Check whether the email already exists in the database
-        const existingAcc = await db.collection(collection).findOne({ email: email });
-        if (existingAcc) {
-            return res.status(409).json({ error: "Account already registered." });
-        }
-
-        // Hash the password before storing it to prevent plaintext password leaks
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-        
-        // Prepare new driver object to insert into database
-        const newAccount = {
-            role : ROLES.DRIVER,
-            username,
-            phone,
-            email,
-            password: hashedPassword,
-            licenseNumber,
-            licenseExpiry,
-            bankAccountNumber : bankAccountNumber || null,
-            ratingSum : 0,
-            ratingCount : 0,
-            createdAt: new Date(),
-            status : ACCOUNT_STATUS.ACTIVE
-        };
-
-        // Insert new driver document into MongoDB
-        const result = await db.collection(collection).insertOne(newAccount);
-
-        // Return success response with minimal driver info (without password)
-        return res.status(201).json({
-            message: `Driver registered successfully`,
-            id: result.insertedId,
-            username,
-            email
-        });
-
-    } catch (err) {
-        console.error("Register Error:", err);
-        res.status(500).json({ error: "Registration failed." });
+    // Check whether the email already exists in the database
+    const existingAcc = await db.collection(collection).findOne({ email: email });
+    if (existingAcc) {
+        throw new ConflictError("Account already registered.", ERROR_CODES.ACCOUNT_ALREADY_EXISTS);
     }
+
+    // Hash the password before storing it to prevent plaintext password leaks
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Prepare new driver object to insert into database
+    const newAccount = {
+        role : ROLES.DRIVER,
+        username,
+        phone,
+        email,
+        password: hashedPassword,
+        licenseNumber,
+        licenseExpiry,
+        bankAccountNumber : bankAccountNumber || null,
+        ratingSum : 0,
+        ratingCount : 0,
+        emailVerifiedAt: null,
+        phoneVerifiedAt: null,
+        createdAt: new Date(),
+        status : ACCOUNT_STATUS.PENDING_VERIFICATION // Active after email and phone verified
+    };
+
+    // Insert new driver document into MongoDB
+    const result = await db.collection(collection).insertOne(newAccount);
+
+    // Send verification codes to email and phone
+    newAccount._id = result.insertedId;
+    await sendVerificationCode(newAccount, "email");
+    await sendVerificationCode(newAccount, "phone");
+
+    // Return success response with minimal driver info (without password)
+    return res.status(201).json({
+        message: `Driver registered successfully. Verify email and phone to activate the account.`,
+        id: result.insertedId,
+        username,
+        email,
+        status: ACCOUNT_STATUS.PENDING_VERIFICATION
+    });
 };
 
 /**
- * Authenticates driver credentials and returns a JWT token.
+ * Authenticates driver credentials and returns a JWT token and refresh token.
  */
 async function driverLogin(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Destructure input from request body
-        const { email, password } = req.body;
-        
-        // Validate required fields
-        if (!email || !password) {
-            return res.status(400).json({ error: "Email and password are required." });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Check whether the email exists in the database
-        const existingAcc = await db.collection(collection).findOne({ email: email });
-        if (!existingAcc) {
-            return res.status(404).json({ error: "Driver not registered." });
-        }
+    // Define collection
+    const collection = "drivers";
 
-        // Check account status
-        if (!checkStatus(existingAcc, ACCOUNT_STATUS.ACTIVE)) {
-            return res.status(403).json({ error: "Account not active" });
-        }
+    // Destructure input from request body
+    const { email, password } = req.body;
 
-        // Compare the hashing password
-        const isMatch = await bcrypt.compare(password, existingAcc.password);
-        if (!isMatch) {
-            return res.status(401).json({ error: "Invalid credentials." });
-        }
+    // Check whether the account or client is temporarily locked
+    const attempt = { role: ROLES.DRIVER, email, ip: req.ip };
+    const throttle = await checkLoginThrottle(attempt);
+    if (throttle.locked) {
+        throw new TooManyRequestsError("Too many failed login attempts. Try again later.", ERROR_CODES.LOGIN_LOCKED, throttle.retryAfter);
+    }
 
-        // Generate token to authenticate and authorize process
-        const token = jwt.sign(
-            {
-                id: existingAcc._id.toString(),
-                role: existingAcc.role
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-        );
+    // Find the account, compare against a dummy hash when the email is not registered
+    // so that neither the response nor its timing reveals whether the email exists
+    const existingAcc = await db.collection(collection).findOne({ email: email });
+    const isMatch = await bcrypt.compare(password, existingAcc ? existingAcc.password : DUMMY_PASSWORD_HASH);
+    if (!existingAcc || !isMatch) {
+        await recordLoginFailure(attempt);
+        throw new UnauthorizedError("Invalid credentials.", ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    // Reset failed login of the account
+    await clearLoginFailures(attempt);
+
+    // Check whether the account has completed email and phone verification
+    if (checkStatus(existingAcc, ACCOUNT_STATUS.PENDING_VERIFICATION)) {
+        throw new ForbiddenError("Account not verified", ERROR_CODES.ACCOUNT_NOT_VERIFIED);
+    }
+
+    // Check account status
+    if (!checkStatus(existingAcc, ACCOUNT_STATUS.ACTIVE)) {
+        throw new ForbiddenError("Account not active", ERROR_CODES.ACCOUNT_NOT_ACTIVE);
+    }
 
+    // Two-step login when two-factor authentication is enabled
+    if (isTwoFactorEnabled(existingAcc)) {
         return res.status(200).json({
-            message: "Login successful",
-            token,
-            driver: {
-                id: existingAcc._id,
-                username: existingAcc.username,
-                email: existingAcc.email,
-                phone: existingAcc.phone
-            }
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken: signChallengeToken(existingAcc)
         });
-
-    } catch (err) {
-        console.error("Login Error:", err);
-        return res.status(500).json({ error: "Failed to login." });
     }
+
+    // Create a login session with access token and refresh token
+    const { token, refreshToken } = await createSession(existingAcc, req);
+
+    return res.status(200).json({
+        message: "Login successful",
+        token,
+        refreshToken,
+        driver: {
+            id: existingAcc._id,
+            username: existingAcc.username,
+            email: existingAcc.email,
+            phone: existingAcc.phone
+        }
+    });
 };
 
 /**
  * Retrieves the profile of the authenticated driver.
  */
 async function getProfile(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define driver id
-        const driverId = req.params.id;
-
-        // Ensure the authenticated driver can only access their own profile
-        if (req.auth.id !== driverId) {
-            return res.status(403).json({ error: "Forbidden" });
-        }
+    // Define collection
+    const collection = "drivers";
 
-        // Retrieve driver profile information in database
-        const driver = await db.collection(collection).findOne(
-            { _id: new ObjectId(driverId) },
-            { projection: { password: 0 } }
-        );
+    // Define driver id
+    const driverId = req.params.id;
 
-        // Check whether the driver exists in the database
-        if (!driver) {
-            return res.status(404).json({ error: "Driver not found" });
-        }
+    // Ensure the authenticated driver can only access their own profile
+    if (req.auth.id !== driverId) {
+        throw new ForbiddenError("Forbidden", ERROR_CODES.FORBIDDEN);
+    }
 
-        // Calculation for driver rating
-        const rating = 
-            driver.ratingCount === 0
-            ? null
-            : (driver.ratingSum / driver.ratingCount).toFixed(1);
+    // Retrieve driver profile information in database
+    const driver = await db.collection(collection).findOne(
+        { _id: new ObjectId(driverId) },
+        { projection: { password: 0, twoFactor: 0 } } // Ignore password and two-factor secret for security
+    );
 
-        return res.status(200).json({
-            message: "Driver profile retrieved successfully",
-            driver,
-            rating
-        });
-
-    } catch (err) {
-        console.error("View Profile Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve profile" });
+    // Check whether the driver exists in the database
+    if (!driver) {
+        throw new NotFoundError("Driver not found", ERROR_CODES.DRIVER_NOT_FOUND);
     }
+
+    // Calculation for driver rating
+    const rating = 
+        driver.ratingCount === 0
+        ? null
+        : (driver.ratingSum / driver.ratingCount).toFixed(1);
+
+    return res.status(200).json({
+        message: "Driver profile retrieved successfully",
+        driver,
+        rating
+    });
 };
 
 /**
  * Update the profile of the authenticated driver.
  */
 async function updateProfile(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "drivers";
+    // Define collection
+    const collection = "drivers";
 
-        // Define driver id
-        const driverId = req.params.id;
+    // Define driver id
+    const driverId = req.params.id;
 
-        // Ensure the authenticated driver can only access their own profile
-        if (req.auth.id !== driverId) {
-            return res.status(403).json({ error: "Forbidden" });
-        }
-
-        // Fix the field that allow to update
-        const allowedFields = [
-            "username",
-            "phone",
-            "licenseNumber",
-            "licenseExpiry",
-            "bankAccountNumber"
-        ];
-
-        const updateData = {};
-
-        // Filter valid update field from request body
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updateData[field] = req.body[field];
-            }
-       }
+    // Ensure the authenticated driver can only access their own profile
+    if (req.auth.id !== driverId) {
+        throw new ForbiddenError("Forbidden", ERROR_CODES.FORBIDDEN);
+    }
 
-       // No update process when the updateData is empty
-       if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "No valid fields provided for update" });
+    // Fix the field that allow to update
+    const allowedFields = [
+        "username",
+        "phone",
+        "licenseNumber",
+        "licenseExpiry",
+        "bankAccountNumber"
+    ];
+
+    const updateData = {};
+
+    // Filter valid update field from request body
+    for (const field of allowedFields) {
+        if (req.body[field] !== undefined) {
+            updateData[field] = req.body[field];
         }
+    }
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            { _id: new ObjectId(driverId) },
-            { $set: updateData }
-        );
-
-        // Check whether the driver exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Driver not found" });
-        }
+    // No update process when the updateData is empty
+    if (Object.keys(updateData).length === 0) {
+        throw new BadRequestError("No valid fields provided for update", ERROR_CODES.NO_UPDATE_FIELDS);
+    }
 
-        return res.status(200).json({
-            message: "Profile updated successfully",
-            updatedFields: updateData
-        });
+    // Update data in database
+    const result = await db.collection(collection).updateOne(
+        { _id: new ObjectId(driverId) },
+        { $set: updateData }
+    );
 
-} catch (err) {
-        console.error("Update Profile Error:", err);
-        return res.status(500).json({ error: "Failed to update profile" });
+    // Check whether the driver exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Driver not found", ERROR_CODES.DRIVER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Profile updated successfully",
+        updatedFields: updateData
+    });
 };
 
 /**
  * Deactivate own user account
  */
 async function deactivateProfile(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "drivers";
-
-        // Define driver id
-        const driverId = req.params.id;
-        
-        // Ensure the authenticated driver can only access their own profile
-        if (req.auth.id !== driverId) {
-            return res.status(403).json({ error: "Forbidden" });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define update status 
-        const updateData = {
-            status : ACCOUNT_STATUS.INACTIVE,
-            deactivatedAt : new Date()
-        }
+    // Define collection
+    const collection = "drivers";
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(driverId),
-                status: ACCOUNT_STATUS.ACTIVE
-            },
-            { $set: updateData }
-        );
+    // Define driver id
+    const driverId = req.params.id;
 
-        // Check whether the driver exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Driver not found." });
-        }
+    // Ensure the authenticated driver can only access their own profile
+    if (req.auth.id !== driverId) {
+        throw new ForbiddenError("Forbidden", ERROR_CODES.FORBIDDEN);
+    }
 
-        return res.status(200).json({
-            message: "Driver deactivate successfully",
-            driverId: driverId,
-            status: ACCOUNT_STATUS.INACTIVE
-        });
-    } catch (err) {
-        console.error("Deactivate Driver Error:", err);
-        return res.status(500).json({ error: "Failed to deactivate account" });
+    // Define update status 
+    const updateData = {
+        status : ACCOUNT_STATUS.INACTIVE,
+        deactivatedAt : new Date()
     }
+
+    // Update status in database
+    const result = await db.collection(collection).updateOne(
+        {
+            _id: new ObjectId(driverId),
+            status: ACCOUNT_STATUS.ACTIVE
+        },
+        { $set: updateData }
+    );
+
+    // Check whether the driver exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Driver not found.", ERROR_CODES.DRIVER_NOT_FOUND);
+    }
+
+    return res.status(200).json({
+        message: "Driver deactivate successfully",
+        driverId: driverId,
+        status: ACCOUNT_STATUS.INACTIVE
+    });
 };
 
 /**
  * Register vehicle detail.
  */
 async function newVehicle(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "vehicles";
-
-        // Define driver id
-        const driverId = req.auth.id;
-
-        // Destructure input from request body
-        const { plateNumber, vehicleType, brand, model, color, inspectionExpiry, roadtaxExpiry } = req.body;
-
-        // Validate required fields
-        if (!plateNumber || !vehicleType || !brand || !model || !color || !inspectionExpiry || !roadtaxExpiry) {
-            return res.status(400).json({ error: "Missing information." });
-        }
-
-        // Check the validity of vehicle type
-        if (!Object.values(VEHICLE_TYPE).includes(vehicleType)) {
-            return res.status(400).json({
-                error: "Invalid vehicle type."
-            });
-        }
-
-        // Prepare new vehicle object to insert into database
-        const newVehicle = {
-            driverId: new ObjectId(driverId),
-            plateNumber,
-            vehicleType,
-            brand, 
-            model, 
-            color, 
-            inspectionExpiry, 
-            roadtaxExpiry,
-            createdAt: new Date(),
-            status : VEHICLE_STATUS.ACTIVE
-        };
-
-        // Insert new vehicle document into MongoDB
-        const result = await db.collection(collection).insertOne(newVehicle);
-
-        return res.status(201).json({
-            message: `Vehicle registered successfully`,
-            id: result.insertedId,
-            plateNumber,
-            vehicleType
-        });
-
-    } catch (err) {
-        console.error("Vehicle Register Error:", err);
-        res.status(500).json({ error: "Vehicle registration failed." });
-    }
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "vehicles";
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Destructure input from request body
+    const { plateNumber, vehicleType, brand, model, color, inspectionExpiry, roadtaxExpiry } = req.body;
+
+    // Prepare new vehicle object to insert into database
+    const newVehicle = {
+        driverId: new ObjectId(driverId),
+        plateNumber,
+        vehicleType,
+        brand, 
+        model, 
+        color, 
+        inspectionExpiry, 
+        roadtaxExpiry,
+        createdAt: new Date(),
+        status : VEHICLE_STATUS.ACTIVE
+    };
+
+    // Insert new vehicle document into MongoDB
+    const result = await db.collection(collection).insertOne(newVehicle);
+
+    return res.status(201).json({
+        message: `Vehicle registered successfully`,
+        id: result.insertedId,
+        plateNumber,
+        vehicleType
+    });
 };
 
 /**
  * Retrieves the vehicle detail.
  */
 async function getVehicle(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "vehicles";
+    // Define collection
+    const collection = "vehicles";
 
-        // Define vehicle id
-        const vehicleId = req.params.id;
+    // Define vehicle id
+    const vehicleId = req.params.id;
 
-        // Define driver id
-        const driverId = req.auth.id;
+    // Define driver id
+    const driverId = req.auth.id;
 
-        // Retrieve vehicle information in database
-        const vehicle = await db.collection(collection).findOne(
-            { 
-                _id: new ObjectId(vehicleId),
-                driverId : new ObjectId(driverId),
-                status : VEHICLE_STATUS.ACTIVE
-            }
-        );
-
-        // Check whether the vehicle exists in the database
-        if (!vehicle) {
-            return res.status(404).json({ error: "Vehicle not found or already inactive." });
+    // Retrieve vehicle information in database
+    const vehicle = await db.collection(collection).findOne(
+        { 
+            _id: new ObjectId(vehicleId),
+            driverId : new ObjectId(driverId),
+            status : VEHICLE_STATUS.ACTIVE
         }
+    );
 
-        return res.status(200).json({
-            message: "Vehicle detail retrieved successfully",
-            vehicle
-        });
-
-    } catch (err) {
-        console.error("View Vehicle Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve vehicle" });
+    // Check whether the vehicle exists in the database
+    if (!vehicle) {
+        throw new NotFoundError("Vehicle not found or already inactive.", ERROR_CODES.VEHICLE_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Vehicle detail retrieved successfully",
+        vehicle
+    });
 };
 
 /**
  * Update the vehicle detail
  */
 async function updateVehicle(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "vehicles";
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define vehicle id
-        const vehicleId = req.params.id;
+    // Define collection
+    const collection = "vehicles";
 
-        // Define driver id
-        const driverId = req.auth.id;
+    // Define vehicle id
+    const vehicleId = req.params.id;
 
-        // Fix the field that allow to update
-        const allowedFields = [
-            "color", 
-            "inspectionExpiry", 
-            "roadtaxExpiry"
-        ];
+    // Define driver id
+    const driverId = req.auth.id;
 
-        const updateData = {};
+    // Fix the field that allow to update
+    const allowedFields = [
+        "color", 
+        "inspectionExpiry", 
+        "roadtaxExpiry"
+    ];
 
-        // Filter valid update field from request body
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updateData[field] = req.body[field];
-            }
-        };
+    const updateData = {};
 
-        // No update process when the updateData is empty
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "No valid fields provided for update" });
+    // Filter valid update field from request body
+    for (const field of allowedFields) {
+        if (req.body[field] !== undefined) {
+            updateData[field] = req.body[field];
         }
+    };
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(vehicleId),
-                driverId: new ObjectId(driverId),
-                status: VEHICLE_STATUS.ACTIVE
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the vehicle exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Vehicle not found or already inactive." });
-        }
+    // No update process when the updateData is empty
+    if (Object.keys(updateData).length === 0) {
+        throw new BadRequestError("No valid fields provided for update", ERROR_CODES.NO_UPDATE_FIELDS);
+    }
 
-        return res.status(200).json({
-            message: "Vehicle updated successfully",
-            updatedFields: updateData
-        });
+    // Update data in database
+    const result = await db.collection(collection).updateOne(
+        {
+            _id: new ObjectId(vehicleId),
+            driverId: new ObjectId(driverId),
+            status: VEHICLE_STATUS.ACTIVE
+        },
+        { $set: updateData }
+    );
 
-    } catch (err) {
-        console.error("Update Vehicle Error:", err);
-        return res.status(500).json({ error: "Failed to update vehicle" });
+    // Check whether the vehicle exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Vehicle not found or already inactive.", ERROR_CODES.VEHICLE_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Vehicle updated successfully",
+        updatedFields: updateData
+    });
 };
 
 /**
  * Deactive the vehicle with PATCH Request to update status without delete the history of booking
  */
 async function deactivateVehicle(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "vehicles";
+    // Define collection
+    const collection = "vehicles";
 
-        // Define vehicle id
-        const vehicleId = req.params.id;
+    // Define vehicle id
+    const vehicleId = req.params.id;
 
-        // Define driver id
-        const driverId = req.auth.id;
+    // Define driver id
+    const driverId = req.auth.id;
 
-        // Define update status 
-        const updateData = {
-            status : VEHICLE_STATUS.INACTIVE,
-            deactivatedAt: new Date()
-        }
+    // Define update status 
+    const updateData = {
+        status : VEHICLE_STATUS.INACTIVE,
+        deactivatedAt: new Date()
+    }
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(vehicleId),
-                driverId: new ObjectId(driverId),
-                status: VEHICLE_STATUS.ACTIVE
-            },
-            { $set: updateData }
-        );
+    // Update status in database
+    const result = await db.collection(collection).updateOne(
+        {
+            _id: new ObjectId(vehicleId),
+            driverId: new ObjectId(driverId),
+            status: VEHICLE_STATUS.ACTIVE
+        },
+        { $set: updateData }
+    );
 
-        // Check whether the vehicle exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Vehicle not found or already inactive." });
-        }
+    // Check whether the vehicle exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Vehicle not found or already inactive.", ERROR_CODES.VEHICLE_NOT_FOUND);
+    }
 
-        return res.status(200).json({
-            message: "Vehicle deactivate successfully",
-            vehicleId: vehicleId,
-            status: VEHICLE_STATUS.INACTIVE
-        });
-    } catch (err) {
-        console.error("Deactivate Vhicle Error:", err);
-        return res.status(500).json({ error: "Failed to deactivate vehicle" });
+    return res.status(200).json({
+        message: "Vehicle deactivate successfully",
+        vehicleId: vehicleId,
+        status: VEHICLE_STATUS.INACTIVE
+    });
+};
+
+/**
+ * Driver reports the current location (last known location with timestamp)
+ */
+async function updateLocation(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "drivers";
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Destructure input from request body
+    const { location } = req.body;
+
+    // Define update data
+    const updateData = {
+        lastLocation: { type: "Point", coordinates: location.coordinates },
+        lastLocationAt: new Date()
+    };
+
+    // Update location in database
+    const result = await db.collection(collection).updateOne(
+        { _id: new ObjectId(driverId) },
+        { $set: updateData }
+    );
+
+    // Check whether the driver exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Driver not found", ERROR_CODES.DRIVER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Location updated successfully",
+        location: updateData.lastLocation,
+        updatedAt: updateData.lastLocationAt
+    });
 };
 
 /**
- * Retrieves all available booking.
+ * Retrieves available bookings near the driver, nearest pickup first.
+ * Only bookings matching the active vehicle of the driver are shown,
+ * scheduled bookings are shown once released, shortly before their pickup time.
  */
 async function getBooking(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "bookings";
-
-        // Find all available booking
-        const bookings = await db.collection(collection).find(
-                { status: RIDE_STATUS.REQUESTED }, 
-                { projection: { userId: 0 } }
-        ).toArray();
-
-        // Check the available booking
-        if (bookings.length === 0) {
-            return res.status(404).json({ error: "No available bookings" });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        return res.status(200).json({
-            message: "Bookings retrieved successfully",
-            bookings
-        });
+    // Define collection
+    const collection = "bookings";
 
-    } catch (err) {
-        console.error("View Bookings Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve bookings" });
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Search radius from query string or default
+    const radiusKm = Number(req.query.radiusKm) || feedRadiusKm;
+
+    // The feed is around the last reported location of the driver
+    const driver = await db.collection("drivers").findOne({ _id: new ObjectId(driverId) });
+    const location = currentLocation(driver);
+    if (!location) {
+        throw new BadRequestError("Report your current location first (PUT /drivers/location).", ERROR_CODES.DRIVER_LOCATION_REQUIRED);
     }
+
+    // Check available vehicle of driver
+    const driverVehicle = await db.collection("vehicles").findOne({
+        driverId: new ObjectId(driverId),
+        status: VEHICLE_STATUS.ACTIVE
+    });
+    if (!driverVehicle) {
+        throw new BadRequestError("No active vehicle found. Register a vehicle first.", ERROR_CODES.NO_ACTIVE_VEHICLE);
+    }
+
+    // Find available booking within the radius, nearest pickup first
+    const now = new Date();
+    const bookings = await db.collection(collection).aggregate([
+        {
+            $geoNear: {
+                near: location,
+                key: "pickupLocation",
+                distanceField: "pickupDistance", // In metres
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query: {
+                    $and: [
+                        { status: RIDE_STATUS.REQUESTED },
+                        releasedFilter(now),
+                        { $or: [{ requestedVehicleType: null }, { requestedVehicleType: driverVehicle.vehicleType }] },
+                        // Hide bookings offered to another driver by automatic dispatch until the offer expires
+                        {
+                            $or: [
+                                { "dispatch.status": { $ne: DISPATCH_STATUS.OFFERED } },
+                                { "dispatch.offerExpiresAt": { $lte: now } },
+                                { "dispatch.currentDriverId": driver._id }
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        { $limit: feedLimit },
+        { $project: { ...FEED_PROJECTION, pickupDistanceKm: { $round: [{ $divide: ["$pickupDistance", 1000] }, 2] } } }
+    ]).toArray();
+
+    // Check the available booking
+    if (bookings.length === 0) {
+        throw new NotFoundError("No available bookings", ERROR_CODES.NO_AVAILABLE_BOOKINGS);
+    }
+
+    return res.status(200).json({
+        message: "Bookings retrieved successfully",
+        bookings
+    });
+};
+
+/**
+ * Retrieves scheduled bookings that are not released yet, earliest pickup first.
+ * Only bookings matching the active vehicle of the driver are shown.
+ * A driver can pre-accept one of them with the accept endpoint.
+ */
+async function getScheduledBooking(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "bookings";
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Check available vehicle of driver
+    const driverVehicle = await db.collection("vehicles").findOne({
+        driverId: new ObjectId(driverId),
+        status: VEHICLE_STATUS.ACTIVE
+    });
+    if (!driverVehicle) {
+        throw new BadRequestError("No active vehicle found. Register a vehicle first.", ERROR_CODES.NO_ACTIVE_VEHICLE);
+    }
+
+    // Find upcoming scheduled booking
+    const bookings = await db.collection(collection).find(
+            {
+                status: RIDE_STATUS.REQUESTED,
+                ...upcomingFilter(),
+                $or: [{ requestedVehicleType: null }, { requestedVehicleType: driverVehicle.vehicleType }]
+            },
+            { projection: FEED_PROJECTION, sort: { scheduledPickupAt: 1 } }
+    ).toArray();
+
+    // Check the available booking
+    if (bookings.length === 0) {
+        throw new NotFoundError("No scheduled bookings", ERROR_CODES.NO_AVAILABLE_BOOKINGS);
+    }
+
+    return res.status(200).json({
+        message: "Scheduled bookings retrieved successfully",
+        bookings
+    });
 };
 
 /**
  * Driver accepts a booking. Creates a ride record in "rides" collection.
  */
 async function acceptBooking(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Define booking id
+    const bookingId = req.params.id;
 
-        // Define collections
-        const bookingsCollection = "bookings";
-        const ridesCollection = "rides";
-        const vehiclesCollection = "vehicles";
-        const paymentsCollection = "payments";
+    // Define driver id
+    const driverId = req.auth.id;
 
-        // Define booking id
-        const bookingId = req.params.id;
+    // Create the ride of the booking
+    const ride = await acceptBookingForDriver(bookingId, driverId);
 
-        // Define driver id
-        const driverId = req.auth.id;
+    return res.status(200).json({
+        message: "Booking accepted successfully",
+        ride
+    });
+};
 
-        // Check available vehicle of driver
-        const driverVehicle = await db.collection(vehiclesCollection).findOne({
-            driverId: new ObjectId(driverId),
-            status: VEHICLE_STATUS.ACTIVE
-        });
+/**
+ * Driver arrives at the pickup. Updates arrivedAt and status, notifies the user
+ * and starts the free waiting window.
+ */
+async function arriveRide(req, res) {
+    // Define collection
+    const collection = "rides";
+
+    // Define ride id
+    const rideId = req.params.id;
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Define update status 
+    const updateData = {
+        arrivedAt: new Date()
+    };
+
+    // Update status in database, only an accepted ride can arrive
+    const before = await transition(
+        collection,
+        { _id: new ObjectId(rideId), driverId: new ObjectId(driverId) },
+        RIDE_STATUS.ARRIVED,
+        { id: driverId, role: ROLES.DRIVER },
+        { at: updateData.arrivedAt, set: updateData }
+    );
+
+    // Check whether the ride exists in the database
+    if (!before) {
+        throw new NotFoundError("Ride not found or driver already arrived.", ERROR_CODES.RIDE_NOT_ARRIVABLE);
+    }
 
-        // Check whether the vehicle exists in the database
-        if (!driverVehicle) {
-            return res.status(400).json({ error: "No active vehicle found. Register a vehicle first." });
-        }
+    const waitingUntil = freeWaitingUntil(updateData.arrivedAt);
+    await notifyAccount({
+        role: ROLES.USER,
+        accountId: before.userId,
+        subject: "Driver arrived",
+        body: `Your driver has arrived at the pickup. Waiting is free until ${waitingUntil.toISOString()}, a waiting fee applies after that.`,
+        meta: { purpose: "driver_arrived", rideId: before._id, bookingId: before.bookingId }
+    });
+
+    return res.status(200).json({
+        message: "Arrival recorded successfully",
+        rideId: rideId,
+        status: RIDE_STATUS.ARRIVED,
+        arrivedAt: updateData.arrivedAt,
+        freeWaitingUntil: waitingUntil,
+        noShowAllowedAt: noShowAllowedAt(updateData.arrivedAt)
+    });
+};
 
-        // Find the booking detail
-        const booking = await db.collection(bookingsCollection).findOne({
-            _id: new ObjectId(bookingId),
-            status: RIDE_STATUS.REQUESTED
-        });
+/**
+ * Driver marks the passenger as no-show after the no-show limit.
+ * The ride is cancelled and the no-show fee is charged instead of the fare.
+ */
+async function markNoShow(req, res) {
+    // Access to mongoDB
+    const db = getDB();
 
-        // Check whether the booking exists in the database
-        if (!booking) {
-            return res.status(404).json({ error: "Booking not found or already accepted/cancelled." });
-        }
+    // Define collection
+    const collection = "rides";
 
-        // Check whether driver vehicle type match user request 
-        if (booking.requestedVehicleType && booking.requestedVehicleType !== driverVehicle.vehicleType) {
-            return res.status(400).json({ error: "Your vehicle type does not match the booking request." });
-        }
+    // Define ride id
+    const rideId = req.params.id;
 
-        // Update status in database
-        await db.collection(bookingsCollection).updateOne(
-            { _id: new ObjectId(bookingId) },
-            { $set: { status: RIDE_STATUS.ACCEPTED } }
-        );
+    // Define driver id
+    const driverId = req.auth.id;
 
-        // Prepare new ride object to insert into database
-        const newRide = {
-            bookingId: booking._id,
-            userId: booking.userId,
-            driverId: new ObjectId(driverId),
-            vehicleId: driverVehicle._id,
-            acceptedAt: new Date(),
-            distance: booking.estimatedDistance,
-            fare: booking.estimatedFare,
-            status: RIDE_STATUS.ACCEPTED
-        };
-
-        // Insert new ride document into MongoDB
-        const rideResult = await db.collection(ridesCollection).insertOne(newRide);
-
-        // Prepare new payment information of the ride to insert into database
-        const paymentData = {
-            rideId: rideResult.insertedId,
-            userId: booking.userId,
-            driverId: new ObjectId(driverId),
-            amount: booking.estimatedFare,
-            status: PAYMENT_STATUS.PENDING,
-            createdAt: new Date()
-        };
-
-        // Insert new payment document into MongoDB
-        await db.collection(paymentsCollection).insertOne(paymentData);
-
-        // Prepare response object
-        const responseRide = {
-            rideId: rideResult.insertedId,
-            bookingId: booking._id,
-            driverId: driverId,
-            vehicleId: driverVehicle._id,
-            acceptedAt: newRide.acceptedAt,
-            distance: newRide.distance,
-            fare: newRide.fare,
-            status: newRide.status
-        };
+    // Find the ride information
+    const ride = await db.collection(collection).findOne({
+        _id: new ObjectId(rideId),
+        driverId: new ObjectId(driverId),
+        status: RIDE_STATUS.ARRIVED
+    });
 
-        return res.status(200).json({
-            message: "Booking accepted successfully",
-            ride: responseRide
-        });
+    // Check whether the ride exists in the database
+    if (!ride) {
+        throw new NotFoundError("Ride not found or driver has not arrived.", ERROR_CODES.RIDE_NOT_ARRIVED);
+    }
+
+    // The passenger has until the no-show limit to show up
+    const allowedAt = noShowAllowedAt(ride.arrivedAt);
+    if (allowedAt > new Date()) {
+        throw new ConflictError("Passenger can only be marked as no-show after the waiting limit.", ERROR_CODES.NO_SHOW_TOO_EARLY, { noShowAllowedAt: allowedAt });
+    }
 
-    } catch (err) {
-        console.error("Accept Booking Error:", err);
-        return res.status(500).json({ error: "Failed to accept booking." });
+    // Define update status
+    const updateData = {
+        cancelledAt: new Date(),
+        cancelledBy: new ObjectId(driverId),
+        cancelledByRole: ROLES.DRIVER,
+        noShow: true,
+        noShowFee
+    };
+
+    // Cancel the ride with its booking, the payment is kept for the no-show fee
+    const result = await cancelRideCascade(
+        { _id: ride._id, driverId: new ObjectId(driverId) },
+        { id: driverId, role: ROLES.DRIVER },
+        { reason: "Passenger did not show up", at: updateData.cancelledAt, set: updateData, fee: { amount: noShowFee, type: "no_show" } }
+    );
+
+    // The passenger showed up meanwhile
+    if (!result) {
+        throw new NotFoundError("Ride not found or driver has not arrived.", ERROR_CODES.RIDE_NOT_ARRIVED);
     }
+
+    return res.status(200).json({
+        message: "Passenger marked as no-show",
+        rideId: rideId,
+        status: RIDE_STATUS.CANCELLED,
+        bookingStatus: result.bookingStatus,
+        noShowFee
+    });
 };
 
 /**
- * Driver starts a ride. Updates startedAt and status.
+ * Driver starts a ride with the trip PIN given by the passenger. Updates startedAt and status.
+ * After an arrival, the waiting time beyond the free window is charged.
  */
 async function startRide(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "rides";
+    // Define collection
+    const collection = "rides";
 
-        // Define ride id
-        const rideId = req.params.id;
+    // Define ride id
+    const rideId = req.params.id;
 
-        // Define driver id
-        const driverId = req.auth.id;
+    // Define driver id
+    const driverId = req.auth.id;
 
-        // Define update status 
-        const updateData = {
-            status: RIDE_STATUS.ONGOING,
-            startedAt: new Date()
-        };
+    // Find the ride information
+    const ride = await db.collection(collection).findOne({
+        _id: new ObjectId(rideId),
+        driverId: new ObjectId(driverId)
+    });
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(rideId),
-                driverId: new ObjectId(driverId),
-                status: RIDE_STATUS.ACCEPTED
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the ride exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Ride not found or not in a startable state." });
-        }
+    // Check whether the ride exists in the database and can start
+    if (!ride) {
+        throw new NotFoundError("Ride not found", ERROR_CODES.RIDE_NOT_FOUND);
+    }
+    if (!canTransition(ride.status, RIDE_STATUS.ONGOING, ROLES.DRIVER)) {
+        throw new ConflictError(`Ride cannot start when ${ride.status}`, ERROR_CODES.RIDE_NOT_STARTABLE, { status: ride.status });
+    }
 
-        return res.status(200).json({
-            message: "Ride started successfully",
-            rideId: rideId,
-            status: updateData.status,
-            startedAt: updateData.startedAt
-        });
-    } catch (err) {
-        console.error("Start Ride Error:", err);
-        return res.status(500).json({ error: "Failed to start ride" });
+    // The passenger proves the pickup with the trip PIN
+    await verifyTripPin(ride, req.body.tripPin);
+
+    // Define update status 
+    const startedAt = new Date();
+    const updateData = {
+        startedAt,
+        ...waitingCharge(ride.arrivedAt, startedAt) // waitingMinutes, waitingFee
+    };
+
+    // Update status in database, only an accepted or arrived ride can start
+    const before = await transition(
+        collection,
+        { _id: new ObjectId(rideId), driverId: new ObjectId(driverId) },
+        RIDE_STATUS.ONGOING,
+        { id: driverId, role: ROLES.DRIVER },
+        { at: updateData.startedAt, set: updateData }
+    );
+
+    // The ride started or was cancelled meanwhile
+    if (!before) {
+        const current = await db.collection(collection).findOne({ _id: ride._id }, { projection: { status: 1 } });
+        const status = current ? current.status : null;
+        throw new ConflictError(`Ride cannot start when ${status}`, ERROR_CODES.RIDE_NOT_STARTABLE, { status });
     }
+
+    return res.status(200).json({
+        message: "Ride started successfully",
+        rideId: rideId,
+        status: RIDE_STATUS.ONGOING,
+        startedAt: updateData.startedAt,
+        waitingMinutes: updateData.waitingMinutes,
+        waitingFee: updateData.waitingFee
+    });
 };
 
 
@@ -710,70 +869,216 @@ async function startRide(req, res) {
  * Driver completes a ride. Updates completedAt, status, fare, distance, duration.
  */
 async function completeRide(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "rides";
+    // Define collection
+    const collection = "rides";
 
-        // Define ride id
-        const rideId = req.params.id;
+    // Define ride id
+    const rideId = req.params.id;
 
-        // Define driver id
-        const driverId = req.auth.id;
+    // Define driver id
+    const driverId = req.auth.id;
 
-        // Find the ride information
-        const ride = await db.collection(collection).findOne({
-            _id: new ObjectId(rideId),
-            driverId: new ObjectId(driverId),
-            status: RIDE_STATUS.ONGOING
-        });
+    // Find the ride information
+    const ride = await db.collection(collection).findOne({
+        _id: new ObjectId(rideId),
+        driverId: new ObjectId(driverId),
+        status: RIDE_STATUS.ONGOING
+    });
 
-        // Check whether the ride exists in the database
-        if (!ride) {
-            return res.status(404).json({
-            error: "Ride not found or not in progress"
-            });
-        }
+    // Check whether the ride exists in the database
+    if (!ride) {
+        throw new NotFoundError("Ride not found or not in progress", ERROR_CODES.RIDE_NOT_IN_PROGRESS);
+    }
 
-        const duration = Math.floor((Date.now() - ride.startedAt) / 1000); // In seconds
+    const duration = Math.floor((Date.now() - ride.startedAt) / 1000); // In seconds
 
-        // Define update status 
-        const updateData = {
-            status: RIDE_STATUS.COMPLETED,
-            completedAt: new Date(),
-            duration
-        };
+    // Tariff version that priced the ride, rides accepted before tariffs use the current tariff of the vehicle
+    let tariff;
+    if (ride.tariffId) {
+        tariff = await getTariffById(ride.tariffId);
+    } else {
+        const vehicle = await db.collection("vehicles").findOne({ _id: ride.vehicleId });
+        tariff = await getActiveTariff(vehicle ? vehicle.vehicleType : undefined);
+    }
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(rideId),
-                driverId: new ObjectId(driverId),
-                status: RIDE_STATUS.ONGOING
-            },
-            { $set: updateData }
-        );
+    // Final fare with the actual duration, a price locked by a quote is charged as is
+    const trip = ride.priceLocked
+        ? { fare: ride.fare, breakdown: null }
+        : calculateFare(tariff, { distanceKm: ride.distance, durationMinutes: duration / 60 }, ride.surgeMultiplier || 1);
+
+    // Waiting fee at the pickup is added on top of the trip fare
+    const waitingFee = ride.waitingFee || 0;
+    const fare = Math.round((trip.fare + waitingFee) * 100) / 100;
+    const breakdown = trip.breakdown && { ...trip.breakdown, waitingFee };
+
+    // Define update status 
+    const updateData = {
+        completedAt: new Date(),
+        duration,
+        fare,
+        fareBreakdown: breakdown,
+        tariffId: tariff._id,
+        tariffVersion: tariff.version
+    };
+
+    // Update status in database, only an ongoing ride can complete
+    const before = await transition(
+        collection,
+        { _id: new ObjectId(rideId), driverId: new ObjectId(driverId) },
+        RIDE_STATUS.COMPLETED,
+        { id: driverId, role: ROLES.DRIVER },
+        { at: updateData.completedAt, set: updateData }
+    );
+
+    // Check whether the ride exists in the database
+    if (!before) {
+        throw new NotFoundError("Ride not found or not in progress.", ERROR_CODES.RIDE_NOT_IN_PROGRESS);
+    }
 
-        // Check whether the ride exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Ride not found or not in progress." });
+    // Charge the final fare
+    await db.collection("payments").updateOne(
+        { rideId: new ObjectId(rideId), status: PAYMENT_STATUS.PENDING },
+        { $set: { amount: fare } }
+    );
+
+    return res.status(200).json({
+        message: "Ride completed successfully",
+        rideId: rideId,
+        status: RIDE_STATUS.COMPLETED,
+        completedAt: updateData.completedAt,
+        distance : ride.distance,
+        duration,
+        fare,
+        fareBreakdown: breakdown,
+        waitingFee,
+        tariffVersion: tariff.version,
+        surgeMultiplier: ride.surgeMultiplier || 1
+    });
+};
+
+/**
+ * Retrieves own open dispatch offers with the booking detail
+ */
+async function getOffer(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "dispatchOffers";
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Find open offers and their booking
+    const offers = await db.collection(collection).aggregate([
+        { $match: { driverId: new ObjectId(driverId), status: OFFER_STATUS.OFFERED, expiresAt: { $gt: new Date() } } },
+        { $sort: { offeredAt: -1 } },
+        {
+            $lookup: {
+                from: "bookings",
+                localField: "bookingId",
+                foreignField: "_id",
+                as: "booking"
+            }
+        },
+        { $unwind: "$booking" },
+        {
+            $project: {
+                _id: 1,
+                bookingId: 1,
+                distanceKm: 1,
+                offeredAt: 1,
+                expiresAt: 1,
+                booking: {
+                    pickupLocation: "$booking.pickupLocation",
+                    pickupAddress: "$booking.pickupAddress",
+                    dropoffLocation: "$booking.dropoffLocation",
+                    dropoffAddress: "$booking.dropoffAddress",
+                    requestedVehicleType: "$booking.requestedVehicleType",
+                    scheduledPickupAt: "$booking.scheduledPickupAt",
+                    estimatedDistance: "$booking.estimatedDistance",
+                    estimatedDuration: "$booking.estimatedDuration",
+                    estimatedFare: "$booking.estimatedFare"
+                }
+            }
         }
+    ]).toArray();
 
-        return res.status(200).json({
-            message: "Ride completed successfully",
-            rideId: rideId,
-            status: updateData.status,
-            completedAt: updateData.completedAt,
-            distance : ride.distance,
-            duration,
-            fare : ride.fare
-        });
-    } catch (err) {
-        console.error("Complete Ride Error:", err);
-        return res.status(500).json({ error: "Failed to complete ride" });
+    return res.status(200).json({
+        message: "Offers retrieved successfully",
+        offers
+    });
+};
+
+/**
+ * Driver accepts a dispatch offer before its deadline. Creates the ride of the booking.
+ */
+async function acceptOffer(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "dispatchOffers";
+
+    // Define offer id
+    const offerId = req.params.id;
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Find the open offer of the driver
+    const offer = await db.collection(collection).findOne({
+        _id: new ObjectId(offerId),
+        driverId: new ObjectId(driverId),
+        status: { $in: [OFFER_STATUS.OFFERED, OFFER_STATUS.EXPIRED] }
+    });
+
+    // Check whether the offer exists in the database
+    if (!offer) {
+        throw new NotFoundError("Offer not found or already answered.", ERROR_CODES.OFFER_NOT_FOUND);
+    }
+
+    // Check whether the offer is still open
+    if (offer.status === OFFER_STATUS.EXPIRED || offer.expiresAt <= new Date()) {
+        throw new ConflictError("Offer has expired.", ERROR_CODES.OFFER_EXPIRED);
+    }
+
+    // Create the ride of the booking, the offer is closed as accepted
+    const ride = await acceptBookingForDriver(offer.bookingId.toString(), driverId);
+
+    return res.status(200).json({
+        message: "Offer accepted successfully",
+        offerId: offerId,
+        ride
+    });
+};
+
+/**
+ * Driver declines a dispatch offer, the booking is offered to the next driver
+ */
+async function declineOffer(req, res) {
+    // Define offer id
+    const offerId = req.params.id;
+
+    // Define driver id
+    const driverId = req.auth.id;
+
+    // Decline the offer and move the booking on
+    const offer = await declineDispatchOffer(offerId, driverId);
+
+    // Check whether the offer exists in the database
+    if (!offer) {
+        throw new NotFoundError("Offer not found or already answered.", ERROR_CODES.OFFER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Offer declined successfully",
+        offerId: offerId,
+        status: offer.status
+    });
 };
 
 //Export the drivers controller function
@@ -787,8 +1092,15 @@ module.exports = {
     getVehicle,
     updateVehicle,
     deactivateVehicle,
+    updateLocation,
     getBooking,
+    getScheduledBooking,
     acceptBooking,
+    getOffer,
+    acceptOffer,
+    declineOffer,
+    arriveRide,
+    markNoShow,
     startRide,
     completeRide
 };
\ No newline at end of file
@@ -9,10 +9,16 @@ const { ObjectId } = require('mongodb');
 const { getDB } = require('../db');
 
 // Import module for constants
-const { RIDE_STATUS } = require('../utils/constants');
+const { ERROR_CODES, PAYMENT_STATUS, RIDE_STATUS, ROLES } = require('../utils/constants');
+
+// Import module for error types
+const { NotFoundError, ConflictError } = require('../utils/errors');
 
 // Import modules for function
 const rideDetail = require('../utils/rideDetail');
+const { canTransition } = require('../utils/rideStateMachine');
+const { cancelRideCascade } = require('../utils/rideCancellation');
+const { cancellationFee, recordDriverCancellation } = require('../utils/cancellationPolicy');
 
 /**
  * View ride detail.
@@ -20,97 +26,155 @@ const rideDetail = require('../utils/rideDetail');
  * Shows enriched info about the other party.
  */
 async function getRideDetail(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define ride Id
-        const rideId = req.params.id;
-
-        // Define auth Id
-        const authId = req.auth.id;
-
-        // Retrieve ride detail
-        const ride = await rideDetail({
-            rideId: new ObjectId(rideId), 
-            authId: new ObjectId(authId),
-            isAdmin : false
-        });
-
-        // Check whether the ride exists in the database
-        if (!ride || ride.length === 0) {
-            return res.status(404).json({
-                error: "Ride not found or access denied"
-            });
-        }
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define ride Id
+    const rideId = req.params.id;
+
+    // Define auth Id
+    const authId = req.auth.id;
 
-        return res.status(200).json({
-            message: "Ride retrieved successfully",
-            ride
-        });
+    // Retrieve ride detail
+    const ride = await rideDetail({
+        rideId: new ObjectId(rideId), 
+        authId: new ObjectId(authId),
+        isAdmin : false
+    });
 
-    } catch (err) {
-        console.error("View Ride Error:", err);
-        return res.status(500).json({
-            error: "Failed to retrieve ride"
-        });
+    // Check whether the ride exists in the database
+    if (!ride || ride.length === 0) {
+        throw new NotFoundError("Ride not found or access denied", ERROR_CODES.RIDE_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Ride retrieved successfully",
+        ride
+    });
+};
+
+/**
+ * Find a ride of the account that the account may still cancel
+ */
+async function findCancellableRide(rideId, auth) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const ride = await db.collection("rides").findOne({
+        _id: new ObjectId(rideId),
+        $or: [
+            { userId: new ObjectId(auth.id) },
+            { driverId: new ObjectId(auth.id) }
+        ] // Only relevent user and driver can access
+    });
+
+    // Tell apart a missing ride from a ride that already started or ended
+    if (!ride) {
+        throw new NotFoundError("Ride not found.", ERROR_CODES.RIDE_NOT_FOUND);
+    }
+    if (!canTransition(ride.status, RIDE_STATUS.CANCELLED, auth.role)) {
+        throw new ConflictError(`Ride cannot be cancelled when ${ride.status}`, ERROR_CODES.RIDE_NOT_CANCELLABLE, { status: ride.status });
+    }
+    return ride;
+}
+
+/**
+ * Preview the fee of cancelling the ride now, before confirming the cancellation
+ */
+async function getCancellationFee(req, res) {
+    // Define ride Id
+    const rideId = req.params.id;
+
+    // Find the ride of the account
+    const ride = await findCancellableRide(rideId, req.auth);
+
+    // Fee of the cancellation policy
+    const policy = await cancellationFee(ride, req.auth.role);
+
+    return res.status(200).json({
+        message: "Cancellation fee retrieved successfully",
+        rideId: rideId,
+        ...policy
+    });
 };
 
 /**
- * Cancel the ride with PATCH Request to update status without delete the history of rides
+ * Cancel the ride with PATCH Request to update status without delete the history of rides.
+ * When a cancellation fee applies, the caller must confirm the fee (confirmFee) or gets the fee in a 409.
+ * The payment is voided or charged with the fee, the booking is cancelled or, when the driver cancels, returned to the pool.
  */
 async function cancelRide(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB()
+    // Access to mongoDB
+    const db = getDB()
 
-        // Define collection
-        const collection = "rides";
+    // Define collection
+    const collection = "rides";
 
-        // Define ride Id
-        const rideId = req.params.id;
+    // Define ride Id
+    const rideId = req.params.id;
 
-        // Define auth Id
-        const authId = req.auth.id;
+    // Define auth Id
+    const authId = req.auth.id;
 
-        // Define update status
-        const updateData = {
-            status : RIDE_STATUS.CANCELLED,
-            cancelledAt : new Date()
-        }
+    // Destructure user input from request body
+    const { confirmFee } = req.body;
+
+    // Find the ride of the account
+    const ride = await findCancellableRide(rideId, req.auth);
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(rideId),
-                $or: [
-                        { userId: new ObjectId(authId) },
-                        { driverId: new ObjectId(authId) }
-                    ], // Only relevent user and driver can access
-                status: RIDE_STATUS.ACCEPTED // The ride only able to cancel before the ride start
-            },
-            { $set: updateData }
-        );
-
-        // Check whether the ride exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Ride not found." });
+    // The fee grows with time, so the caller confirms the highest fee accepted
+    const cancelledAt = new Date();
+    const policy = await cancellationFee(ride, req.auth.role, cancelledAt);
+    if (policy.cancellationFee > 0 && !(confirmFee >= policy.cancellationFee)) {
+        throw new ConflictError("A cancellation fee applies, confirm the fee to cancel.", ERROR_CODES.CANCELLATION_FEE_NOT_CONFIRMED, policy);
+    }
+
+    // Define update status
+    const updateData = {
+        cancelledAt,
+        cancelledBy : new ObjectId(authId),
+        cancelledByRole : req.auth.role,
+        cancellationFee : policy.cancellationFee,
+        cancellationFeeChargedTo : policy.chargedTo
+    }
+
+    // Update status in database, the ride only able to cancel before the ride start
+    const result = await cancelRideCascade(
+        { _id: ride._id, userId: ride.userId, driverId: ride.driverId },
+        { id: authId, role: req.auth.role },
+        {
+            at: cancelledAt,
+            set: updateData,
+            fee: policy.cancellationFee > 0 ? { amount: policy.cancellationFee, type: "cancellation", chargedTo: policy.chargedTo } : null
         }
+    );
 
-        return res.status(200).json({
-            message: "Ride cancelled successfully",
-            rideId: rideId,
-            status: RIDE_STATUS.CANCELLED
-        });
-    } catch (err) {
-        console.error("Cancel Ride Error:", err);
-        return res.status(500).json({ error: "Failed to cancel ride" });
+    // The ride started or was cancelled meanwhile
+    if (!result) {
+        const current = await db.collection(collection).findOne({ _id: ride._id }, { projection: { status: 1 } });
+        throw new ConflictError(`Ride cannot be cancelled when ${current.status}`, ERROR_CODES.RIDE_NOT_CANCELLABLE, { status: current.status });
     }
+
+    // A driver cancellation counts against the record of the driver
+    if (req.auth.role === ROLES.DRIVER) {
+        await recordDriverCancellation(authId, cancelledAt);
+    }
+
+    return res.status(200).json({
+        message: "Ride cancelled successfully",
+        rideId: rideId,
+        status: RIDE_STATUS.CANCELLED,
+        bookingId: result.ride.bookingId,
+        bookingStatus: result.bookingStatus, // requested when the booking is returned to the pool
+        cancellationFee: policy.cancellationFee,
+        chargedTo: policy.chargedTo,
+        paymentStatus: policy.chargedTo === ROLES.USER ? PAYMENT_STATUS.PENDING : PAYMENT_STATUS.VOIDED // Fee of the user is paid as the ride payment
+    });
 };
 
 //Export the rides controller function
 module.exports = {
     getRideDetail,
+    getCancellationFee,
     cancelRide
 };
\ No newline at end of file
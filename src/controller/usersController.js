@@ -7,679 +7,847 @@
 const { ObjectId } = require('mongodb');
 const { getDB } = require('../db');
 
-// Import modules for password hashing and authentication
+// Import module for password hashing
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const saltRounds = 10;
 
 // Import module for constants
-const { ACCOUNT_STATUS, ROLES, PAYMENT_METHOD, VEHICLE_TYPE, RIDE_STATUS, PAYMENT_STATUS } = require('../utils/constants');
+const { ACCOUNT_STATUS, ERROR_CODES, ROLES, RIDE_STATUS, PAYMENT_STATUS } = require('../utils/constants');
+
+// Import module for error types
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError } = require('../utils/errors');
 
 // Import modules for function
 const checkStatus = require('../utils/checkStatus');
+const { DUMMY_PASSWORD_HASH, checkLoginThrottle, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+const { isTwoFactorEnabled, signChallengeToken } = require('../utils/twoFactor');
+const { createSession } = require('../utils/sessions');
+const { sendVerificationCode } = require('../utils/verification');
+const { locationFields } = require('../utils/geo');
+const { estimateRoute } = require('../utils/routeEstimator');
+const { priceTrip } = require('../utils/fareEngine');
+const { getSurgeMultiplier } = require('../utils/surgePricing');
+const { createQuote, verifyQuote, sameCoordinates } = require('../utils/fareQuote');
+const { scheduleFields } = require('../utils/scheduledBooking');
+const { initialDispatch, startDispatch, withdrawOffers, cancelDispatch, dispatchProgress } = require('../utils/dispatch');
+const { historyEntry, transition } = require('../utils/rideStateMachine');
 
 /**
  * Registers a new user and stores a hashed password in the database.
  */
 async function userRegistration(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "users";
+    // Define collection
+    const collection = "users";
 
-        // Destructure user input from request body
-        const { username, phone, email, password, preferPay, bankAccountNumber } = req.body;
-
-        // Validate required fields
-        if (!username || !phone || !email || !password || !preferPay) {
-            return res.status(400).json({ error: "Missing information." });
-        }
-
-        // Check the validity of payment method
-        if (!Object.values(PAYMENT_METHOD).includes(preferPay)) {
-            return res.status(400).json({
-                error: "Invalid payment method"
-            });
-        }
-        
-        // Check whether the email already exists in the database
-        const existingAcc = await db.collection(collection).findOne({ email: email });
-        if (existingAcc) {
-            return res.status(409).json({ error: "Account already registered." });
-        }
+    // Destructure user input from request body
+    const { username, phone, email, password, preferPay, bankAccountNumber } = req.body;
 
-        // Hash the password before storing it to prevent plaintext password leaks
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-        
-        // Prepare New user object to insert into database
-        const newAccount = {
-            role : ROLES.USER,
-            username,
-            phone,
-            email,
-            password: hashedPassword,
-            preferPay,
-            bankAccountNumber : bankAccountNumber || null,
-            createdAt: new Date(),
-            status : ACCOUNT_STATUS.ACTIVE
-        };
-
-        // Insert new user document into MongoDB
-        const result = await db.collection(collection).insertOne(newAccount);
-
-        // Return success response with minimal user info (without password)
-        return res.status(201).json({
-            message: `User registered successfully`,
-            id: result.insertedId,
-            username,
-            email
-        });
-
-    } catch (err) {
-        console.error("Register Error:", err);
-        res.status(500).json({ error: "Registration failed." });
+    // Check whether the email already exists in the database
+    const existingAcc = await db.collection(collection).findOne({ email: email });
+    if (existingAcc) {
+        throw new ConflictError("Account already registered.", ERROR_CODES.ACCOUNT_ALREADY_EXISTS);
     }
+
+    // Hash the password before storing it to prevent plaintext password leaks
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Prepare New user object to insert into database
+    const newAccount = {
+        role : ROLES.USER,
+        username,
+        phone,
+        email,
+        password: hashedPassword,
+        preferPay,
+        bankAccountNumber : bankAccountNumber || null,
+        emailVerifiedAt: null,
+        phoneVerifiedAt: null,
+        createdAt: new Date(),
+        status : ACCOUNT_STATUS.PENDING_VERIFICATION // Active after email and phone verified
+    };
+
+    // Insert new user document into MongoDB
+    const result = await db.collection(collection).insertOne(newAccount);
+
+    // Send verification codes to email and phone
+    newAccount._id = result.insertedId;
+    await sendVerificationCode(newAccount, "email");
+    await sendVerificationCode(newAccount, "phone");
+
+    // Return success response with minimal user info (without password)
+    return res.status(201).json({
+        message: `User registered successfully. Verify email and phone to activate the account.`,
+        id: result.insertedId,
+        username,
+        email,
+        status: ACCOUNT_STATUS.PENDING_VERIFICATION
+    });
 };
 
 /**
- * Authenticates user credentials and returns a JWT token.
+ * Authenticates user credentials and returns a JWT token and refresh token.
  */
 async function userLogin(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-        
-        // Destructure user input from request body
-        const { email, password } = req.body;
-        
-        // Validate required fields
-        if (!email || !password) {
-            return res.status(400).json({ error: "Email and password are required." });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Check whether the email already exists in the database
-        const existingAcc = await db.collection(collection).findOne({ email: email });
-        if (!existingAcc) {
-            return res.status(404).json({ error: "User not registered." });
-        }
+    // Define collection
+    const collection = "users";
 
-        // Check the existing account status whether active or deactive
-        if (!checkStatus(existingAcc, ACCOUNT_STATUS.ACTIVE)) {
-            return res.status(403).json({ error: "Account not active" });
-        }
+    // Destructure user input from request body
+    const { email, password } = req.body;
 
-        // Compare the input password with the hashed password stored in the database
-        const isMatch = await bcrypt.compare(password, existingAcc.password);
-        if (!isMatch) {
-            return res.status(401).json({ error: "Invalid credentials." });
-        }
+    // Check whether the account or client is temporarily locked
+    const attempt = { role: ROLES.USER, email, ip: req.ip };
+    const throttle = await checkLoginThrottle(attempt);
+    if (throttle.locked) {
+        throw new TooManyRequestsError("Too many failed login attempts. Try again later.", ERROR_CODES.LOGIN_LOCKED, throttle.retryAfter);
+    }
 
-        // Generate JWT for authenticated user
-        const token = jwt.sign(
-            {
-                id: existingAcc._id.toString(),
-                role: existingAcc.role
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN }
-        );
+    // Find the account, compare against a dummy hash when the email is not registered
+    // so that neither the response nor its timing reveals whether the email exists
+    const existingAcc = await db.collection(collection).findOne({ email: email });
+    const isMatch = await bcrypt.compare(password, existingAcc ? existingAcc.password : DUMMY_PASSWORD_HASH);
+    if (!existingAcc || !isMatch) {
+        await recordLoginFailure(attempt);
+        throw new UnauthorizedError("Invalid credentials.", ERROR_CODES.INVALID_CREDENTIALS);
+    }
+
+    // Reset failed login of the account
+    await clearLoginFailures(attempt);
+
+    // Check whether the account has completed email and phone verification
+    if (checkStatus(existingAcc, ACCOUNT_STATUS.PENDING_VERIFICATION)) {
+        throw new ForbiddenError("Account not verified", ERROR_CODES.ACCOUNT_NOT_VERIFIED);
+    }
 
-        // Successful login response with return token
+    // Check the existing account status whether active or deactive
+    if (!checkStatus(existingAcc, ACCOUNT_STATUS.ACTIVE)) {
+        throw new ForbiddenError("Account not active", ERROR_CODES.ACCOUNT_NOT_ACTIVE);
+    }
+
+    // Two-step login when two-factor authentication is enabled
+    if (isTwoFactorEnabled(existingAcc)) {
         return res.status(200).json({
-            message: "Login successful",
-            token,
-            user: {
-                id: existingAcc._id,
-                username: existingAcc.username,
-                email: existingAcc.email,
-                phone: existingAcc.phone
-            }
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken: signChallengeToken(existingAcc)
         });
-
-    } catch (err) {
-        console.error("Login Error:", err);
-        return res.status(500).json({ error: "Failed to login." });
     }
+
+    // Create a login session with access token and refresh token
+    const { token, refreshToken } = await createSession(existingAcc, req);
+
+    // Successful login response with return token
+    return res.status(200).json({
+        message: "Login successful",
+        token,
+        refreshToken,
+        user: {
+            id: existingAcc._id,
+            username: existingAcc.username,
+            email: existingAcc.email,
+            phone: existingAcc.phone
+        }
+    });
 };
 
 /**
  * Retrieves the profile of the authenticated user.
  */
 async function getProfile(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-        
-        // Define user id
-        const userId = req.params.id; // userId from req.params.id in the string form
-
-        // Ensure the authenticated user can only access their own profile
-        if (req.auth.id !== userId) {
-            return res.status(403).json({ error: "Forbidden" });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Find user profile while excluding sensitive fields
-        const user = await db.collection(collection).findOne(
-            { _id: new ObjectId(userId) },
-            { projection: { password: 0 } } // Ignore the password for security
-        );
+    // Define collection
+    const collection = "users";
 
-        // Check whether the user exists in the database
-        if (!user) {
-            return res.status(404).json({ error: "User not found" });
-        }
+    // Define user id
+    const userId = req.params.id; // userId from req.params.id in the string form
 
-        return res.status(200).json({
-            message: "User profile retrieved successfully",
-            user
-        });
+    // Ensure the authenticated user can only access their own profile
+    if (req.auth.id !== userId) {
+        throw new ForbiddenError("Forbidden", ERROR_CODES.FORBIDDEN);
+    }
 
-    } catch (err) {
-        console.error("View Profile Error:", err);
-        return res.status(500).json({ error: "Failed to retrieve profile" });
+    // Find user profile while excluding sensitive fields
+    const user = await db.collection(collection).findOne(
+        { _id: new ObjectId(userId) },
+        { projection: { password: 0, twoFactor: 0 } } // Ignore the password and two-factor secret for security
+    );
+
+    // Check whether the user exists in the database
+    if (!user) {
+        throw new NotFoundError("User not found", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "User profile retrieved successfully",
+        user
+    });
 };
 
 /**
  * Update the profile of the authenticated user.
  */
 async function updateProfile(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-        
-        // Define user id
-        const userId = req.params.id;
-
-        // Ensure the authenticated user can only access their own profile
-        if (req.auth.id !== userId) {
-            return res.status(403).json({ error: "Forbidden" });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Fix the field that allow to update
-        const allowedFields = [
-            "username",
-            "phone",
-            "preferPay",
-            "bankAccountNumber"
-        ];
+    // Define collection
+    const collection = "users";
 
-        const updateData = {};
+    // Define user id
+    const userId = req.params.id;
 
-        // Filter valid update field from request body
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updateData[field] = req.body[field];
-            }
-        }
-
-        // Check the validity of payment method if provided
-        if (
-            req.body.preferPay &&
-            !Object.values(PAYMENT_METHOD).includes(req.body.preferPay)
-        ) {
-            return res.status(400).json({
-                error: "Invalid payment method"
-            });
-        }
+    // Ensure the authenticated user can only access their own profile
+    if (req.auth.id !== userId) {
+        throw new ForbiddenError("Forbidden", ERROR_CODES.FORBIDDEN);
+    }
 
-        // No update process when the updateData is empty
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "No valid fields provided for update" });
-        }
+    // Fix the field that allow to update
+    const allowedFields = [
+        "username",
+        "phone",
+        "preferPay",
+        "bankAccountNumber"
+    ];
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            { _id: new ObjectId(userId) },
-            { $set: updateData }
-        );
+    const updateData = {};
 
-        // Check whether the user exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "User not found" });
+    // Filter valid update field from request body
+    for (const field of allowedFields) {
+        if (req.body[field] !== undefined) {
+            updateData[field] = req.body[field];
         }
+    }
 
-        return res.status(200).json({
-            message: "Profile updated successfully",
-            updatedFields: updateData
-        });
+    // No update process when the updateData is empty
+    if (Object.keys(updateData).length === 0) {
+        throw new BadRequestError("No valid fields provided for update", ERROR_CODES.NO_UPDATE_FIELDS);
+    }
 
-    } catch (err) {
-        console.error("Update Profile Error:", err);
-        return res.status(500).json({ error: "Failed to update profile" });
+    // Update data in database
+    const result = await db.collection(collection).updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: updateData }
+    );
+
+    // Check whether the user exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("User not found", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "Profile updated successfully",
+        updatedFields: updateData
+    });
 };
 
 /**
  * Deactivate own user account
  */
 async function deactivateProfile(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "users";
-        
-        // Define user id
-        const userId = req.params.id;
-        
-        // Ensure the authenticated user can only access their own profile
-        if (req.auth.id !== userId) {
-            return res.status(403).json({ error: "Forbidden" });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define update status
-        const updateData = {
-            status : ACCOUNT_STATUS.INACTIVE,
-            deactivatedAt : new Date()
-        }
+    // Define collection
+    const collection = "users";
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(userId),
-                status: ACCOUNT_STATUS.ACTIVE
-            },
-            { $set: updateData }
-        );
+    // Define user id
+    const userId = req.params.id;
 
-        // Check whether the user exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "User not found." });
-        }
+    // Ensure the authenticated user can only access their own profile
+    if (req.auth.id !== userId) {
+        throw new ForbiddenError("Forbidden", ERROR_CODES.FORBIDDEN);
+    }
 
-        return res.status(200).json({
-            message: "User deactivate successfully",
-            userId: userId,
-            status: ACCOUNT_STATUS.INACTIVE
-        });
-    } catch (err) {
-        console.error("Deactivate User Error:", err);
-        return res.status(500).json({ error: "Failed to deactivate account" });
+    // Define update status
+    const updateData = {
+        status : ACCOUNT_STATUS.INACTIVE,
+        deactivatedAt : new Date()
+    }
+
+    // Update status in database
+    const result = await db.collection(collection).updateOne(
+        {
+            _id: new ObjectId(userId),
+            status: ACCOUNT_STATUS.ACTIVE
+        },
+        { $set: updateData }
+    );
+
+    // Check whether the user exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("User not found.", ERROR_CODES.USER_NOT_FOUND);
     }
+
+    return res.status(200).json({
+        message: "User deactivate successfully",
+        userId: userId,
+        status: ACCOUNT_STATUS.INACTIVE
+    });
 };
 
 /**
- * Create new booking.
+ * Quote the fare of a trip for every vehicle type.
+ * The returned quote id locks the price when used to create a booking before it expires.
  */
-async function createBooking(req, res) {
+async function getQuote(req, res) {
+    // Destructure user input from request body
+    const { pickupLocation, dropoffLocation } = req.body;
+
+    // Estimate the trip and price it with the current tariffs
+    const quote = await createQuote(req.auth.id, pickupLocation, dropoffLocation);
+
+    return res.status(200).json({
+        message: "Quote retrieved successfully",
+        ...quote
+    });
+};
+
+/**
+ * Insert a new booking of the user and start its dispatch.
+ * With a quote id the quoted trip and price are used, otherwise the trip is estimated and priced now.
+ * extra: other fields stored on the booking, e.g. rerequestedFrom
+ * Returns the booking summary sent in the response.
+ */
+async function insertBooking(userId, { pickupLocation, dropoffLocation, requestedVehicleType, quoteId, scheduledPickupAt }, extra = {}) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "bookings";
+
+    const pickup = locationFields("pickup", pickupLocation); // pickupLocation (GeoJSON Point) and pickupAddress
+    const dropoff = locationFields("dropoff", dropoffLocation); // dropoffLocation (GeoJSON Point) and dropoffAddress
+    const schedule = scheduleFields(scheduledPickupAt); // Immediate booking when no pickup time is given
+
+    let route;
+    let price;
+    let quote = null;
+    if (quoteId) {
+        // Use the locked price of the quote, the trip must be the quoted one
+        quote = verifyQuote(quoteId, userId);
+        if (!sameCoordinates(pickupLocation, quote.pickup) || !sameCoordinates(dropoffLocation, quote.dropoff)) {
+            throw new BadRequestError("Pickup and dropoff must be the same as the quote.", ERROR_CODES.QUOTE_MISMATCH);
+        }
+
+        const quoted = quote.fares.find(fare => fare.vehicleType === requestedVehicleType);
+        if (!quoted) {
+            throw new BadRequestError("Vehicle type is not part of the quote.", ERROR_CODES.QUOTE_MISMATCH);
+        }
+
+        route = { distanceKm: quote.distanceKm, durationMinutes: quote.durationMinutes };
+        price = {
+            fare: quoted.fare,
+            tariffId: new ObjectId(quoted.tariffId),
+            tariffVersion: quoted.tariffVersion,
+            pricedVehicleType: quoted.vehicleType,
+            surgeMultiplier: quote.surgeMultiplier || 1
+        };
+    } else {
+        // Estimate road distance and duration of the trip, then price it with the tariff of the vehicle type.
+        // Surge of the pickup area applies to immediate booking only, the demand at a future pickup time is unknown.
+        route = await estimateRoute(pickup.pickupLocation, dropoff.dropoffLocation);
+        const surgeMultiplier = schedule.scheduledPickupAt ? 1 : await getSurgeMultiplier(pickup.pickupLocation);
+        price = await priceTrip(requestedVehicleType, route, surgeMultiplier);
+    }
+
+    // Prepare booking detail to insert into database
+    const bookingDetail = {
+        userId : userId,
+        ...pickup,
+        ...dropoff,
+        requestedVehicleType : requestedVehicleType || null,
+        ...schedule, // scheduledPickupAt, releaseAt (shown to drivers), acceptDeadline (auto-cancel), reminderSentAt
+        estimatedDistance : route.distanceKm, // km
+        estimatedDuration : route.durationMinutes, // minutes
+        estimatedFare : price.fare,
+        tariffId : price.tariffId,
+        tariffVersion : price.tariffVersion,
+        pricedVehicleType : price.pricedVehicleType, // Default vehicle type when none is requested
+        surgeMultiplier : price.surgeMultiplier,
+        quoteJti : quote ? quote.jti : null, // A quote can be used by one booking only
+        priceLocked : !!quote, // Quoted price is charged as is
+        dispatch : initialDispatch(schedule.releaseAt || new Date()), // Automatic dispatch, from the release time of a scheduled booking
+        ...extra,
+        createdAt : new Date(),
+        status : RIDE_STATUS.REQUESTED, // Status selection: requested / accepted / cancelled / expired
+        statusHistory : [historyEntry(RIDE_STATUS.REQUESTED, { id: userId, role: ROLES.USER })] // Timeline of status changes
+    };
+
+    // Insert booking into MongoDB, the unique index rejects a quote that is already used
+    let result;
     try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "bookings";
-        
-        // Destructure user input from request body
-        const { pickupLocation, dropoffLocation, requestedVehicleType } = req.body;
-        
-        const userId = new ObjectId(req.auth.id); // Save the id in ObjectId form
-        const estimatedDistance = 10; // Temporary fixed distance (10 km).
-        const estimatedFare = 4.1 + (estimatedDistance * 2);
-
-        // Validate required fields
-        if (!pickupLocation || !dropoffLocation || !requestedVehicleType) {
-            return res.status(400).json({ error: "Missing information." });
+        result = await db.collection(collection).insertOne(bookingDetail);
+    } catch (err) {
+        if (err.code === 11000 && quote) {
+            throw new ConflictError("Quote has already been used.", ERROR_CODES.QUOTE_ALREADY_USED);
         }
+        throw err;
+    }
 
-        // Check the validity of vehicle type
-        if (!Object.values(VEHICLE_TYPE).includes(requestedVehicleType)) {
-            return res.status(400).json({
-                error: "Invalid vehicle type."
-            });
-        }
+    // Offer an immediate booking to the best driver now, the dispatch job takes over from here
+    if (!schedule.scheduledPickupAt) {
+        await startDispatch(result.insertedId);
+    }
 
-        // Prepare booking detail to insert into database
-        const bookingDetail = {
-            userId : userId,
-            pickupLocation,
-            dropoffLocation,
-            requestedVehicleType : requestedVehicleType || null,
-            estimatedDistance : estimatedDistance,
-            estimatedFare : estimatedFare,
-            createdAt : new Date(),
-            status : RIDE_STATUS.REQUESTED // Status selection: requested / accepted / cancelled
-        };
+    return {
+        bookingId: result.insertedId,
+        scheduledPickupAt: bookingDetail.scheduledPickupAt,
+        estimatedDistance: bookingDetail.estimatedDistance,
+        estimatedDuration: bookingDetail.estimatedDuration,
+        estimatedFare: bookingDetail.estimatedFare,
+        fareBreakdown: price.breakdown || null,
+        tariffVersion: price.tariffVersion,
+        surgeMultiplier: price.surgeMultiplier,
+        priceLocked: bookingDetail.priceLocked
+    };
+}
 
-        // Insert booking into MongoDB
-        const result = await db.collection(collection).insertOne(bookingDetail);
+/**
+ * Create new booking.
+ * With a quote id the quoted trip and price are used, otherwise the trip is estimated and priced now.
+ */
+async function createBooking(req, res) {
+    // Define user id
+    const userId = new ObjectId(req.auth.id); // Save the id in ObjectId form
 
-        return res.status(201).json({
-            message: `Booking successfully`,
-            bookingId: result.insertedId,
-        });
+    // Insert the booking from the request body
+    const booking = await insertBooking(userId, req.body);
 
-    } catch (err) {
-        console.error("Create Booking Error:", err);
-        return res.status(500).json({ error: "Failed to create booking" });
-    }
+    return res.status(201).json({
+        message: `Booking successfully`,
+        ...booking
+    });
 };
 
 /**
  * View booking detail (user only).
  */
 async function getBooking(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "bookings";
-       
-        // Define booking id
-        const bookingId = req.params.id;
-
-        // Define user id
-        const userId = req.auth.id;
-        
-        // Retrieve booking information in database
-        const booking = await db.collection(collection).findOne({
-            _id: new ObjectId(bookingId),
-            userId: new ObjectId(userId)
-        });
+    // Access to mongoDB
+    const db = getDB();
 
-        // Check whether the booking exists in the database
-        if (!booking) {
-            return res.status(404).json({
-                error: "Booking not found or access denied"
-            });
-        }
+    // Define collection
+    const collection = "bookings";
 
-        return res.status(200).json({
-            message: "Booking retrieved successfully",
-            booking
-        });
+    // Define booking id
+    const bookingId = req.params.id;
 
-    } catch (err) {
-        console.error("View Booking Error:", err);
-        return res.status(500).json({
-            error: "Failed to retrieve booking"
-        });
+    // Define user id
+    const userId = req.auth.id;
+
+    // Retrieve booking information in database
+    const booking = await db.collection(collection).findOne({
+        _id: new ObjectId(bookingId),
+        userId: new ObjectId(userId)
+    });
+
+    // Check whether the booking exists in the database
+    if (!booking) {
+        throw new NotFoundError("Booking not found or access denied", ERROR_CODES.BOOKING_NOT_FOUND);
     }
+
+    // Dispatch is shown as progress only, without the drivers it was offered to
+    const { dispatch, quoteJti, ...detail } = booking;
+
+    // Trip PIN to give the driver at pickup, while the ride waits to start
+    const ride = await db.collection("rides").findOne(
+        { bookingId: booking._id, status: { $in: [RIDE_STATUS.ACCEPTED, RIDE_STATUS.ARRIVED] } },
+        { projection: { tripPin: 1 } }
+    );
+
+    return res.status(200).json({
+        message: "Booking retrieved successfully",
+        booking: { ...detail, dispatch: dispatchProgress(booking), tripPin: ride ? ride.tripPin || null : null }
+    });
+};
+
+/**
+ * View the progress of automatic dispatch of own booking ("searching for driver")
+ */
+async function getDispatch(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "bookings";
+
+    // Define booking id
+    const bookingId = req.params.id;
+
+    // Define user id
+    const userId = req.auth.id;
+
+    // Retrieve booking information in database
+    const booking = await db.collection(collection).findOne(
+        { _id: new ObjectId(bookingId), userId: new ObjectId(userId) },
+        { projection: { status: 1, dispatch: 1 } }
+    );
+
+    // Check whether the booking exists in the database
+    if (!booking) {
+        throw new NotFoundError("Booking not found or access denied", ERROR_CODES.BOOKING_NOT_FOUND);
+    }
+
+    return res.status(200).json({
+        message: "Dispatch progress retrieved successfully",
+        bookingId: bookingId,
+        status: booking.status,
+        dispatch: dispatchProgress(booking)
+    });
 };
 
 /**
  * Update the booking detail
  */
 async function updateBooking(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "bookings";
-        
-        // Define booking id
-        const bookingId = req.params.id;
-
-        // Define user id
-        const userId = req.auth.id;
-
-        // Fix the field that allow to update
-        const allowedFields = [
-            "pickupLocation",
-            "dropoffLocation",
-            "requestedVehicleType"
-        ];
-
-        const updateData = {};
-
-        // Check the validity of vehicle type if provided
-        if (
-            req.body.requestedVehicleType &&
-            !Object.values(VEHICLE_TYPE).includes(req.body.requestedVehicleType)
-        ) {
-            return res.status(400).json({
-                error: "Invalid vehicle type."
-            });
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Filter valid update field from request body
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updateData[field] = req.body[field];
-            }
-        };
+    // Define collection
+    const collection = "bookings";
 
-        // No update process when the updateData is empty
-        if (Object.keys(updateData).length === 0) {
-            return res.status(400).json({ error: "No valid fields provided for update" });
-        }
+    // Define booking id
+    const bookingId = req.params.id;
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(bookingId),
-                userId: new ObjectId(userId),
-                status: RIDE_STATUS.REQUESTED
-            },
-            { $set: updateData }
-        );
+    // Define user id
+    const userId = req.auth.id;
+
+    // Fix the field that allow to update
+    const allowedFields = [
+        "pickupLocation",
+        "dropoffLocation",
+        "requestedVehicleType"
+    ];
+
+    const updateData = {};
 
-        // Check whether the booking exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Booking not found" });
+    // Filter valid update field from request body
+    for (const field of allowedFields) {
+        if (req.body[field] === undefined) continue;
+
+        if (field === "pickupLocation") {
+            Object.assign(updateData, locationFields("pickup", req.body.pickupLocation));
+        } else if (field === "dropoffLocation") {
+            Object.assign(updateData, locationFields("dropoff", req.body.dropoffLocation));
+        } else {
+            updateData[field] = req.body[field];
         }
+    };
 
-        return res.status(200).json({
-            message: "Booking updated successfully",
-            updatedFields: updateData
-        });
+    // No update process when the updateData is empty
+    if (Object.keys(updateData).length === 0) {
+        throw new BadRequestError("No valid fields provided for update", ERROR_CODES.NO_UPDATE_FIELDS);
+    }
 
-    } catch (err) {
-        console.error("Update Booking Error:", err);
-        return res.status(500).json({ error: "Failed to update booking" });
+    // Filter of own booking that is not yet accepted
+    const filter = {
+        _id: new ObjectId(bookingId),
+        userId: new ObjectId(userId),
+        status: RIDE_STATUS.REQUESTED
+    };
+
+    // Find the booking to estimate and price the trip again
+    const booking = await db.collection(collection).findOne(filter);
+    if (!booking) {
+        throw new NotFoundError("Booking not found", ERROR_CODES.BOOKING_NOT_FOUND);
+    }
+
+    // Estimate the trip again when pickup or dropoff changes
+    let route = { distanceKm: booking.estimatedDistance, durationMinutes: booking.estimatedDuration };
+    if (updateData.pickupLocation || updateData.dropoffLocation) {
+        route = await estimateRoute(
+            updateData.pickupLocation || booking.pickupLocation,
+            updateData.dropoffLocation || booking.dropoffLocation
+        );
+        updateData.estimatedDistance = route.distanceKm;
+        updateData.estimatedDuration = route.durationMinutes;
+    }
+
+    // Price with the current tariff of the (new) vehicle type and the current surge of the pickup area
+    const vehicleType = req.body.requestedVehicleType !== undefined ? req.body.requestedVehicleType : booking.requestedVehicleType;
+    const surgeMultiplier = booking.scheduledPickupAt ? 1 : await getSurgeMultiplier(updateData.pickupLocation || booking.pickupLocation);
+    const price = await priceTrip(vehicleType, route, surgeMultiplier);
+    updateData.estimatedFare = price.fare;
+    updateData.tariffId = price.tariffId;
+    updateData.tariffVersion = price.tariffVersion;
+    updateData.pricedVehicleType = price.pricedVehicleType;
+    updateData.surgeMultiplier = price.surgeMultiplier;
+    updateData.priceLocked = false; // Changing the trip drops the price locked by a quote
+
+    // Dispatch again from the start when the pickup or vehicle type changes, the drivers offered so far were chosen for the old trip
+    const now = new Date();
+    const dispatchAt = booking.releaseAt && booking.releaseAt > now ? booking.releaseAt : now;
+    const restartDispatch = !!booking.dispatch && (!!updateData.pickupLocation || updateData.requestedVehicleType !== undefined);
+
+    // Update data in database
+    const result = await db.collection(collection).updateOne(
+        filter,
+        { $set: restartDispatch ? { ...updateData, dispatch: initialDispatch(dispatchAt) } : updateData }
+    );
+
+    // Check whether the booking exists in the database
+    if (result.matchedCount === 0) {
+        throw new NotFoundError("Booking not found", ERROR_CODES.BOOKING_NOT_FOUND);
+    }
+
+    // Withdraw the offers of the old trip and offer an immediate or released booking to a driver now
+    if (restartDispatch) {
+        await withdrawOffers(booking._id);
+        if (dispatchAt <= now) await startDispatch(booking._id);
     }
+
+    return res.status(200).json({
+        message: "Booking updated successfully",
+        updatedFields: updateData
+    });
 };
 
 /**
  * Cancel the booking with PATCH Request to update status without delete the history of booking
  */
 async function cancelBooking(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-
-        // Define collection
-        const collection = "bookings";
-        
-        // Define booking id
-        const bookingId = req.params.id;
-
-        // Define user id
-        const userId = req.auth.id;
-
-        // Define update status
-        const updateData = {
-            status : RIDE_STATUS.CANCELLED,
-            cancelledAt : new Date()
-        }
+    // Access to mongoDB
+    const db = getDB();
 
-        // Update status in database
-        const result = await db.collection(collection).updateOne(
-            {
-                _id: new ObjectId(bookingId),
-                userId: new ObjectId(userId),
-                status: RIDE_STATUS.REQUESTED
-            },
-            { $set: updateData }
-        );
+    // Define collection
+    const collection = "bookings";
 
-        // Check whether the booking exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Booking not found." });
-        }
+    // Define booking id
+    const bookingId = req.params.id;
 
-        return res.status(200).json({
-            message: "Booking cancelled successfully",
-            bookingId: bookingId,
-            status: RIDE_STATUS.CANCELLED
-        });
-    } catch (err) {
-        console.error("Cancel Booking Error:", err);
-        return res.status(500).json({ error: "Failed to cancel booking" });
+    // Define user id
+    const userId = req.auth.id;
+
+    // Define update status
+    const updateData = {
+        cancelledAt : new Date()
     }
+
+    // Update status in database, only a requested booking can be cancelled by the user
+    const before = await transition(
+        collection,
+        { _id: new ObjectId(bookingId), userId: new ObjectId(userId), status: RIDE_STATUS.REQUESTED },
+        RIDE_STATUS.CANCELLED,
+        { id: userId, role: ROLES.USER },
+        { at: updateData.cancelledAt, set: updateData }
+    );
+
+    // Check whether the booking exists in the database
+    if (!before) {
+        throw new NotFoundError("Booking not found.", ERROR_CODES.BOOKING_NOT_FOUND);
+    }
+
+    // Withdraw the open dispatch offer
+    await cancelDispatch(new ObjectId(bookingId));
+
+    return res.status(200).json({
+        message: "Booking cancelled successfully",
+        bookingId: bookingId,
+        status: RIDE_STATUS.CANCELLED
+    });
 };
 
 /**
- * User pay after ride completed.
+ * Request again a cancelled or expired booking with the same trip and vehicle type.
+ * The new booking is priced now, the old booking is kept as history and can be requested again once only.
  */
-async function makePayment(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
+async function rerequestBooking(req, res) {
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define collection
-        const collection = "payments";
-        
-        // Define ride id
-        const rideId = req.params.id;
+    // Define collection
+    const collection = "bookings";
 
-        // Define user id
-        const userId = req.auth.id;
+    // Define booking id
+    const bookingId = req.params.id;
 
-        // Destructure user input from request body
-        const { paymentMethod, transactionReferences } = req.body;
+    // Define user id
+    const userId = new ObjectId(req.auth.id);
 
-        // Validate required fields
-        if (!paymentMethod || !transactionReferences) {
-            return res.status(400).json({ error: "Missing information." });
-        }
+    // Find the booking of the user
+    const booking = await db.collection(collection).findOne({ _id: new ObjectId(bookingId), userId });
 
-        // Check the validity of payment method
-        if (!Object.values(PAYMENT_METHOD).includes(paymentMethod)) {
-            return res.status(400).json({
-                error: "Invalid payment method."
-            });
-        }
+    // Check whether the booking exists in the database
+    if (!booking) {
+        throw new NotFoundError("Booking not found.", ERROR_CODES.BOOKING_NOT_FOUND);
+    }
 
-        // Define update data
-        const updateData = {
-            paymentMethod,
-            transactionReferences,
-            status : PAYMENT_STATUS.SUCCESS,
-            paidAt : new Date()
-        }
+    // Only a booking that ended without a ride can be requested again
+    if (![RIDE_STATUS.CANCELLED, RIDE_STATUS.EXPIRED].includes(booking.status)) {
+        throw new ConflictError(`Booking cannot be requested again when ${booking.status}`, ERROR_CODES.BOOKING_NOT_REREQUESTABLE, { status: booking.status });
+    }
 
-        // Update data in database
-        const result = await db.collection(collection).updateOne(
-            {
-                rideId: new ObjectId(rideId),
-                userId: new ObjectId(userId),
-                status: PAYMENT_STATUS.PENDING
-            },
-            { $set: updateData }
-        );
+    // A legacy booking with free-text locations has no coordinates to request again
+    if (!booking.pickupLocation || !booking.dropoffLocation) {
+        throw new ConflictError("Booking without pickup and dropoff coordinates cannot be requested again", ERROR_CODES.BOOKING_NOT_REREQUESTABLE, { status: booking.status });
+    }
 
-        // Check whether the payment exists in the database
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Payment not found." });
-        }
+    // Claim the booking for the new booking, so that it is requested again only once
+    const newBookingId = new ObjectId();
+    const claimed = await db.collection(collection).findOneAndUpdate(
+        {
+            _id: booking._id,
+            userId,
+            status: { $in: [RIDE_STATUS.CANCELLED, RIDE_STATUS.EXPIRED] },
+            rerequestedAs: null
+        },
+        { $set: { rerequestedAs: newBookingId, rerequestedAt: new Date() } }
+    );
+    if (!claimed) {
+        throw new ConflictError("Booking has already been requested again", ERROR_CODES.BOOKING_NOT_REREQUESTABLE, { status: booking.status });
+    }
 
-        return res.status(200).json({
-            message: "Payment successfully",
-            rideId: rideId,
-            status: PAYMENT_STATUS.SUCCESS
-        });
+    // Insert a new booking with the same details, the claim is released when it fails
+    let newBooking;
+    try {
+        newBooking = await insertBooking(userId, {
+            pickupLocation: { coordinates: booking.pickupLocation.coordinates, address: booking.pickupAddress },
+            dropoffLocation: { coordinates: booking.dropoffLocation.coordinates, address: booking.dropoffAddress },
+            requestedVehicleType: booking.requestedVehicleType,
+            scheduledPickupAt: req.body.scheduledPickupAt
+        }, { _id: newBookingId, rerequestedFrom: booking._id });
     } catch (err) {
-        console.error("Payment Error:", err);
-        return res.status(500).json({ error: "Failed to pay." });
+        await db.collection(collection).updateOne(
+            { _id: booking._id, rerequestedAs: newBookingId },
+            { $set: { rerequestedAs: null, rerequestedAt: null } }
+        );
+        throw err;
     }
+
+    return res.status(201).json({
+        message: "Booking requested again successfully",
+        rerequestedFrom: booking._id,
+        ...newBooking
+    });
 };
 
 /**
- * User rates a completed ride.
+ * User pay after ride completed.
  */
-async function rateRide(req, res) {
-    try {
-        // Access to mongoDB
-        const db = getDB();
-        const ridesCollection = "rides";
-        const ratingsCollection = "ratings";
-        const driversCollection = "drivers";
+async function makePayment(req, res) {
+    // Access to mongoDB
+    const db = getDB();
 
-        // Define ride id
-        const rideId = req.params.id;
+    // Define collection
+    const collection = "payments";
 
-        // Define user id
-        const userId = req.auth.id;
+    // Define ride id
+    const rideId = req.params.id;
 
-        // Destructure user input from request body
-        const { rating, comment } = req.body;
+    // Define user id
+    const userId = req.auth.id;
 
-        if (!Number.isInteger(rating) || rating < 1 || rating > 5 ) {
-            return res.status(400).json({
-                error: "Rating must be an integer between 1 and 5."
-            });
-        }
+    // Destructure user input from request body
+    const { paymentMethod, transactionReferences } = req.body;
 
-        // Find the completed ride
-        const ride = await db.collection(ridesCollection).findOne({
-            _id: new ObjectId(rideId),
+    // Define update data
+    const updateData = {
+        paymentMethod,
+        transactionReferences,
+        status : PAYMENT_STATUS.SUCCESS,
+        paidAt : new Date()
+    }
+
+    // Update data in database
+    const payment = await db.collection(collection).findOneAndUpdate(
+        {
+            rideId: new ObjectId(rideId),
             userId: new ObjectId(userId),
-            status: RIDE_STATUS.COMPLETED
-        });
+            status: PAYMENT_STATUS.PENDING
+        },
+        { $set: updateData },
+        { returnDocument: 'after' }
+    );
+
+    // Check whether the payment exists in the database
+    if (!payment) {
+        throw new NotFoundError("Payment not found.", ERROR_CODES.PAYMENT_NOT_FOUND);
+    }
 
-        // Check whether the ride exists in the database
-        if (!ride) {
-            return res.status(404).json({
-                error: "Ride not found, not completed, or access denied."
-            });
-        }
+    return res.status(200).json({
+        message: "Payment successfully",
+        rideId: rideId,
+        amount: payment.amount,
+        surgeMultiplier: payment.surgeMultiplier || 1,
+        tariffVersion: payment.tariffVersion || null,
+        status: PAYMENT_STATUS.SUCCESS
+    });
+};
 
-        // Check if rating already exists
-        const existingRating = await db.collection(ratingsCollection).findOne({
-            rideId: new ObjectId(rideId),
-            userId: new ObjectId(userId)
-        });
+/**
+ * User rates a completed ride.
+ */
+async function rateRide(req, res) {
+    // Access to mongoDB
+    const db = getDB();
+    const ridesCollection = "rides";
+    const ratingsCollection = "ratings";
+    const driversCollection = "drivers";
+
+    // Define ride id
+    const rideId = req.params.id;
+
+    // Define user id
+    const userId = req.auth.id;
+
+    // Destructure user input from request body
+    const { rating, comment } = req.body;
+
+    // Find the completed ride
+    const ride = await db.collection(ridesCollection).findOne({
+        _id: new ObjectId(rideId),
+        userId: new ObjectId(userId),
+        status: RIDE_STATUS.COMPLETED
+    });
+
+    // Check whether the ride exists in the database
+    if (!ride) {
+        throw new NotFoundError("Ride not found, not completed, or access denied.", ERROR_CODES.RIDE_NOT_RATEABLE);
+    }
 
-        // Check whether the rating detail already rated or not
-        if (existingRating) {
-            return res.status(400).json({ error: "This ride has already been rated." });
-        }
+    // Check if rating already exists
+    const existingRating = await db.collection(ratingsCollection).findOne({
+        rideId: new ObjectId(rideId),
+        userId: new ObjectId(userId)
+    });
 
-        // Insert new rating
-        await db.collection(ratingsCollection).insertOne({
-            rideId: new ObjectId(rideId),
-            userId: new ObjectId(userId),
-            driverId: ride.driverId,
-            rating,
-            comment: comment || null,
-            createdAt: new Date()
-        });
+    // Check whether the rating detail already rated or not
+    if (existingRating) {
+        throw new ConflictError("This ride has already been rated.", ERROR_CODES.RIDE_ALREADY_RATED);
+    }
 
-        // Updated the rating of driver in drivers collection
-        await db.collection(driversCollection).updateOne(
-            { _id: ride.driverId },
-            {
-                $inc: {
-                    ratingCount: 1,
-                    ratingSum: rating
-                }
+    // Insert new rating
+    await db.collection(ratingsCollection).insertOne({
+        rideId: new ObjectId(rideId),
+        userId: new ObjectId(userId),
+        driverId: ride.driverId,
+        rating,
+        comment: comment || null,
+        createdAt: new Date()
+    });
+
+    // Updated the rating of driver in drivers collection
+    await db.collection(driversCollection).updateOne(
+        { _id: ride.driverId },
+        {
+            $inc: {
+                ratingCount: 1,
+                ratingSum: rating
             }
-        );
-
-        return res.status(201).json({
-            message: "Rating submitted successfully",
-            rating
-        });
+        }
+    );
 
-    } catch (err) {
-        console.error("Create Rating Error:", err);
-        return res.status(500).json({ error: "Failed to submit rating." });
-    }
+    return res.status(201).json({
+        message: "Rating submitted successfully",
+        rating
+    });
 };
 
 // Export the users controller functions
@@ -689,10 +857,13 @@ module.exports = {
     getProfile,
     updateProfile,
     deactivateProfile,
+    getQuote,
     createBooking,
     getBooking,
+    getDispatch,
     updateBooking,
     cancelBooking,
+    rerequestBooking,
     makePayment,
     rateRide
 };
\ No newline at end of file
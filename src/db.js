@@ -6,7 +6,8 @@
 // Import module to access mongoDB
 const { MongoClient } = require('mongodb');
 
-// Declare a global variable to hold the MongoDB database instance
+// Declare global variables to hold the MongoDB client and database instance
+let client;
 let db;
 
 /**
@@ -18,7 +19,7 @@ async function connectToMongoDB() {
     const uri = process.env.MONGO_URI;
 
     // Create a new MongoClient instance
-    const client = new MongoClient(uri);
+    client = new MongoClient(uri);
     
     // Record start time to calculate connection duration
     const startTime = Date.now();
@@ -32,6 +33,105 @@ async function connectToMongoDB() {
 
     // Select database
     db = client.db(process.env.DB_NAME);
+
+    // Make sure the required indexes exist
+    await ensureIndexes();
+}
+
+/**
+ * Creates the indexes required by the application.
+ * createIndex is idempotent, so it is safe to run on every start.
+ */
+async function ensureIndexes() {
+    // Sessions: lookup by account and auto remove after expiry
+    await db.collection("sessions").createIndex({ accountId: 1, revokedAt: 1 });
+    await db.collection("sessions").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // One-time codes: lookup by account and purpose, auto remove after expiry
+    await db.collection("oneTimeCodes").createIndex({ accountId: 1, role: 1, purpose: 1, channel: 1, usedAt: 1 });
+    await db.collection("oneTimeCodes").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Admin invitations: lookup by token hash
+    await db.collection("adminInvitations").createIndex({ tokenHash: 1 }, { unique: true });
+
+    // Login attempts: unique key and auto remove after window or lockout is over
+    await db.collection("loginAttempts").createIndex({ key: 1 }, { unique: true });
+    await db.collection("loginAttempts").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Audit log: filter by actor, target and date
+    await db.collection("auditLogs").createIndex({ "actor.id": 1, createdAt: -1 });
+    await db.collection("auditLogs").createIndex({ "target.id": 1, createdAt: -1 });
+    await db.collection("auditLogs").createIndex({ createdAt: -1 });
+
+    // Admin roles: unique role name
+    await db.collection("adminRoles").createIndex({ name: 1 }, { unique: true });
+
+    // Tariffs: one document per version of a vehicle type, latest version first
+    await db.collection("tariffs").createIndex({ vehicleType: 1, version: -1 }, { unique: true });
+
+    // Drivers: online drivers by last reported location (surge supply)
+    await db.collection("drivers").createIndex({ lastLocation: "2dsphere" });
+
+    // Surge cells: one document per cell
+    await db.collection("surgeCells").createIndex({ cellId: 1 }, { unique: true });
+
+    // Bookings: scheduled booking jobs
+    await db.collection("bookings").createIndex({ status: 1, acceptDeadline: 1 });
+    await db.collection("bookings").createIndex({ status: 1, scheduledPickupAt: 1, reminderSentAt: 1 });
+
+    // Bookings: expiry of stale requested bookings
+    await db.collection("bookings").createIndex({ status: 1, createdAt: 1 });
+
+    // Dispatch offers: open offers by deadline, by driver and by booking
+    await db.collection("dispatchOffers").createIndex({ status: 1, expiresAt: 1 });
+    await db.collection("dispatchOffers").createIndex({ driverId: 1, status: 1 });
+    await db.collection("dispatchOffers").createIndex({ bookingId: 1, status: 1 });
+    await db.collection("bookings").createIndex({ status: 1, "dispatch.status": 1, "dispatch.nextAttemptAt": 1 });
+
+    // Bookings: a quote can lock the price of one booking only
+    await db.collection("bookings").createIndex(
+        { quoteJti: 1 },
+        { unique: true, partialFilterExpression: { quoteJti: { $type: "string" } } }
+    );
+
+    // Bookings and rides: geo queries on pickup and dropoff
+    await migrateLegacyLocations();
+    for (const collection of ["bookings", "rides"]) {
+        await db.collection(collection).createIndex({ pickupLocation: "2dsphere" });
+        await db.collection(collection).createIndex({ dropoffLocation: "2dsphere" });
+    }
+
+    // Bookings: cancelledBy holds an account id only
+    await migrateSystemCancellations();
+}
+
+/**
+ * Move free-text locations of old bookings and rides to the address label,
+ * a 2dsphere index cannot be built over a field holding a string.
+ */
+async function migrateLegacyLocations() {
+    for (const collection of ["bookings", "rides"]) {
+        for (const prefix of ["pickup", "dropoff"]) {
+            await db.collection(collection).updateMany(
+                { [`${prefix}Location`]: { $type: "string" } },
+                [
+                    { $set: { [`${prefix}Address`]: `$${prefix}Location` } },
+                    { $unset: `${prefix}Location` }
+                ]
+            );
+        }
+    }
+}
+
+/**
+ * Move the "system" actor of scheduled bookings cancelled by older versions to cancelledByRole,
+ * cancelledBy is null for the system like for expired bookings.
+ */
+async function migrateSystemCancellations() {
+    await db.collection("bookings").updateMany(
+        { cancelledBy: "system" },
+        { $set: { cancelledBy: null, cancelledByRole: "system" } }
+    );
 }
 
 
@@ -43,8 +143,17 @@ function getDB() {
     return db;
 }
 
+/**
+ * Get the MongoClient object (sessions, transactions and closing the connection)
+ */
+function getClient() {
+    if (!client) throw new Error('Database not connected. Call Connect to MongoDB first.');
+    return client;
+}
+
 // Export function
 module.exports = {
     connectToMongoDB,
     getDB,
+    getClient,
 };
\ No newline at end of file
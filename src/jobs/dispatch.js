@@ -0,0 +1,57 @@
+/**
+ * dispatch.js
+ * Background job of automatic dispatch
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { DISPATCH_STATUS, OFFER_STATUS, RIDE_STATUS } = require('../utils/constants');
+
+// Import modules for function
+const { offerNext } = require('../utils/dispatch');
+
+/**
+ * Dispatch job: move expired offers on to the next driver and
+ * search again for bookings waiting for an eligible driver
+ */
+async function runDispatch() {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+    let expired = 0;
+    let searched = 0;
+
+    for (;;) {
+        const offer = await db.collection("dispatchOffers").findOneAndUpdate(
+            { status: OFFER_STATUS.OFFERED, expiresAt: { $lte: now } },
+            { $set: { status: OFFER_STATUS.EXPIRED, respondedAt: now } }
+        );
+        if (!offer) break;
+
+        await offerNext(offer.bookingId, offer._id);
+        expired++;
+    }
+
+    const waiting = await db.collection("bookings").find(
+        {
+            status: RIDE_STATUS.REQUESTED,
+            "dispatch.status": DISPATCH_STATUS.SEARCHING,
+            "dispatch.nextAttemptAt": { $lte: now }
+        },
+        { projection: { _id: 1, "dispatch.currentOfferId": 1 } }
+    ).limit(100).toArray();
+    for (const booking of waiting) {
+        await offerNext(booking._id, booking.dispatch.currentOfferId);
+        searched++;
+    }
+
+    return { expired, searched };
+}
+
+// Export function
+module.exports = {
+    runDispatch
+};
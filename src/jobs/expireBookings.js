@@ -0,0 +1,59 @@
+/**
+ * expireBookings.js
+ * Background job expiring requested bookings that no driver accepted within the booking TTL
+ */
+
+// Import module for constants
+const { RIDE_STATUS, ROLES } = require('../utils/constants');
+
+// Import modules for function
+const { notifyAccount } = require('../utils/notify');
+const { cancelDispatch } = require('../utils/dispatch');
+const { SYSTEM_ROLE, transition } = require('../utils/rideStateMachine');
+
+// Time a booking waits for a driver before it expires (use environment variable)
+const bookingTtlMinutes = Number(process.env.BOOKING_TTL_MINUTES) || 15;
+
+/**
+ * Expire the requested bookings older than the TTL and notify the user.
+ * Scheduled bookings are left to their own accept deadline.
+ */
+async function expireStaleBookings() {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - bookingTtlMinutes * 60 * 1000);
+    const expireReason = `No driver accepted the booking within ${bookingTtlMinutes} minutes`;
+    let expired = 0;
+
+    for (;;) {
+        // Only a requested booking can expire, so a booking accepted meanwhile is not expired
+        const booking = await transition(
+            "bookings",
+            {
+                scheduledPickupAt: null,
+                createdAt: { $lte: cutoff },
+                $or: [{ requeuedAt: null }, { requeuedAt: { $lte: cutoff } }] // A booking returned to the pool waits again
+            },
+            RIDE_STATUS.EXPIRED,
+            { id: null, role: SYSTEM_ROLE },
+            { reason: expireReason, at: now, set: { expiredAt: now, expireReason } }
+        );
+        if (!booking) break;
+
+        await cancelDispatch(booking._id);
+        await notifyAccount({
+            role: ROLES.USER,
+            accountId: booking.userId,
+            subject: "Booking expired",
+            body: `Sorry, no driver accepted your booking within ${bookingTtlMinutes} minutes. Please make a new booking.`,
+            meta: { purpose: "booking_expired", bookingId: booking._id }
+        });
+        expired++;
+    }
+
+    return { expired };
+}
+
+// Export functions
+module.exports = {
+    expireStaleBookings
+};
@@ -0,0 +1,28 @@
+/**
+ * index.js
+ * Register the background jobs of the application
+ */
+
+// Import module for scheduler
+const { registerJob, startJobs, stopJobs } = require('./scheduler');
+
+// Import the jobs
+const { sendScheduledReminders, cancelUnacceptedScheduledBookings } = require('./scheduledBookings');
+const { runDispatch } = require('./dispatch');
+const { expireStaleBookings } = require('./expireBookings');
+
+// Interval of the jobs (use environment variable)
+const scheduledBookingIntervalMs = (Number(process.env.SCHEDULED_BOOKING_JOB_INTERVAL_SECONDS) || 60) * 1000;
+const dispatchIntervalMs = (Number(process.env.DISPATCH_JOB_INTERVAL_SECONDS) || 5) * 1000;
+const bookingExpiryIntervalMs = (Number(process.env.BOOKING_EXPIRY_JOB_INTERVAL_SECONDS) || 60) * 1000;
+
+registerJob("scheduledBookingReminders", scheduledBookingIntervalMs, sendScheduledReminders);
+registerJob("scheduledBookingCancellation", scheduledBookingIntervalMs, cancelUnacceptedScheduledBookings);
+registerJob("dispatch", dispatchIntervalMs, runDispatch);
+registerJob("bookingExpiry", bookingExpiryIntervalMs, expireStaleBookings);
+
+// Export functions
+module.exports = {
+    startJobs,
+    stopJobs
+};
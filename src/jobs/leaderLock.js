@@ -0,0 +1,64 @@
+/**
+ * leaderLock.js
+ * Leader lock in "jobLocks" collection so that only one instance runs the background jobs.
+ * The leader renews the lock on a heartbeat, another instance takes over
+ * once the lock is not renewed before it expires.
+ */
+
+// Import modules for instance id
+const crypto = require('crypto');
+const os = require('os');
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Lock settings (use environment variable)
+const lockTtlSeconds = Number(process.env.JOB_LEADER_LOCK_SECONDS) || 30;
+
+// Define collection
+const collection = "jobLocks";
+
+// Name of the lock and id of this instance
+const LOCK_NAME = "scheduler-leader";
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Acquire or renew the leader lock. Returns true when this instance is the leader.
+ */
+async function acquireLeaderLock() {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+    try {
+        // Take the lock when it is free or expired, or renew own lock
+        await db.collection(collection).updateOne(
+            { _id: LOCK_NAME, $or: [{ owner: instanceId }, { expiresAt: { $lte: now } }] },
+            { $set: { owner: instanceId, expiresAt: new Date(now.getTime() + lockTtlSeconds * 1000), renewedAt: now } },
+            { upsert: true }
+        );
+        return true;
+    } catch (err) {
+        // The upsert conflicts with the lock held by another instance
+        if (err.code === 11000) return false;
+        throw err;
+    }
+}
+
+/**
+ * Release the leader lock held by this instance
+ */
+async function releaseLeaderLock() {
+    // Access to mongoDB
+    const db = getDB();
+
+    await db.collection(collection).deleteOne({ _id: LOCK_NAME, owner: instanceId });
+}
+
+// Export functions
+module.exports = {
+    lockTtlSeconds,
+    instanceId,
+    acquireLeaderLock,
+    releaseLeaderLock
+};
@@ -0,0 +1,109 @@
+/**
+ * scheduledBookings.js
+ * Background jobs of scheduled bookings: pickup reminders and cancellation of unaccepted bookings
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { RIDE_STATUS, ROLES } = require('../utils/constants');
+
+// Import modules for function
+const { reminderMinutes } = require('../utils/scheduledBooking');
+const { notifyAccount } = require('../utils/notify');
+const { cancelDispatch } = require('../utils/dispatch');
+const { SYSTEM_ROLE, transition } = require('../utils/rideStateMachine');
+
+/**
+ * Remind the user, and the driver of a pre-accepted booking, of an upcoming scheduled pickup.
+ * The reminder is claimed before it is sent so that it is sent once.
+ */
+async function sendScheduledReminders() {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+    let sent = 0;
+
+    for (;;) {
+        // Claim the next booking due for a reminder
+        const booking = await db.collection("bookings").findOneAndUpdate(
+            {
+                status: { $in: [RIDE_STATUS.REQUESTED, RIDE_STATUS.ACCEPTED] },
+                scheduledPickupAt: { $gt: now, $lte: new Date(now.getTime() + reminderMinutes * 60 * 1000) },
+                reminderSentAt: null
+            },
+            { $set: { reminderSentAt: now } }
+        );
+        if (!booking) break;
+
+        const pickupAt = booking.scheduledPickupAt.toISOString();
+        const accepted = booking.status === RIDE_STATUS.ACCEPTED;
+
+        await notifyAccount({
+            role: ROLES.USER,
+            accountId: booking.userId,
+            subject: "Upcoming scheduled ride",
+            body: accepted
+                ? `Reminder: your ride is scheduled for pickup at ${pickupAt}. Your driver has been assigned.`
+                : `Reminder: your ride is scheduled for pickup at ${pickupAt}. We are still looking for a driver.`,
+            meta: { purpose: "scheduled_reminder", bookingId: booking._id }
+        });
+
+        if (accepted) {
+            const ride = await db.collection("rides").findOne({ bookingId: booking._id });
+            if (ride) {
+                await notifyAccount({
+                    role: ROLES.DRIVER,
+                    accountId: ride.driverId,
+                    subject: "Upcoming scheduled ride",
+                    body: `Reminder: you accepted a ride with pickup at ${pickupAt}.`,
+                    meta: { purpose: "scheduled_reminder", bookingId: booking._id, rideId: ride._id }
+                });
+            }
+        }
+        sent++;
+    }
+
+    return { sent };
+}
+
+/**
+ * Cancel scheduled bookings that nobody accepted by their deadline and notify the user
+ */
+async function cancelUnacceptedScheduledBookings() {
+    const now = new Date();
+    const cancelReason = "No driver accepted the scheduled booking before the deadline";
+    let cancelled = 0;
+
+    for (;;) {
+        // Only a requested booking is cancelled, so a booking accepted meanwhile is kept
+        const booking = await transition(
+            "bookings",
+            { acceptDeadline: { $ne: null, $lte: now } },
+            RIDE_STATUS.CANCELLED,
+            { id: null, role: SYSTEM_ROLE },
+            { reason: cancelReason, at: now, set: { cancelledAt: now, cancelledBy: null, cancelledByRole: SYSTEM_ROLE, cancelReason } }
+        );
+        if (!booking) break;
+
+        await cancelDispatch(booking._id);
+        await notifyAccount({
+            role: ROLES.USER,
+            accountId: booking.userId,
+            subject: "Scheduled ride cancelled",
+            body: `Sorry, no driver accepted your ride scheduled for ${booking.scheduledPickupAt.toISOString()}. The booking has been cancelled.`,
+            meta: { purpose: "scheduled_cancelled", bookingId: booking._id }
+        });
+        cancelled++;
+    }
+
+    return { cancelled };
+}
+
+// Export functions
+module.exports = {
+    sendScheduledReminders,
+    cancelUnacceptedScheduledBookings
+};
@@ -0,0 +1,106 @@
+/**
+ * scheduler.js
+ * In-process scheduler of background jobs running at a fixed interval.
+ * Jobs only run on the instance holding the leader lock, so that several
+ * instances of the app never run the same job at the same time.
+ * A job never overlaps with itself, and an error is logged without stopping the job.
+ */
+
+// Import module for leader lock
+const { lockTtlSeconds, acquireLeaderLock, releaseLeaderLock } = require('./leaderLock');
+
+// Registered jobs: name => { intervalMs, run, timer, running }
+const jobs = new Map();
+
+// Leader state of this instance, renewed by the heartbeat
+let isLeader = false;
+let heartbeat = null;
+
+/**
+ * Register a job
+ * run: async () => summary object (logged when it is not empty)
+ */
+function registerJob(name, intervalMs, run) {
+    if (typeof run !== 'function') {
+        throw new Error('job must be a function');
+    }
+    jobs.set(name, { intervalMs, run, timer: null, running: false });
+}
+
+/**
+ * Acquire or renew the leader lock, logging when leadership changes
+ */
+async function renewLeadership() {
+    try {
+        const leader = await acquireLeaderLock();
+        if (leader !== isLeader) console.log(leader ? "Job scheduler: this instance is the leader" : "Job scheduler: leadership lost");
+        isLeader = leader;
+    } catch (err) {
+        isLeader = false;
+        console.error("Job scheduler: leader lock failed:", err);
+    }
+}
+
+/**
+ * Run a job once unless it is still running or this instance is not the leader
+ */
+async function runJob(name) {
+    const job = jobs.get(name);
+    if (!job || job.running || !isLeader) return;
+
+    job.running = true;
+    try {
+        const summary = await job.run();
+        if (summary && Object.values(summary).some(Boolean)) {
+            console.log(`Job "${name}":`, summary);
+        }
+    } catch (err) {
+        console.error(`Job "${name}" failed:`, err);
+    } finally {
+        job.running = false;
+    }
+}
+
+/**
+ * Start every registered job.
+ * Timers are unref'd so that they never keep the process alive on shutdown.
+ */
+async function startJobs() {
+    // Renew the lock well before it expires
+    if (!heartbeat) {
+        await renewLeadership();
+        heartbeat = setInterval(renewLeadership, lockTtlSeconds * 1000 / 3);
+        heartbeat.unref();
+    }
+
+    for (const [name, job] of jobs) {
+        if (job.timer) continue;
+        job.timer = setInterval(() => runJob(name), job.intervalMs);
+        job.timer.unref();
+    }
+}
+
+/**
+ * Stop every registered job and hand the leader lock over
+ */
+async function stopJobs() {
+    for (const job of jobs.values()) {
+        clearInterval(job.timer);
+        job.timer = null;
+    }
+
+    clearInterval(heartbeat);
+    heartbeat = null;
+    if (isLeader) {
+        isLeader = false;
+        await releaseLeaderLock();
+    }
+}
+
+// Export functions
+module.exports = {
+    registerJob,
+    runJob,
+    startJobs,
+    stopJobs
+};
@@ -11,69 +11,87 @@ const { ObjectId } = require('mongodb');
 const { getDB } = require('../db');
 
 // Import module for constants
-const { ACCOUNT_STATUS, ROLES } = require('../utils/constants');
+const { ACCOUNT_STATUS, ERROR_CODES } = require('../utils/constants');
+
+// Import module for error types
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
 // Import module for function
 const checkStatus = require('../utils/checkStatus');
+const accountCollection = require('../utils/accountCollection');
+const { isSessionActive } = require('../utils/sessions');
+const { getRolePermissions } = require('../utils/adminRoles');
+const { isTwoFactorEnabled, isTwoFactorMandatory } = require('../utils/twoFactor');
 
 /**
  * Middleware to verify JWT token from the Authorization header.
  * If valid, attaches decoded payload to req.auth.id
- * Returns 401 Unauthorized if token is missing or invalid.
+ * Throws 401 Unauthorized if token is missing, invalid or its session revoked.
  */
 async function authenticate(req, res, next) {
+    // Get token from "Authorization: Bearer <token>"
+    const authHeader = req.headers.authorization;
+
+    // Check whether token header start from "Bearer"
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new UnauthorizedError('Missing or invalid Authorization header', ERROR_CODES.MISSING_TOKEN);
+    }
+    
+    const token = authHeader.split(' ')[1];
+    
+    // Verify JWT and decode payload
+    let decoded;
     try {
-        // Get token from "Authorization: Bearer <token>"
-        const authHeader = req.headers.authorization;
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+        throw new UnauthorizedError('Invalid token', ERROR_CODES.INVALID_TOKEN);
+    }
+    
+    // Check whether the session of the token is revoked (logout, rotation reuse, etc.)
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+        throw new UnauthorizedError('Session revoked or expired', ERROR_CODES.SESSION_REVOKED);
+    }
+
+    // Define collection according to role 
+    const collection = accountCollection(decoded.role);
 
-        // Check whether token header start from "Bearer"
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-        }
-        
-        const token = authHeader.split(' ')[1];
-        
-        // Verify JWT and decode payload
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        console.log(decoded.id);
-        console.log(decoded.role);
-        
-        // Define collection according to role 
-        let collection;
-        switch (decoded.role) {
-            case ROLES.ADMIN:
-                collection = "admins";
-                break;
-            case ROLES.DRIVER:
-                collection = "drivers";
-                break;
-            default:
-                collection = "users"
-        }
+    // Access to mongoDB to view data
+    const db = getDB();
+    const account = await db.collection(collection).findOne({ _id: new ObjectId(decoded.id) });
+    
+    // Check if account exist
+    if (!account) {
+        throw new UnauthorizedError('Account not found', ERROR_CODES.ACCOUNT_NOT_FOUND);
+    }
 
-        // Access to mongoDB to view data
-        const db = getDB();
-        const account = await db.collection(collection).findOne({ _id: new ObjectId(decoded.id) });
-        
-        // Check if account exist
-        if (!account) {
-            return res.status(401).json({ error: 'Account not found' });
-        }
+    // Check if account has completed verification
+    if (checkStatus(account, ACCOUNT_STATUS.PENDING_VERIFICATION)) {
+        throw new ForbiddenError('Account not verified', ERROR_CODES.ACCOUNT_NOT_VERIFIED);
+    }
 
-        // Check if account is active
-        if (!checkStatus(account, ACCOUNT_STATUS.ACTIVE)) {
-            return res.status(403).json({ error: 'Account not active' });
-        }
-        
-        req.auth = {
-            id: decoded.id,
-            role: decoded.role
-        };
+    // Check if account is active
+    if (!checkStatus(account, ACCOUNT_STATUS.ACTIVE)) {
+        throw new ForbiddenError('Account not active', ERROR_CODES.ACCOUNT_NOT_ACTIVE);
+    }
+    
+    req.auth = {
+        id: decoded.id,
+        role: decoded.role,
+        sessionId: decoded.sid
+    };
 
-        next();
-    } catch {
-        return res.status(401).json({ error: "Invalid token" });
+    // Flag account that must enroll two-factor authentication before using role routes
+    if (isTwoFactorMandatory(account.role) && !isTwoFactorEnabled(account)) {
+        req.auth.twoFactorSetupRequired = true;
     }
+
+    // Attach admin role and its permissions for permission-based authorization
+    if (account.adminRole) {
+        req.auth.adminRole = account.adminRole;
+        req.auth.permissions = await getRolePermissions(account.adminRole);
+    }
+
+    next();
 }
 
 module.exports = authenticate;
\ No newline at end of file
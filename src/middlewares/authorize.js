@@ -1,20 +1,44 @@
 /**
  * authorize.js
- * Middleware factory for role-based authorization.
- * Returns 403 Forbidden if the user's role is not in the allowed list.
+ * Middleware factory for role-based and permission-based authorization.
+ * Throws 403 Forbidden if the user's role is not in the allowed list,
+ * the user does not hold every required permission or has not enrolled
+ * mandatory two-factor authentication.
  */
-function authorize(allowedRoles = []) {
-    // the parameter must be array
+
+// Import module for constants
+const { ERROR_CODES } = require('../utils/constants');
+
+// Import module for error types
+const { ForbiddenError } = require('../utils/errors');
+
+function authorize(allowedRoles = [], requiredPermissions = []) {
+    // the parameters must be array
     if (!Array.isArray(allowedRoles)) {
         throw new Error('allowedRoles must be an array');
     }
+    if (!Array.isArray(requiredPermissions)) {
+        throw new Error('requiredPermissions must be an array');
+    }
     
     return (req, res, next) => {
         if (!req.auth || !allowedRoles.includes(req.auth.role)) {
-            return res.status(403).json({ error: 'Forbidden: insufficient permissions' });
+            throw new ForbiddenError('Forbidden: insufficient permissions', ERROR_CODES.FORBIDDEN);
+        }
+
+        // Two-factor authentication must be enrolled first when mandatory for the role
+        if (req.auth.twoFactorSetupRequired) {
+            throw new ForbiddenError('Two-factor authentication setup required', ERROR_CODES.TWO_FACTOR_SETUP_REQUIRED);
+        }
+
+        // Permissions are loaded by authenticate (admin only)
+        const permissions = req.auth.permissions || [];
+        const missing = requiredPermissions.filter(permission => !permissions.includes(permission));
+        if (missing.length > 0) {
+            throw new ForbiddenError('Forbidden: insufficient permissions', ERROR_CODES.INSUFFICIENT_PERMISSIONS, { missingPermissions: missing });
         }
         next();
     };
 };
 
-module.exports = authorize;
\ No newline at end of file
+module.exports = authorize;
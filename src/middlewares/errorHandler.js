@@ -0,0 +1,55 @@
+/**
+ * errorHandler.js
+ * Central error handling, registered after all routes.
+ * Every error response uses the envelope { error, code, details }.
+ */
+
+// Import module for constants
+const { ERROR_CODES } = require('../utils/constants');
+
+// Import module for error types
+const { AppError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Respond 404 to requests that match no route
+ */
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`Route ${req.method} ${req.path} not found`, ERROR_CODES.ROUTE_NOT_FOUND));
+}
+
+/**
+ * Turn thrown errors into the response envelope.
+ * Unexpected errors are logged and hidden behind a generic 500.
+ */
+function errorHandler(err, req, res, next) {
+    // Let express close the connection when the response has started
+    if (res.headersSent) return next(err);
+
+    let status = 500;
+    let body = { error: "Internal server error", code: ERROR_CODES.INTERNAL_ERROR };
+
+    if (err instanceof AppError) {
+        status = err.status;
+        body = { error: err.message, code: err.code };
+        if (err.details) body.details = err.details;
+        if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    } else if (err.type === 'entity.parse.failed') {
+        // Malformed JSON body from express.json()
+        status = 400;
+        body = { error: "Malformed JSON body", code: ERROR_CODES.INVALID_JSON };
+    } else if (err.name === 'BSONError') {
+        // new ObjectId() of a malformed id
+        status = 400;
+        body = { error: "Invalid id", code: ERROR_CODES.INVALID_ID };
+    } else {
+        console.error(`${req.method} ${req.originalUrl} Error:`, err);
+    }
+
+    return res.status(status).json(body);
+}
+
+// Export middlewares
+module.exports = {
+    notFoundHandler,
+    errorHandler
+};
@@ -0,0 +1,162 @@
+/**
+ * validate.js
+ * Middleware factory for declarative request validation.
+ * A schema describes the fields of req.params, req.query and req.body:
+ *
+ *   {
+ *       summary: "Create a new booking",
+ *       params: { id: { type: "string", format: "objectId", required: true } },
+ *       body: { rating: { type: "integer", min: 1, max: 5, required: true } }
+ *   }
+ *
+ * Field options: type, required, format, enum, min, max, minLength, maxLength,
+ * pattern, items (array, a list of rules for a tuple), properties (object), allowEmpty, description.
+ * Unknown fields are rejected. Throws 400 VALIDATION_ERROR with the list of failed fields,
+ * or INVALID_ID when a path parameter is malformed.
+ * The schema is kept on the middleware so that API docs can be generated from routes.
+ */
+
+// Import module for constants
+const { ERROR_CODES } = require('../utils/constants');
+
+// Import module for error types
+const { ValidationError } = require('../utils/errors');
+
+// Formats of string fields
+const FORMATS = {
+    email: {
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        message: "must be a valid email"
+    },
+    phone: {
+        test: value => /^\+?[0-9][0-9\- ]{6,18}[0-9]$/.test(value),
+        message: "must be a valid phone number"
+    },
+    objectId: {
+        test: value => /^[a-f\d]{24}$/i.test(value),
+        message: "must be a valid id"
+    },
+    date: {
+        // Calendar date must exist (Date.parse rolls 2025-02-30 over to March)
+        test: value => /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+            && !isNaN(Date.parse(value))
+            && new Date(`${value.slice(0, 10)}T00:00:00Z`).toISOString().slice(0, 10) === value.slice(0, 10),
+        message: "must be a valid date (YYYY-MM-DD or ISO 8601)"
+    }
+};
+
+/**
+ * Check a single value against its field rule.
+ * Query string values are strings, so numbers and booleans are coerced there.
+ * Returns a list of { field, message }.
+ */
+function checkValue(value, rule, path, coerce) {
+    const errors = [];
+    const fail = message => errors.push({ field: path, message });
+
+    // Coerce query string
+    if (coerce && typeof value === "string") {
+        if ((rule.type === "number" || rule.type === "integer") && value.trim() !== "" && !isNaN(Number(value))) {
+            value = Number(value);
+        } else if (rule.type === "boolean" && (value === "true" || value === "false")) {
+            value = value === "true";
+        }
+    }
+
+    switch (rule.type) {
+        case "string":
+            if (typeof value !== "string") return fail("must be a string"), errors;
+            if (value.trim() === "" && !rule.allowEmpty) return fail("must not be empty"), errors;
+            if (value === "" && rule.allowEmpty) return errors;
+            if (rule.minLength !== undefined && value.length < rule.minLength) fail(`must be at least ${rule.minLength} characters`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) fail(`must be at most ${rule.maxLength} characters`);
+            if (rule.pattern && !new RegExp(rule.pattern).test(value)) fail(`must match pattern ${rule.pattern}`);
+            if (rule.format && !FORMATS[rule.format].test(value)) fail(FORMATS[rule.format].message);
+            break;
+        case "number":
+        case "integer":
+            if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a number"), errors;
+            if (rule.type === "integer" && !Number.isInteger(value)) return fail("must be an integer"), errors;
+            if (rule.min !== undefined && value < rule.min) fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) fail(`must be at most ${rule.max}`);
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") fail("must be a boolean");
+            break;
+        case "array":
+            if (!Array.isArray(value)) return fail("must be an array"), errors;
+            if (rule.minLength !== undefined && value.length < rule.minLength) fail(`must contain at least ${rule.minLength} items`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) fail(`must contain at most ${rule.maxLength} items`);
+            if (Array.isArray(rule.items)) {
+                // Tuple, one rule per position
+                rule.items.forEach((itemRule, index) => {
+                    if (value[index] !== undefined) errors.push(...checkValue(value[index], itemRule, `${path}[${index}]`, coerce));
+                });
+            } else if (rule.items) {
+                value.forEach((item, index) => errors.push(...checkValue(item, rule.items, `${path}[${index}]`, coerce)));
+            }
+            break;
+        case "object":
+            if (value === null || typeof value !== "object" || Array.isArray(value)) return fail("must be an object"), errors;
+            if (rule.properties) errors.push(...checkFields(value, rule.properties, path, coerce));
+            break;
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) fail(`must be one of: ${rule.enum.join(", ")}`);
+
+    return errors;
+}
+
+/**
+ * Check an object against a map of field rules, rejecting unknown fields
+ */
+function checkFields(input, fields, prefix, coerce) {
+    const errors = [];
+    const source = input || {};
+
+    for (const [name, rule] of Object.entries(fields)) {
+        const path = `${prefix}.${name}`;
+        const value = source[name];
+
+        if (value === undefined || value === null) {
+            if (rule.required) errors.push({ field: path, message: "is required" });
+            continue;
+        }
+        errors.push(...checkValue(value, rule, path, coerce));
+    }
+
+    for (const name of Object.keys(source)) {
+        if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+            errors.push({ field: `${prefix}.${name}`, message: "is not allowed" });
+        }
+    }
+
+    return errors;
+}
+
+function validate(schema = {}) {
+    const middleware = (req, res, next) => {
+        // Malformed path parameters are reported as invalid id
+        if (schema.params) {
+            const errors = checkFields(req.params, schema.params, "params", true);
+            if (errors.length > 0) throw new ValidationError(errors, "Invalid id", ERROR_CODES.INVALID_ID);
+        }
+
+        const errors = [];
+        for (const location of ["query", "body"]) {
+            if (!schema[location]) continue;
+            errors.push(...checkFields(req[location], schema[location], location, location !== "body"));
+        }
+
+        if (errors.length > 0) throw new ValidationError(errors);
+        next();
+    };
+
+    // Expose schema for API docs generation
+    middleware.schema = schema;
+    return middleware;
+}
+
+module.exports = validate;
@@ -1,111 +1,220 @@
 /**
  * admins.js
- * Admin routes for user, driver, and ride management.
+ * Admin routes for user, driver, ride, admin and role management.
+ * Each route requires the permission of its action.
  */
 
 // Import module for express and express initialize
 const express = require('express');
 const router = express.Router();
 
-// Import modules for authenticate and authorize
+// Import modules for authenticate, authorize and validate
 const authenticate = require('../middlewares/authenticate');
 const authorize = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
 
 // Import module for constants
-const { ROLES } = require('../utils/constants');
+const { PERMISSIONS, ROLES } = require('../utils/constants');
 
 // Import the controller of admins
 const adminsController = require('../controller/adminsController');
+const authController = require('../controller/authController');
+
+// Import the request schemas
+const adminsSchema = require('../schemas/admins');
+const authSchema = require('../schemas/auth');
 
 /**
  * POST /register
- * Internal admin registration
+ * Admin registration with an invitation token
  */
-router.post('/register', adminsController.adminRegistration);
+router.post('/register', validate(adminsSchema.adminRegistration), adminsController.adminRegistration);
 
 
 /**
  * POST /login
  * Authenticates admin credentials and returns a JWT token.
  */
-router.post('/login', adminsController.adminLogin);
+router.post('/login', validate(adminsSchema.adminLogin), adminsController.adminLogin);
+
+/**
+ * POST /forgot-password
+ * Request a password reset code by email
+ */
+router.post('/forgot-password', validate(authSchema.forgotPassword), authController.forgotPassword(ROLES.ADMIN));
+
+/**
+ * POST /reset-password
+ * Reset password with the reset code
+ */
+router.post('/reset-password', validate(authSchema.resetPassword), authController.resetPassword(ROLES.ADMIN));
+
+/**
+ * PATCH /change-password
+ * Change own password (old password required)
+ */
+router.patch('/change-password', authenticate, authorize([ROLES.ADMIN]), validate(authSchema.changePassword), authController.changePassword);
 
 /**
  * GET /user
  * Retrieve all users
  */
-router.get('/user', authenticate, authorize([ROLES.ADMIN]), adminsController.getUser);
+router.get('/user', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.USERS_READ]), validate(adminsSchema.getUser), adminsController.getUser);
 
 /**
  * GET /user/:id
  * Retrieve a single user by ID
  */
-router.get('/user/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.getUserById);
+router.get('/user/:id', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.USERS_READ]), validate(adminsSchema.getUserById), adminsController.getUserById);
 
 /**
  * PATCH /user/:id
- * Update user details, including password
+ * Update user details, including password (reason required)
  */
-router.patch('/user/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.updateUser);
+router.patch('/user/:id', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.USERS_UPDATE]), validate(adminsSchema.updateUser), adminsController.updateUser);
 
 /**
  * PATCH /user/:id/suspend
- * Deactivate user account without deleting
+ * Deactivate user account without deleting (reason required)
  */
-router.patch('/user/:id/suspend', authenticate, authorize([ROLES.ADMIN]), adminsController.suspendUser);
+router.patch('/user/:id/suspend', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.USERS_SUSPEND]), validate(adminsSchema.suspendUser), adminsController.suspendUser);
 
 /**
  * PATCH /user/:id/activate
- * Reactivate user account
+ * Reactivate user account (reason required)
  */
-router.patch('/user/:id/activate', authenticate, authorize([ROLES.ADMIN]), adminsController.activateUser);
+router.patch('/user/:id/activate', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.USERS_SUSPEND]), validate(adminsSchema.activateUser), adminsController.activateUser);
 
 /**
  * GET /driver
  * Retrieve all drivers
  */
-router.get('/driver', authenticate, authorize([ROLES.ADMIN]), adminsController.getDriver);
+router.get('/driver', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.DRIVERS_READ]), validate(adminsSchema.getDriver), adminsController.getDriver);
 
 /**
  * GET /driver/:id
  * Retrieve a single user by ID
  */
-router.get('/driver/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.getDriverById);
+router.get('/driver/:id', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.DRIVERS_READ]), validate(adminsSchema.getDriverById), adminsController.getDriverById);
 
 /**
  * PATCH /driver/:id
- * Update driver details, including password
+ * Update driver details, including password (reason required)
  */
-router.patch('/driver/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.updateDriver);
+router.patch('/driver/:id', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.DRIVERS_UPDATE]), validate(adminsSchema.updateDriver), adminsController.updateDriver);
 
 /**
  * PATCH /driver/:id/suspend
- * Deactivate driver account without deleting
+ * Deactivate driver account without deleting (reason required)
  */
-router.patch('/driver/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.suspendDriver);
+router.patch('/driver/:id/suspend', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.DRIVERS_SUSPEND]), validate(adminsSchema.suspendDriver), adminsController.suspendDriver);
 
 /**
  * PATCH /driver/:id/activate
- * Reactivate driver account
+ * Reactivate driver account (reason required)
  */
-router.patch('/driver/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.activateDriver);
+router.patch('/driver/:id/activate', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.DRIVERS_SUSPEND]), validate(adminsSchema.activateDriver), adminsController.activateDriver);
 
 /**
  * GET /ride
  * Retrieve all ride
  */
-router.get('/ride', authenticate, authorize([ROLES.ADMIN]), adminsController.getRide);
+router.get('/ride', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.RIDES_READ]), validate(adminsSchema.getRide), adminsController.getRide);
 
 /**
  * GET /ride/:id
  * Retrieve ride detail (admin)
  */
-router.get('/ride/:id', authenticate, authorize([ROLES.ADMIN]), adminsController.getRideById);
+router.get('/ride/:id', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.RIDES_READ]), validate(adminsSchema.getRideById), adminsController.getRideById);
 
 /**
  * PATCH /ride/:id/cancel
- * Admin force cancel a ride
+ * Admin force cancel a ride (reason required)
+ */
+router.patch('/ride/:id/cancel', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.RIDES_CANCEL]), validate(adminsSchema.forceCancelRide), adminsController.forceCancelRide);
+
+/**
+ * PATCH /ride/:id/start
+ * Admin starts a ride without the trip PIN (reason required)
+ */
+router.patch('/ride/:id/start', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.RIDES_OVERRIDE_PIN]), validate(adminsSchema.overrideTripPin), adminsController.overrideTripPin);
+
+/**
+ * POST /invitation
+ * Invite a new admin
+ */
+router.post('/invitation', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ADMINS_MANAGE]), validate(adminsSchema.inviteAdmin), adminsController.inviteAdmin);
+
+/**
+ * GET /admin
+ * Retrieve all admins
+ */
+router.get('/admin', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ADMINS_MANAGE]), validate(adminsSchema.getAdmin), adminsController.getAdmin);
+
+/**
+ * PATCH /admin/:id/disable
+ * Disable an admin account
+ */
+router.patch('/admin/:id/disable', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ADMINS_MANAGE]), validate(adminsSchema.disableAdmin), adminsController.disableAdmin);
+
+/**
+ * PATCH /admin/:id/demote
+ * Demote a super-admin to a lower admin role
+ */
+router.patch('/admin/:id/demote', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ADMINS_MANAGE]), validate(adminsSchema.demoteAdmin), adminsController.demoteAdmin);
+
+/**
+ * PATCH /admin/:id/role
+ * Assign an admin role to an admin
+ */
+router.patch('/admin/:id/role', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ADMINS_MANAGE]), validate(adminsSchema.assignAdminRole), adminsController.assignAdminRole);
+
+/**
+ * GET /role
+ * Retrieve all admin roles and their permissions
+ */
+router.get('/role', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ROLES_MANAGE]), validate(adminsSchema.getRole), adminsController.getRole);
+
+/**
+ * POST /role
+ * Create a custom admin role
+ */
+router.post('/role', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ROLES_MANAGE]), validate(adminsSchema.createRole), adminsController.createRole);
+
+/**
+ * PATCH /role/:name
+ * Update the permissions of an admin role
+ */
+router.patch('/role/:name', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.ROLES_MANAGE]), validate(adminsSchema.updateRole), adminsController.updateRole);
+
+/**
+ * GET /lockout
+ * Retrieve login lockouts
+ */
+router.get('/lockout', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.LOCKOUTS_MANAGE]), validate(adminsSchema.getLockout), adminsController.getLockout);
+
+/**
+ * PATCH /lockout/:id/clear
+ * Clear a login lockout
+ */
+router.patch('/lockout/:id/clear', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.LOCKOUTS_MANAGE]), validate(adminsSchema.clearLockout), adminsController.clearLockout);
+
+/**
+ * GET /audit
+ * Retrieve audit log (query: actorId, targetId, action, from, to, limit)
+ */
+router.get('/audit', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.AUDIT_READ]), validate(adminsSchema.getAudit), adminsController.getAudit);
+
+/**
+ * GET /tariff
+ * Retrieve active tariffs (query: vehicleType for version history)
+ */
+router.get('/tariff', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.TARIFFS_MANAGE]), validate(adminsSchema.getTariff), adminsController.getTariff);
+
+/**
+ * POST /tariff
+ * Publish a new tariff version of a vehicle type (reason required)
  */
-router.patch('/ride/:id/cancel', authenticate, authorize([ROLES.ADMIN]), adminsController.forceCancelRide);
+router.post('/tariff', authenticate, authorize([ROLES.ADMIN], [PERMISSIONS.TARIFFS_MANAGE]), validate(adminsSchema.publishTariff), adminsController.publishTariff);
 
 module.exports = router;
\ No newline at end of file
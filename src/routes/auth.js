@@ -0,0 +1,62 @@
+/**
+ * auth.js
+ * Session and two-factor routes shared by users, drivers and admins.
+ */
+
+// Import module for express and express initialize
+const express = require('express');
+const router = express.Router();
+
+// Import modules for authenticate and validate
+const authenticate = require('../middlewares/authenticate');
+const validate = require('../middlewares/validate');
+
+// Import the controller of auth
+const authController = require('../controller/authController');
+
+// Import the request schemas
+const authSchema = require('../schemas/auth');
+
+/**
+ * POST /refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', validate(authSchema.refreshToken), authController.refreshToken);
+
+/**
+ * POST /logout
+ * Revoke the current session
+ */
+router.post('/logout', authenticate, validate(authSchema.logout), authController.logout);
+
+/**
+ * POST /2fa/verify
+ * Second login step with TOTP or recovery code
+ */
+router.post('/2fa/verify', validate(authSchema.verifyTwoFactorLogin), authController.verifyTwoFactorLogin);
+
+/**
+ * POST /2fa/setup
+ * Start two-factor enrollment (secret and otpauth URI)
+ */
+router.post('/2fa/setup', authenticate, validate(authSchema.setupTwoFactor), authController.setupTwoFactor);
+
+/**
+ * POST /2fa/enable
+ * Confirm two-factor enrollment and receive recovery codes
+ */
+router.post('/2fa/enable', authenticate, validate(authSchema.enableTwoFactor), authController.enableTwoFactor);
+
+/**
+ * POST /2fa/disable
+ * Disable two-factor authentication
+ */
+router.post('/2fa/disable', authenticate, validate(authSchema.disableTwoFactor), authController.disableTwoFactor);
+
+/**
+ * POST /2fa/recovery-codes
+ * Regenerate recovery codes
+ */
+router.post('/2fa/recovery-codes', authenticate, validate(authSchema.regenerateRecoveryCodes), authController.regenerateRecoveryCodes);
+
+module.exports = router;
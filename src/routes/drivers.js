@@ -7,92 +7,182 @@
 const express = require('express');
 const router = express.Router();
 
-// Import modules for authenticate and authorize
+// Import modules for authenticate, authorize and validate
 const authenticate = require('../middlewares/authenticate');
 const authorize = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
 
 // Import module for constants
 const { ROLES } = require('../utils/constants');
 
 // Import the controller of admins
 const driversController = require('../controller/driversController');
+const authController = require('../controller/authController');
+
+// Import the request schemas
+const driversSchema = require('../schemas/drivers');
+const authSchema = require('../schemas/auth');
 
 /**
  * POST /register
  * Registers a new driver
  */
-router.post('/register', driversController.driverRegistration);
+router.post('/register', validate(driversSchema.driverRegistration), driversController.driverRegistration);
 
 /**
  * POST /login
  * Driver login
  */
-router.post('/login', driversController.driverLogin);
+router.post('/login', validate(driversSchema.driverLogin), driversController.driverLogin);
+
+/**
+ * POST /verify
+ * Verify email or phone with the verification code
+ */
+router.post('/verify', validate(authSchema.verifyContact), authController.verifyContact(ROLES.DRIVER));
+
+/**
+ * POST /verify/resend
+ * Resend email or phone verification code
+ */
+router.post('/verify/resend', validate(authSchema.resendVerification), authController.resendVerification(ROLES.DRIVER));
+
+/**
+ * POST /forgot-password
+ * Request a password reset code by email
+ */
+router.post('/forgot-password', validate(authSchema.forgotPassword), authController.forgotPassword(ROLES.DRIVER));
+
+/**
+ * POST /reset-password
+ * Reset password with the reset code
+ */
+router.post('/reset-password', validate(authSchema.resetPassword), authController.resetPassword(ROLES.DRIVER));
+
+/**
+ * PATCH /change-password
+ * Change own password (old password required)
+ */
+router.patch('/change-password', authenticate, authorize([ROLES.DRIVER]), validate(authSchema.changePassword), authController.changePassword);
 
 /**
  * GET /profile/:id
  * Retrieve own profile
  */
-router.get('/profile/:id', authenticate, authorize([ROLES.DRIVER]), driversController.getProfile);
+router.get('/profile/:id', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.getProfile), driversController.getProfile);
 
 /**
  * PATCH /profile/:id
  * Update own profile
  */
-router.patch('/profile/:id', authenticate, authorize([ROLES.DRIVER]), driversController.updateProfile);
+router.patch('/profile/:id', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.updateProfile), driversController.updateProfile);
 
 /**
  * PATCH /profile/:id/deactivate
  * Deactivate own account
  */
-router.patch('/profile/:id/deactivate', authenticate, authorize([ROLES.DRIVER]), driversController.deactivateProfile);
+router.patch('/profile/:id/deactivate', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.deactivateProfile), driversController.deactivateProfile);
+
+/**
+ * GET /session
+ * List own active sessions (devices)
+ */
+router.get('/session', authenticate, authorize([ROLES.DRIVER]), validate(authSchema.getSessions), authController.getSessions);
+
+/**
+ * PATCH /session/:id/revoke
+ * Revoke one of own sessions (devices)
+ */
+router.patch('/session/:id/revoke', authenticate, authorize([ROLES.DRIVER]), validate(authSchema.revokeSession), authController.revokeSession);
 
 /**
  * POST /vehicle
  * Register a new vehicle
  */
-router.post('/vehicle', authenticate, authorize([ROLES.DRIVER]), driversController.newVehicle);
+router.post('/vehicle', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.newVehicle), driversController.newVehicle);
 
 /**
  * GET /vehicle/:id
  * Retrieve vehicle detail
  */
-router.get('/vehicle/:id', authenticate, authorize([ROLES.DRIVER]), driversController.getVehicle);
+router.get('/vehicle/:id', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.getVehicle), driversController.getVehicle);
 
 /**
  * PATCH /vehicle/:id
  * Update vehicle detail
  */
-router.patch('/vehicle/:id', authenticate, authorize([ROLES.DRIVER]), driversController.updateVehicle);
+router.patch('/vehicle/:id', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.updateVehicle), driversController.updateVehicle);
 
 /**
  * PATCH /vehicle/:id/deactivate
  * Deactivate vehicle
  */
-router.patch('/vehicle/:id/deactivate', authenticate, authorize([ROLES.DRIVER]), driversController.deactivateVehicle);
+router.patch('/vehicle/:id/deactivate', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.deactivateVehicle), driversController.deactivateVehicle);
+
+/**
+ * PUT /location
+ * Report current location
+ */
+router.put('/location', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.updateLocation), driversController.updateLocation);
 
 /**
  * GET /booking
- * Retrieve all available bookings
+ * Retrieve available bookings near own location (query: radiusKm)
+ */
+router.get('/booking', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.getBooking), driversController.getBooking);
+
+/**
+ * GET /booking/scheduled
+ * Retrieve upcoming scheduled bookings to pre-accept
  */
-router.get('/booking', authenticate, authorize([ROLES.DRIVER]), driversController.getBooking);
+router.get('/booking/scheduled', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.getScheduledBooking), driversController.getScheduledBooking);
 
 /**
  * PATCH /booking/:id/accept
- * Accept a booking
+ * Accept (or pre-accept a scheduled) booking
+ */
+router.patch('/booking/:id/accept', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.acceptBooking), driversController.acceptBooking);
+
+/**
+ * GET /offer
+ * Retrieve own open dispatch offers
+ */
+router.get('/offer', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.getOffer), driversController.getOffer);
+
+/**
+ * PATCH /offer/:id/accept
+ * Accept a dispatch offer before its deadline
+ */
+router.patch('/offer/:id/accept', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.acceptOffer), driversController.acceptOffer);
+
+/**
+ * PATCH /offer/:id/decline
+ * Decline a dispatch offer
+ */
+router.patch('/offer/:id/decline', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.declineOffer), driversController.declineOffer);
+
+/**
+ * PATCH /ride/:id/arrive
+ * Arrive at the pickup of a ride
+ */
+router.patch('/ride/:id/arrive', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.arriveRide), driversController.arriveRide);
+
+/**
+ * PATCH /ride/:id/no-show
+ * Mark the passenger as no-show
  */
-router.patch('/booking/:id/accept', authenticate, authorize([ROLES.DRIVER]), driversController.acceptBooking);
+router.patch('/ride/:id/no-show', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.markNoShow), driversController.markNoShow);
 
 /**
  * PATCH /ride/:id/start
  * Start a ride
  */
-router.patch('/ride/:id/start', authenticate, authorize([ROLES.DRIVER]), driversController.startRide);
+router.patch('/ride/:id/start', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.startRide), driversController.startRide);
 
 /**
  * PATCH /ride/:id/complete
  * Complete a ride
  */
-router.patch('/ride/:id/complete', authenticate, authorize([ROLES.DRIVER]), driversController.completeRide);
+router.patch('/ride/:id/complete', authenticate, authorize([ROLES.DRIVER]), validate(driversSchema.completeRide), driversController.completeRide);
 
 module.exports = router;
\ No newline at end of file
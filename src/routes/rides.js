@@ -7,9 +7,10 @@
 const express = require('express');
 const router = express.Router();
 
-// Import modules for authenticate and authorize
+// Import modules for authenticate, authorize and validate
 const authenticate = require('../middlewares/authenticate');
 const authorize = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
 
 // Import module for constants
 const { ROLES } = require('../utils/constants');
@@ -17,18 +18,27 @@ const { ROLES } = require('../utils/constants');
 // Import the controller of admins
 const ridesController = require('../controller/ridesController');
 
+// Import the request schemas
+const ridesSchema = require('../schemas/rides');
+
 /**
  * GET /:id
  * View ride detail.
  * Accessible by both driver and user.
  * Shows enriched info about the other party.
  */
-router.get('/:id', authenticate, authorize([ROLES.USER, ROLES.DRIVER]), ridesController.getRideDetail);
+router.get('/:id', authenticate, authorize([ROLES.USER, ROLES.DRIVER]), validate(ridesSchema.getRideDetail), ridesController.getRideDetail);
+
+/**
+ * GET /:id/cancellation-fee
+ * Preview the fee of cancelling the ride now
+ */
+router.get('/:id/cancellation-fee', authenticate, authorize([ROLES.USER, ROLES.DRIVER]), validate(ridesSchema.getCancellationFee), ridesController.getCancellationFee);
 
 /**
  * PATCH /:id/cancel
  * Cancel the ride with PATCH Request to update status without delete the history of rides
  */
-router.patch('/:id/cancel', authenticate, authorize([ROLES.USER, ROLES.DRIVER]), ridesController.cancelRide);
+router.patch('/:id/cancel', authenticate, authorize([ROLES.USER, ROLES.DRIVER]), validate(ridesSchema.cancelRide), ridesController.cancelRide);
 
 module.exports = router;
\ No newline at end of file
@@ -7,80 +7,146 @@
 const express = require('express');
 const router = express.Router();
 
-// Import modules for authenticate and authorize
+// Import modules for authenticate, authorize and validate
 const authenticate = require('../middlewares/authenticate');
 const authorize = require('../middlewares/authorize');
+const validate = require('../middlewares/validate');
 
 // Import module for constants
 const { ROLES } = require('../utils/constants');
 
 // Import the controller of users
 const usersController = require('../controller/usersController');
+const authController = require('../controller/authController');
+
+// Import the request schemas
+const usersSchema = require('../schemas/users');
+const authSchema = require('../schemas/auth');
 
 /**
  * POST /register
  * Registers a new user
  */
-router.post('/register', usersController.userRegistration);
+router.post('/register', validate(usersSchema.userRegistration), usersController.userRegistration);
 
 /**
  * POST /login
  * User login
  */
-router.post('/login', usersController.userLogin);
+router.post('/login', validate(usersSchema.userLogin), usersController.userLogin);
+
+/**
+ * POST /verify
+ * Verify email or phone with the verification code
+ */
+router.post('/verify', validate(authSchema.verifyContact), authController.verifyContact(ROLES.USER));
+
+/**
+ * POST /verify/resend
+ * Resend email or phone verification code
+ */
+router.post('/verify/resend', validate(authSchema.resendVerification), authController.resendVerification(ROLES.USER));
+
+/**
+ * POST /forgot-password
+ * Request a password reset code by email
+ */
+router.post('/forgot-password', validate(authSchema.forgotPassword), authController.forgotPassword(ROLES.USER));
+
+/**
+ * POST /reset-password
+ * Reset password with the reset code
+ */
+router.post('/reset-password', validate(authSchema.resetPassword), authController.resetPassword(ROLES.USER));
+
+/**
+ * PATCH /change-password
+ * Change own password (old password required)
+ */
+router.patch('/change-password', authenticate, authorize([ROLES.USER]), validate(authSchema.changePassword), authController.changePassword);
 
 /**
  * GET /profile/:id
  * Retrieve own profile
  */
-router.get('/profile/:id', authenticate, authorize([ROLES.USER]), usersController.getProfile);
+router.get('/profile/:id', authenticate, authorize([ROLES.USER]), validate(usersSchema.getProfile), usersController.getProfile);
 
 /**
  * PATCH /profile/:id
  * Update own profile
  */
-router.patch('/profile/:id', authenticate, authorize([ROLES.USER]), usersController.updateProfile);
+router.patch('/profile/:id', authenticate, authorize([ROLES.USER]), validate(usersSchema.updateProfile), usersController.updateProfile);
 
 /**
  * PATCH /profile/:id/deactivate
  * Deactivate own account
  */
-router.patch('/profile/:id/deactivate', authenticate, authorize([ROLES.USER]), usersController.deactivateProfile);
+router.patch('/profile/:id/deactivate', authenticate, authorize([ROLES.USER]), validate(usersSchema.deactivateProfile), usersController.deactivateProfile);
+
+/**
+ * GET /session
+ * List own active sessions (devices)
+ */
+router.get('/session', authenticate, authorize([ROLES.USER]), validate(authSchema.getSessions), authController.getSessions);
+
+/**
+ * PATCH /session/:id/revoke
+ * Revoke one of own sessions (devices)
+ */
+router.patch('/session/:id/revoke', authenticate, authorize([ROLES.USER]), validate(authSchema.revokeSession), authController.revokeSession);
+
+/**
+ * POST /quote
+ * Quote the fare of a trip for every vehicle type
+ */
+router.post('/quote', authenticate, authorize([ROLES.USER]), validate(usersSchema.getQuote), usersController.getQuote);
 
 /**
  * POST /booking
- * Create a new booking
+ * Create a new booking (optional quote id to lock the price)
  */
-router.post('/booking', authenticate, authorize([ROLES.USER]), usersController.createBooking);
+router.post('/booking', authenticate, authorize([ROLES.USER]), validate(usersSchema.createBooking), usersController.createBooking);
 
 /**
  * GET /booking/:id
  * Retrieve booking detail
  */
-router.get('/booking/:id', authenticate, authorize([ROLES.USER]), usersController.getBooking);
+router.get('/booking/:id', authenticate, authorize([ROLES.USER]), validate(usersSchema.getBooking), usersController.getBooking);
+
+/**
+ * GET /booking/:id/dispatch
+ * Retrieve the progress of searching for a driver
+ */
+router.get('/booking/:id/dispatch', authenticate, authorize([ROLES.USER]), validate(usersSchema.getDispatch), usersController.getDispatch);
 
 /**
  * PATCH /booking/:id
  * Update booking detail
  */
-router.patch('/booking/:id', authenticate, authorize([ROLES.USER]), usersController.updateBooking);
+router.patch('/booking/:id', authenticate, authorize([ROLES.USER]), validate(usersSchema.updateBooking), usersController.updateBooking);
 
 /**
  * PATCH /booking/:id/cancel
  * Cancel a booking
  */
-router.patch('/booking/:id/cancel', authenticate, authorize([ROLES.USER]), usersController.cancelBooking);
+router.patch('/booking/:id/cancel', authenticate, authorize([ROLES.USER]), validate(usersSchema.cancelBooking), usersController.cancelBooking);
+
+/**
+ * POST /booking/:id/rerequest
+ * Request again a cancelled or expired booking
+ */
+router.post('/booking/:id/rerequest', authenticate, authorize([ROLES.USER]), validate(usersSchema.rerequestBooking), usersController.rerequestBooking);
 
 /**
  * PATCH /ride/:id/payment
  * Make a payment for a ride
  */
-router.patch('/ride/:id/payment', authenticate, authorize([ROLES.USER]), usersController.makePayment);
+router.patch('/ride/:id/payment', authenticate, authorize([ROLES.USER]), validate(usersSchema.makePayment), usersController.makePayment);
 
 /**
  * POST /ride/:id/rating
  * Rate a completed ride
  */
-router.post('/ride/:id/rating', authenticate, authorize([ROLES.USER]), usersController.rateRide);
+router.post('/ride/:id/rating', authenticate, authorize([ROLES.USER]), validate(usersSchema.rateRide), usersController.rateRide);
 
 module.exports = router;
\ No newline at end of file
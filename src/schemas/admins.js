@@ -0,0 +1,217 @@
+/**
+ * admins.js
+ * Request schemas of admin routes.
+ */
+
+// Import module for constants
+const { PAYMENT_METHOD, PERMISSIONS, VEHICLE_TYPE } = require('../utils/constants');
+const { ROUNDING_MODE } = require('../utils/fareEngine');
+
+// Import shared field rules
+const { idParams, username, email, phone, password, newPassword, bankAccountNumber, reason } = require('./common');
+
+// Field rules of admin roles
+const adminRole = { type: "string", pattern: "^[a-z][a-z0-9_]*$", maxLength: 30, description: "Admin role name" };
+const permissions = {
+    type: "array",
+    items: { type: "string", enum: Object.values(PERMISSIONS) },
+    description: "Permissions granted by the role"
+};
+
+// Field rules of tariff (RM)
+const vehicleType = { type: "string", enum: Object.values(VEHICLE_TYPE), description: "Vehicle type" };
+const rate = { type: "number", min: 0, max: 1000 };
+
+// Field rules of driver
+const licenseExpiry = { type: "string", format: "date", description: "Driving license expiry date" };
+
+// Export schemas
+module.exports = {
+    adminRegistration: {
+        summary: "Register an admin account with an invitation token",
+        body: {
+            inviteToken: { type: "string", required: true, description: "Invitation token" },
+            username: { ...username, required: true },
+            password: { ...newPassword, required: true, description: "Password (at least 8 characters)" }
+        }
+    },
+    adminLogin: {
+        summary: "Admin login",
+        body: {
+            email: { ...email, required: true },
+            password: { ...password, required: true }
+        }
+    },
+    getUser: {
+        summary: "List all users"
+    },
+    getUserById: {
+        summary: "Retrieve a user",
+        params: idParams
+    },
+    updateUser: {
+        summary: "Update a user",
+        params: idParams,
+        body: {
+            reason: { ...reason, required: true },
+            username,
+            phone,
+            preferPay: { type: "string", enum: Object.values(PAYMENT_METHOD), description: "Preferred payment method" },
+            bankAccountNumber,
+            password: { ...newPassword, description: "New password (requires users:reset-password)" }
+        }
+    },
+    suspendUser: {
+        summary: "Suspend a user",
+        params: idParams,
+        body: { reason: { ...reason, required: true } }
+    },
+    activateUser: {
+        summary: "Activate a user",
+        params: idParams,
+        body: { reason: { ...reason, required: true } }
+    },
+    getDriver: {
+        summary: "List all drivers"
+    },
+    getDriverById: {
+        summary: "Retrieve a driver",
+        params: idParams
+    },
+    updateDriver: {
+        summary: "Update a driver",
+        params: idParams,
+        body: {
+            reason: { ...reason, required: true },
+            username,
+            phone,
+            licenseNumber: { type: "string", maxLength: 30, description: "Driving license number" },
+            licenseExpiry,
+            bankAccountNumber,
+            password: { ...newPassword, description: "New password (requires drivers:reset-password)" }
+        }
+    },
+    suspendDriver: {
+        summary: "Suspend a driver",
+        params: idParams,
+        body: { reason: { ...reason, required: true } }
+    },
+    activateDriver: {
+        summary: "Activate a driver",
+        params: idParams,
+        body: { reason: { ...reason, required: true } }
+    },
+    getRide: {
+        summary: "List all rides"
+    },
+    getRideById: {
+        summary: "Retrieve a ride",
+        params: idParams
+    },
+    forceCancelRide: {
+        summary: "Force cancel a ride",
+        params: idParams,
+        body: { reason: { ...reason, required: true } }
+    },
+    overrideTripPin: {
+        summary: "Start a ride without the trip PIN",
+        params: idParams,
+        body: { reason: { ...reason, required: true } }
+    },
+    inviteAdmin: {
+        summary: "Invite a new admin by email",
+        body: {
+            email: { ...email, required: true },
+            adminRole: { ...adminRole, description: "Admin role of the new admin (default support)" },
+            reason
+        }
+    },
+    getAdmin: {
+        summary: "List all admins"
+    },
+    disableAdmin: {
+        summary: "Disable an admin account",
+        params: idParams,
+        body: { reason }
+    },
+    demoteAdmin: {
+        summary: "Demote a super-admin",
+        params: idParams,
+        body: {
+            adminRole: { ...adminRole, description: "Admin role after demotion (default support)" },
+            reason
+        }
+    },
+    assignAdminRole: {
+        summary: "Assign an admin role",
+        params: idParams,
+        body: {
+            adminRole: { ...adminRole, required: true },
+            reason
+        }
+    },
+    getRole: {
+        summary: "List admin roles and their permissions"
+    },
+    createRole: {
+        summary: "Create an admin role",
+        body: {
+            name: { ...adminRole, required: true },
+            permissions: { ...permissions, required: true },
+            reason
+        }
+    },
+    updateRole: {
+        summary: "Update the permissions of an admin role",
+        params: { name: { ...adminRole, required: true } },
+        body: {
+            permissions: { ...permissions, required: true },
+            reason
+        }
+    },
+    getLockout: {
+        summary: "List active login lockouts"
+    },
+    clearLockout: {
+        summary: "Clear a login lockout",
+        params: idParams,
+        body: { reason }
+    },
+    getAudit: {
+        summary: "Retrieve the audit log",
+        query: {
+            actorId: { type: "string", format: "objectId", description: "Filter by admin id" },
+            targetId: { type: "string", maxLength: 100, description: "Filter by target id" },
+            action: { type: "string", maxLength: 50, description: "Filter by action" },
+            from: { type: "string", format: "date", description: "Created at or after" },
+            to: { type: "string", format: "date", description: "Created at or before" },
+            limit: { type: "integer", min: 1, max: 500, description: "Maximum records (default 100)" }
+        }
+    },
+    getTariff: {
+        summary: "List the active tariff of every vehicle type, or every version of one vehicle type",
+        query: {
+            vehicleType: { ...vehicleType, description: "List every version of this vehicle type" }
+        }
+    },
+    publishTariff: {
+        summary: "Publish a new tariff version of a vehicle type",
+        body: {
+            vehicleType: { ...vehicleType, required: true },
+            baseFare: { ...rate, required: true, description: "Fare at flag fall" },
+            perKm: { ...rate, required: true, description: "Charge per km" },
+            perMinute: { ...rate, required: true, description: "Charge per minute" },
+            bookingFee: { ...rate, required: true, description: "Fee added to every trip" },
+            minimumFare: { ...rate, required: true, description: "Minimum trip fare before booking fee" },
+            rounding: {
+                type: "object",
+                description: "Rounding of the final fare (default nearest 0.1)",
+                properties: {
+                    mode: { type: "string", enum: Object.values(ROUNDING_MODE), required: true },
+                    step: { type: "number", min: 0.01, max: 10, required: true, description: "Round to a multiple of" }
+                }
+            },
+            reason: { ...reason, required: true }
+        }
+    }
+};
@@ -0,0 +1,94 @@
+/**
+ * auth.js
+ * Request schemas of session, password, verification and two-factor routes.
+ */
+
+// Import shared field rules
+const { idParams, email, password, newPassword } = require('./common');
+
+// Field rules of codes
+const otpCode = { type: "string", pattern: "^\\d{6}$", description: "6-digit code" };
+const recoveryCode = { type: "string", maxLength: 20, description: "Recovery code" };
+const channel = { type: "string", enum: ["email", "phone"], required: true, description: "Contact to verify" };
+
+// Export schemas
+module.exports = {
+    refreshToken: {
+        summary: "Exchange a refresh token for a new token pair",
+        body: { refreshToken: { type: "string", required: true, description: "Refresh token" } }
+    },
+    logout: {
+        summary: "Revoke the current session",
+        body: {}
+    },
+    getSessions: {
+        summary: "List own active sessions (devices)"
+    },
+    revokeSession: {
+        summary: "Revoke one of own sessions (devices)",
+        params: idParams,
+        body: {}
+    },
+    changePassword: {
+        summary: "Change own password (old password required)",
+        body: {
+            oldPassword: { ...password, required: true, description: "Current password" },
+            newPassword: { ...newPassword, required: true }
+        }
+    },
+    forgotPassword: {
+        summary: "Request a password reset code by email",
+        body: { email: { ...email, required: true } }
+    },
+    resetPassword: {
+        summary: "Reset password with the reset code",
+        body: {
+            email: { ...email, required: true },
+            code: { ...otpCode, required: true },
+            newPassword: { ...newPassword, required: true }
+        }
+    },
+    verifyContact: {
+        summary: "Verify email or phone with the verification code",
+        body: {
+            email: { ...email, required: true },
+            channel,
+            code: { ...otpCode, required: true }
+        }
+    },
+    resendVerification: {
+        summary: "Resend email or phone verification code",
+        body: {
+            email: { ...email, required: true },
+            channel
+        }
+    },
+    verifyTwoFactorLogin: {
+        summary: "Second login step with TOTP or recovery code (one of code or recoveryCode)",
+        body: {
+            challengeToken: { type: "string", required: true, description: "Challenge token of the first login step" },
+            code: otpCode,
+            recoveryCode
+        }
+    },
+    setupTwoFactor: {
+        summary: "Start two-factor enrollment (secret and otpauth URI)",
+        body: {}
+    },
+    enableTwoFactor: {
+        summary: "Confirm two-factor enrollment and receive recovery codes",
+        body: { code: { ...otpCode, required: true } }
+    },
+    disableTwoFactor: {
+        summary: "Disable two-factor authentication (one of code or recoveryCode)",
+        body: {
+            password: { ...password, required: true },
+            code: otpCode,
+            recoveryCode
+        }
+    },
+    regenerateRecoveryCodes: {
+        summary: "Regenerate recovery codes",
+        body: { code: { ...otpCode, required: true } }
+    }
+};
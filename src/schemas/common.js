@@ -0,0 +1,58 @@
+/**
+ * common.js
+ * Field rules shared by the request schemas.
+ */
+
+// Minimum length of a password
+const MIN_PASSWORD_LENGTH = 8;
+
+// Route parameter :id of a mongoDB document
+const idParams = {
+    id: { type: "string", format: "objectId", required: true, description: "Document id" }
+};
+
+// Account fields
+const username = { type: "string", maxLength: 50, description: "Display name" };
+const email = { type: "string", format: "email", maxLength: 254, description: "Email address" };
+const phone = { type: "string", format: "phone", description: "Phone number" };
+const password = { type: "string", maxLength: 128, description: "Password" };
+const newPassword = { type: "string", minLength: MIN_PASSWORD_LENGTH, maxLength: 128, description: `New password (at least ${MIN_PASSWORD_LENGTH} characters)` };
+const bankAccountNumber = { type: "string", maxLength: 34, allowEmpty: true, description: "Bank account number" };
+
+// Location as GeoJSON Point with an optional address label
+const geoPoint = {
+    type: "object",
+    description: "GeoJSON Point { type: \"Point\", coordinates: [longitude, latitude], address }",
+    properties: {
+        type: { type: "string", enum: ["Point"], required: true, description: "GeoJSON type" },
+        coordinates: {
+            type: "array",
+            minLength: 2,
+            maxLength: 2,
+            required: true,
+            items: [
+                { type: "number", min: -180, max: 180, description: "Longitude" },
+                { type: "number", min: -90, max: 90, description: "Latitude" }
+            ],
+            description: "[longitude, latitude]"
+        },
+        address: { type: "string", maxLength: 200, description: "Address label" }
+    }
+};
+
+// Reason of a privileged action, recorded in the audit log
+const reason = { type: "string", maxLength: 500, description: "Reason recorded in the audit log" };
+
+// Export field rules
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    idParams,
+    username,
+    email,
+    phone,
+    password,
+    newPassword,
+    bankAccountNumber,
+    geoPoint,
+    reason
+};
@@ -0,0 +1,142 @@
+/**
+ * drivers.js
+ * Request schemas of driver routes.
+ */
+
+// Import module for constants
+const { VEHICLE_TYPE } = require('../utils/constants');
+
+// Import shared field rules
+const { idParams, username, email, phone, password, newPassword, bankAccountNumber, geoPoint } = require('./common');
+
+// Field rules of a driver
+const licenseNumber = { type: "string", maxLength: 30, description: "Driving license number" };
+const licenseExpiry = { type: "string", format: "date", description: "Driving license expiry date" };
+
+// Field rules of a vehicle
+const color = { type: "string", maxLength: 30, description: "Vehicle color" };
+const inspectionExpiry = { type: "string", format: "date", description: "Inspection expiry date" };
+const roadtaxExpiry = { type: "string", format: "date", description: "Road tax expiry date" };
+
+// Export schemas
+module.exports = {
+    driverRegistration: {
+        summary: "Registers a new driver",
+        body: {
+            username: { ...username, required: true },
+            phone: { ...phone, required: true },
+            email: { ...email, required: true },
+            password: { ...newPassword, required: true, description: "Password (at least 8 characters)" },
+            licenseNumber: { ...licenseNumber, required: true },
+            licenseExpiry: { ...licenseExpiry, required: true },
+            bankAccountNumber
+        }
+    },
+    driverLogin: {
+        summary: "Driver login",
+        body: {
+            email: { ...email, required: true },
+            password: { ...password, required: true }
+        }
+    },
+    getProfile: {
+        summary: "Retrieve own profile",
+        params: idParams
+    },
+    updateProfile: {
+        summary: "Update own profile",
+        params: idParams,
+        body: { username, phone, licenseNumber, licenseExpiry, bankAccountNumber }
+    },
+    deactivateProfile: {
+        summary: "Deactivate own account",
+        params: idParams,
+        body: {}
+    },
+    newVehicle: {
+        summary: "Register a new vehicle",
+        body: {
+            plateNumber: { type: "string", maxLength: 15, required: true, description: "Plate number" },
+            vehicleType: { type: "string", enum: Object.values(VEHICLE_TYPE), required: true, description: "Vehicle type" },
+            brand: { type: "string", maxLength: 30, required: true, description: "Vehicle brand" },
+            model: { type: "string", maxLength: 30, required: true, description: "Vehicle model" },
+            color: { ...color, required: true },
+            inspectionExpiry: { ...inspectionExpiry, required: true },
+            roadtaxExpiry: { ...roadtaxExpiry, required: true }
+        }
+    },
+    getVehicle: {
+        summary: "Retrieve vehicle detail",
+        params: idParams
+    },
+    updateVehicle: {
+        summary: "Update vehicle detail",
+        params: idParams,
+        body: { color, inspectionExpiry, roadtaxExpiry }
+    },
+    deactivateVehicle: {
+        summary: "Deactivate a vehicle",
+        params: idParams,
+        body: {}
+    },
+    updateLocation: {
+        summary: "Report own current location",
+        body: {
+            location: {
+                ...geoPoint,
+                required: true,
+                description: "Current location, GeoJSON Point { type: \"Point\", coordinates: [longitude, latitude] }",
+                properties: { type: geoPoint.properties.type, coordinates: geoPoint.properties.coordinates }
+            }
+        }
+    },
+    getBooking: {
+        summary: "List requested bookings matching own vehicle near own location, nearest pickup first",
+        query: {
+            radiusKm: { type: "number", min: 0.1, max: 50, description: "Search radius in km (default 5)" }
+        }
+    },
+    getScheduledBooking: {
+        summary: "List scheduled bookings not yet released to the feed, earliest pickup first"
+    },
+    acceptBooking: {
+        summary: "Accept a booking",
+        params: idParams,
+        body: {}
+    },
+    getOffer: {
+        summary: "List own open dispatch offers"
+    },
+    acceptOffer: {
+        summary: "Accept a dispatch offer before its deadline",
+        params: idParams,
+        body: {}
+    },
+    declineOffer: {
+        summary: "Decline a dispatch offer, the booking is offered to the next driver",
+        params: idParams,
+        body: {}
+    },
+    arriveRide: {
+        summary: "Arrive at the pickup of a ride, starts the free waiting window",
+        params: idParams,
+        body: {}
+    },
+    markNoShow: {
+        summary: "Mark the passenger as no-show after the waiting limit, cancels the ride with a no-show fee",
+        params: idParams,
+        body: {}
+    },
+    startRide: {
+        summary: "Start a ride with the trip PIN given by the passenger",
+        params: idParams,
+        body: {
+            tripPin: { type: "string", pattern: "^\\d{4}$", required: true, description: "4-digit trip PIN shown to the user" }
+        }
+    },
+    completeRide: {
+        summary: "Complete a ride",
+        params: idParams,
+        body: {}
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * rides.js
+ * Request schemas of ride routes shared by users and drivers.
+ */
+
+// Import shared field rules
+const { idParams } = require('./common');
+
+// Export schemas
+module.exports = {
+    getRideDetail: {
+        summary: "Retrieve ride detail",
+        params: idParams
+    },
+    getCancellationFee: {
+        summary: "Preview the fee of cancelling a ride now",
+        params: idParams
+    },
+    cancelRide: {
+        summary: "Cancel a ride, a cancellation fee must be confirmed",
+        params: idParams,
+        body: {
+            confirmFee: { type: "number", min: 0, description: "Highest cancellation fee accepted (RM), required when a fee applies" }
+        }
+    }
+};
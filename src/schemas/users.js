@@ -0,0 +1,114 @@
+/**
+ * users.js
+ * Request schemas of user routes.
+ */
+
+// Import module for constants
+const { PAYMENT_METHOD, VEHICLE_TYPE } = require('../utils/constants');
+
+// Import shared field rules
+const { idParams, username, email, phone, password, newPassword, bankAccountNumber, geoPoint } = require('./common');
+
+// Field rules of a user
+const preferPay = { type: "string", enum: Object.values(PAYMENT_METHOD), description: "Preferred payment method" };
+
+// Field rules of a booking
+const requestedVehicleType = { type: "string", enum: Object.values(VEHICLE_TYPE), description: "Requested vehicle type" };
+
+// Export schemas
+module.exports = {
+    userRegistration: {
+        summary: "Registers a new user",
+        body: {
+            username: { ...username, required: true },
+            phone: { ...phone, required: true },
+            email: { ...email, required: true },
+            password: { ...newPassword, required: true, description: "Password (at least 8 characters)" },
+            preferPay: { ...preferPay, required: true },
+            bankAccountNumber
+        }
+    },
+    userLogin: {
+        summary: "User login",
+        body: {
+            email: { ...email, required: true },
+            password: { ...password, required: true }
+        }
+    },
+    getProfile: {
+        summary: "Retrieve own profile",
+        params: idParams
+    },
+    updateProfile: {
+        summary: "Update own profile",
+        params: idParams,
+        body: { username, phone, preferPay, bankAccountNumber }
+    },
+    deactivateProfile: {
+        summary: "Deactivate own account",
+        params: idParams,
+        body: {}
+    },
+    getQuote: {
+        summary: "Quote the fare of a trip for every vehicle type",
+        body: {
+            pickupLocation: { ...geoPoint, required: true, description: "Pickup location (GeoJSON Point)" },
+            dropoffLocation: { ...geoPoint, required: true, description: "Dropoff location (GeoJSON Point)" }
+        }
+    },
+    createBooking: {
+        summary: "Create a new booking, at the quoted price when a quote id is given",
+        body: {
+            pickupLocation: { ...geoPoint, required: true, description: "Pickup location (GeoJSON Point)" },
+            dropoffLocation: { ...geoPoint, required: true, description: "Dropoff location (GeoJSON Point)" },
+            requestedVehicleType: { ...requestedVehicleType, required: true },
+            quoteId: { type: "string", maxLength: 4096, description: "Quote id from POST /users/quote" },
+            scheduledPickupAt: { type: "string", format: "date", description: "Future pickup time (ISO 8601), immediate ride when omitted" }
+        }
+    },
+    getBooking: {
+        summary: "Retrieve booking detail",
+        params: idParams
+    },
+    getDispatch: {
+        summary: "Retrieve the progress of searching for a driver",
+        params: idParams
+    },
+    updateBooking: {
+        summary: "Update booking detail",
+        params: idParams,
+        body: {
+            pickupLocation: { ...geoPoint, description: "Pickup location (GeoJSON Point)" },
+            dropoffLocation: { ...geoPoint, description: "Dropoff location (GeoJSON Point)" },
+            requestedVehicleType
+        }
+    },
+    cancelBooking: {
+        summary: "Cancel a booking",
+        params: idParams,
+        body: {}
+    },
+    rerequestBooking: {
+        summary: "Request again a cancelled or expired booking with the same trip and vehicle type",
+        params: idParams,
+        body: {
+            scheduledPickupAt: { type: "string", format: "date", description: "Future pickup time (ISO 8601), immediate ride when omitted" }
+        }
+    },
+    makePayment: {
+        summary: "Make a payment for a ride",
+        params: idParams,
+        body: {
+            paymentMethod: { type: "string", enum: Object.values(PAYMENT_METHOD), required: true, description: "Payment method" },
+            transactionReferences: { type: "string", maxLength: 100, required: true, description: "Reference of the transaction" }
+        }
+    },
+    rateRide: {
+        summary: "Rate a completed ride",
+        params: idParams,
+        body: {
+            rating: { type: "integer", min: 1, max: 5, required: true, description: "Rating from 1 to 5" },
+            comment: { type: "string", maxLength: 500, allowEmpty: true, description: "Comment" }
+        }
+    }
+};
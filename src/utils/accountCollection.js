@@ -0,0 +1,25 @@
+/**
+ * accountCollection.js
+ * Function to resolve the collection that stores an account of a role
+ */
+
+// Import module for constants
+const { ROLES } = require('./constants');
+
+/**
+ * Return the collection name of the given role
+ * Unknown role fall back to "users"
+ */
+function accountCollection(role) {
+    switch (role) {
+        case ROLES.ADMIN:
+            return "admins";
+        case ROLES.DRIVER:
+            return "drivers";
+        default:
+            return "users";
+    }
+}
+
+// Export function
+module.exports = accountCollection;
@@ -0,0 +1,123 @@
+/**
+ * adminRoles.js
+ * Admin sub-roles and their permissions stored in "adminRoles" collection
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { ADMIN_ROLES, PERMISSIONS } = require('./constants');
+
+// Define collection
+const collection = "adminRoles";
+
+// Default permissions of the built-in roles, seeded when missing or added in a new version
+const DEFAULT_ROLE_PERMISSIONS = {
+    [ADMIN_ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+    [ADMIN_ROLES.SUPPORT]: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_UPDATE,
+        PERMISSIONS.DRIVERS_READ,
+        PERMISSIONS.DRIVERS_UPDATE,
+        PERMISSIONS.RIDES_READ,
+        PERMISSIONS.LOCKOUTS_MANAGE
+    ],
+    [ADMIN_ROLES.FINANCE]: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.DRIVERS_READ,
+        PERMISSIONS.RIDES_READ,
+        PERMISSIONS.PAYMENTS_REFUND,
+        PERMISSIONS.TARIFFS_MANAGE
+    ],
+    [ADMIN_ROLES.OPS]: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_SUSPEND,
+        PERMISSIONS.DRIVERS_READ,
+        PERMISSIONS.DRIVERS_SUSPEND,
+        PERMISSIONS.RIDES_READ,
+        PERMISSIONS.RIDES_CANCEL,
+        PERMISSIONS.RIDES_OVERRIDE_PIN,
+        PERMISSIONS.LOCKOUTS_MANAGE,
+        PERMISSIONS.AUDIT_READ
+    ]
+};
+
+/**
+ * Insert the built-in roles that do not exist yet and move admins of the
+ * legacy flat admin role to the least privileged built-in role.
+ * The defaults seeded into a built-in role are kept in "seededPermissions", only defaults
+ * added in a new version are granted on start, so that permissions edited by admins survive restart.
+ */
+async function seedAdminRoles() {
+    // Access to mongoDB
+    const db = getDB();
+
+    for (const [name, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        const role = await db.collection(collection).findOne({ name });
+        if (!role) {
+            await db.collection(collection).updateOne(
+                { name },
+                { $setOnInsert: { name, permissions, seededPermissions: permissions, builtIn: true, createdAt: new Date() } },
+                { upsert: true }
+            );
+            continue;
+        }
+        if (!role.builtIn) continue;
+
+        // Grant the defaults not seeded yet, a role seeded before tracking gets every default once
+        const seeded = role.seededPermissions || [];
+        const added = permissions.filter(permission => !seeded.includes(permission));
+        if (added.length === 0) continue;
+
+        await db.collection(collection).updateOne(
+            { _id: role._id },
+            { $addToSet: { permissions: { $each: added }, seededPermissions: { $each: added } } }
+        );
+    }
+
+    await db.collection("admins").updateMany(
+        { $or: [{ adminRole: { $exists: false } }, { adminRole: "admin" }] },
+        { $set: { adminRole: ADMIN_ROLES.SUPPORT } }
+    );
+}
+
+/**
+ * Return the permissions of an admin role.
+ * Super-admin always holds every permission so it cannot be locked out.
+ */
+async function getRolePermissions(name) {
+    // Access to mongoDB
+    const db = getDB();
+
+    if (name === ADMIN_ROLES.SUPER_ADMIN) return Object.values(PERMISSIONS);
+
+    const role = await db.collection(collection).findOne({ name });
+    return role ? role.permissions : [];
+}
+
+/**
+ * Check whether an admin role exists
+ */
+async function adminRoleExists(name) {
+    // Access to mongoDB
+    const db = getDB();
+
+    return !!(await db.collection(collection).findOne({ name }));
+}
+
+/**
+ * Check whether the authenticated account holds the permission
+ */
+function hasPermission(auth, permission) {
+    return !!auth && Array.isArray(auth.permissions) && auth.permissions.includes(permission);
+}
+
+// Export functions
+module.exports = {
+    DEFAULT_ROLE_PERMISSIONS,
+    seedAdminRoles,
+    getRolePermissions,
+    adminRoleExists,
+    hasPermission
+};
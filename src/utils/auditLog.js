@@ -0,0 +1,72 @@
+/**
+ * auditLog.js
+ * Append-only audit log of privileged actions.
+ * Records are only ever inserted, there is no update or delete path.
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Define collection
+const collection = "auditLogs";
+
+// Fields never copied into the audit log, only marked as changed
+const SENSITIVE_FIELDS = ["password", "twoFactor", "tripPin"];
+
+/**
+ * Compute the field level difference between two documents.
+ * Returns { field: { from, to } } of the changed fields.
+ */
+function diff(before = {}, after = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[field] = SENSITIVE_FIELDS.includes(field)
+            ? { from: "[REDACTED]", to: "[REDACTED]" }
+            : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+
+    return changes;
+}
+
+/**
+ * Record a privileged action performed by the authenticated account
+ */
+async function recordAudit({ req, action, targetType, targetId, before = null, after = null, reason = null, session }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    await db.collection(collection).insertOne({
+        actor: {
+            id: new ObjectId(req.auth.id),
+            role: req.auth.role,
+            adminRole: req.auth.adminRole || null
+        },
+        action,
+        target: {
+            type: targetType,
+            id: /^[a-f\d]{24}$/i.test(String(targetId)) ? new ObjectId(String(targetId)) : targetId || null
+        },
+        changes: diff(before, after),
+        reason,
+        request: {
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip || null,
+            userAgent: req.headers['user-agent'] || null,
+            sessionId: req.auth.sessionId || null
+        },
+        createdAt: new Date()
+    }, { session });
+}
+
+// Export functions
+module.exports = {
+    recordAudit
+};
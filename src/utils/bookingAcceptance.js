@@ -0,0 +1,183 @@
+/**
+ * bookingAcceptance.js
+ * Acceptance of a booking by a driver, from the booking feed or a dispatch offer.
+ * The booking is claimed with a conditional update, and the claim, the ride and its pending payment
+ * are written in one transaction, so that two drivers never both get the booking
+ * and a failure never leaves an accepted booking without a ride.
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB, getClient } = require('../db');
+
+// Import module for constants
+const { DISPATCH_STATUS, ERROR_CODES, PAYMENT_STATUS, RIDE_STATUS, ROLES, VEHICLE_STATUS } = require('./constants');
+
+// Import module for error types
+const { BadRequestError, NotFoundError, ConflictError } = require('./errors');
+
+// Import modules for function
+const { priceTrip } = require('./fareEngine');
+const { closeDispatch, isReservedForAnother } = require('./dispatch');
+const { historyEntry, transition } = require('./rideStateMachine');
+const { generateTripPin } = require('./tripPin');
+
+/**
+ * Driver accepts a booking. Creates a ride record in "rides" collection.
+ * Throws BOOKING_ALREADY_ACCEPTED when another driver accepted the booking at the same moment.
+ * Returns the accepted ride.
+ */
+async function acceptBookingForDriver(bookingId, driverId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collections
+    const bookingsCollection = "bookings";
+    const ridesCollection = "rides";
+    const vehiclesCollection = "vehicles";
+    const paymentsCollection = "payments";
+
+    // Check available vehicle of driver
+    const driverVehicle = await db.collection(vehiclesCollection).findOne({
+        driverId: new ObjectId(driverId),
+        status: VEHICLE_STATUS.ACTIVE
+    });
+
+    // Check whether the vehicle exists in the database
+    if (!driverVehicle) {
+        throw new BadRequestError("No active vehicle found. Register a vehicle first.", ERROR_CODES.NO_ACTIVE_VEHICLE);
+    }
+
+    // Find the booking detail
+    const booking = await db.collection(bookingsCollection).findOne({
+        _id: new ObjectId(bookingId),
+        status: RIDE_STATUS.REQUESTED
+    });
+
+    // Check whether the booking exists in the database
+    if (!booking) {
+        throw new NotFoundError("Booking not found or already accepted/cancelled.", ERROR_CODES.BOOKING_NOT_AVAILABLE);
+    }
+
+    // Check whether driver vehicle type match user request 
+    if (booking.requestedVehicleType && booking.requestedVehicleType !== driverVehicle.vehicleType) {
+        throw new BadRequestError("Your vehicle type does not match the booking request.", ERROR_CODES.VEHICLE_TYPE_MISMATCH);
+    }
+
+    // Check whether automatic dispatch holds the booking for another driver
+    if (isReservedForAnother(booking, driverId)) {
+        throw new ConflictError("Booking is currently offered to another driver.", ERROR_CODES.BOOKING_RESERVED);
+    }
+
+    // Keep the booking price, or price again when the booking was priced for another vehicle type
+    const surgeMultiplier = booking.surgeMultiplier || 1;
+    const price = booking.tariffId && booking.pricedVehicleType === driverVehicle.vehicleType
+        ? { fare: booking.estimatedFare, tariffId: booking.tariffId, tariffVersion: booking.tariffVersion }
+        : await priceTrip(driverVehicle.vehicleType, {
+            distanceKm: booking.estimatedDistance,
+            durationMinutes: booking.estimatedDuration || 0
+        }, surgeMultiplier);
+
+    // Driver accepting the booking, recorded in the status timeline
+    const actor = { id: driverId, role: ROLES.DRIVER };
+    const acceptedAt = new Date();
+
+    // Prepare new ride object to insert into database
+    const newRide = {
+        _id: new ObjectId(), // Known before the insert, so that a retried transaction writes the same ride
+        bookingId: booking._id,
+        userId: booking.userId,
+        driverId: new ObjectId(driverId),
+        vehicleId: driverVehicle._id,
+        pickupLocation: booking.pickupLocation,
+        pickupAddress: booking.pickupAddress || null,
+        dropoffLocation: booking.dropoffLocation,
+        dropoffAddress: booking.dropoffAddress || null,
+        scheduledPickupAt: booking.scheduledPickupAt || null,
+        acceptedAt,
+        distance: booking.estimatedDistance,
+        estimatedDuration: booking.estimatedDuration || null,
+        fare: price.fare,
+        tariffId: price.tariffId,
+        tariffVersion: price.tariffVersion,
+        surgeMultiplier, // Surge of the booking, kept for the final fare and receipt
+        priceLocked: !!booking.priceLocked && booking.pricedVehicleType === driverVehicle.vehicleType,
+        tripPin: generateTripPin(), // Shown to the user only, the driver enters it to start the ride
+        tripPinAttempts: 0,
+        tripPinLockedUntil: null,
+        status: RIDE_STATUS.ACCEPTED,
+        statusHistory: [historyEntry(RIDE_STATUS.ACCEPTED, actor, { at: acceptedAt })]
+    };
+
+    // Prepare new payment information of the ride to insert into database
+    const paymentData = {
+        rideId: newRide._id,
+        userId: booking.userId,
+        driverId: new ObjectId(driverId),
+        amount: price.fare,
+        tariffVersion: price.tariffVersion,
+        surgeMultiplier,
+        status: PAYMENT_STATUS.PENDING,
+        createdAt: new Date()
+    };
+
+    // Claim the booking, insert the ride and the payment all or nothing
+    const session = getClient().startSession();
+    try {
+        await session.withTransaction(async () => {
+            // The booking must still be requested and not held for another driver by automatic dispatch
+            const claimed = await transition(
+                bookingsCollection,
+                {
+                    _id: booking._id,
+                    $nor: [{
+                        "dispatch.status": DISPATCH_STATUS.OFFERED,
+                        "dispatch.offerExpiresAt": { $gt: new Date() },
+                        "dispatch.currentDriverId": { $ne: new ObjectId(driverId) }
+                    }]
+                },
+                RIDE_STATUS.ACCEPTED,
+                actor,
+                { at: acceptedAt, set: { acceptedAt }, session }
+            );
+
+            // Another driver won the booking, nothing is written
+            if (!claimed) {
+                throw new ConflictError("Booking has just been accepted by another driver.", ERROR_CODES.BOOKING_ALREADY_ACCEPTED);
+            }
+
+            // Insert new ride document into MongoDB
+            await db.collection(ridesCollection).insertOne(newRide, { session });
+
+            // Insert new payment document into MongoDB
+            await db.collection(paymentsCollection).insertOne(paymentData, { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    // Close the automatic dispatch of the booking
+    await closeDispatch(booking._id, driverId);
+
+    // Prepare response object
+    const responseRide = {
+        rideId: newRide._id,
+        bookingId: booking._id,
+        driverId: driverId,
+        vehicleId: driverVehicle._id,
+        acceptedAt: newRide.acceptedAt,
+        scheduledPickupAt: newRide.scheduledPickupAt,
+        distance: newRide.distance,
+        fare: newRide.fare,
+        tariffVersion: newRide.tariffVersion,
+        surgeMultiplier: newRide.surgeMultiplier,
+        status: newRide.status
+    };
+
+    return responseRide;
+}
+
+// Export function
+module.exports = {
+    acceptBookingForDriver
+};
@@ -0,0 +1,60 @@
+/**
+ * bootstrapSuperAdmin.js
+ * Function to create the first super-admin account
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for password hashing
+const bcrypt = require('bcrypt');
+const saltRounds = 10;
+
+// Import module for constants
+const { ACCOUNT_STATUS, ADMIN_ROLES, ROLES } = require('./constants');
+
+/**
+ * Create the first super-admin if none exists yet.
+ * Does nothing once a super-admin exists, further admins join by invitation.
+ * Returns the id of the created super-admin, or null if nothing was created.
+ */
+async function bootstrapSuperAdmin({ username, email, password }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection
+    const collection = "admins";
+
+    // Validate required fields
+    if (!username || !email || !password) return null;
+
+    // Skip when a super-admin already exists
+    const existingSuperAdmin = await db.collection(collection).findOne({ adminRole: ADMIN_ROLES.SUPER_ADMIN });
+    if (existingSuperAdmin) return null;
+
+    // Promote the existing admin with the same email
+    const existingAcc = await db.collection(collection).findOne({ email: email });
+    if (existingAcc) {
+        await db.collection(collection).updateOne(
+            { _id: existingAcc._id },
+            { $set: { adminRole: ADMIN_ROLES.SUPER_ADMIN, status: ACCOUNT_STATUS.ACTIVE } }
+        );
+        return existingAcc._id;
+    }
+
+    // Insert new super-admin document into MongoDB
+    const result = await db.collection(collection).insertOne({
+        role: ROLES.ADMIN,
+        adminRole: ADMIN_ROLES.SUPER_ADMIN,
+        username,
+        email,
+        password: await bcrypt.hash(password, saltRounds),
+        createdAt: new Date(),
+        status: ACCOUNT_STATUS.ACTIVE
+    });
+
+    return result.insertedId;
+}
+
+// Export function
+module.exports = bootstrapSuperAdmin;
@@ -0,0 +1,94 @@
+/**
+ * cancellationPolicy.js
+ * Fee of cancelling an accepted ride, charged to the user or driver who cancels.
+ * Cancelling is free during the grace period after acceptance. After it the fee grows with the elapsed time,
+ * and a user pays a surcharge once the driver is near the pickup or has arrived. The fee is capped.
+ * An admin cancels without fee.
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Import module for constants
+const { RIDE_STATUS, ROLES } = require('./constants');
+
+// Import modules for function
+const { currentLocation } = require('./driverLocation');
+const { haversineKm } = require('./routeEstimator');
+
+// Policy settings (use environment variable)
+const graceMinutes = Number(process.env.CANCEL_GRACE_MINUTES) || 2;
+const baseFee = Number(process.env.CANCEL_FEE_BASE) || 3; // RM
+const feePerMinute = Number(process.env.CANCEL_FEE_PER_MINUTE) || 0.2; // RM per minute after the grace period
+const maxFee = Number(process.env.CANCEL_FEE_MAX) || 10; // RM
+const nearDriverKm = Number(process.env.CANCEL_NEAR_DRIVER_KM) || 1;
+const nearDriverSurcharge = Number(process.env.CANCEL_NEAR_DRIVER_SURCHARGE) || 2; // RM
+
+/**
+ * Distance of the driver of a ride from the pickup in km, 0 once arrived, null when unknown
+ */
+async function driverDistanceKm(ride) {
+    if (ride.status === RIDE_STATUS.ARRIVED) return 0;
+
+    // Access to mongoDB
+    const db = getDB();
+
+    const driver = await db.collection("drivers").findOne(
+        { _id: ride.driverId },
+        { projection: { lastLocation: 1, lastLocationAt: 1 } }
+    );
+    const location = currentLocation(driver);
+    if (!location || !ride.pickupLocation) return null;
+
+    return Math.round(haversineKm(location.coordinates, ride.pickupLocation.coordinates) * 100) / 100;
+}
+
+/**
+ * Fee of cancelling a ride now by a role.
+ * Returns { cancellationFee, chargedTo, graceUntil, elapsedMinutes, driverDistanceKm }
+ */
+async function cancellationFee(ride, role, now = new Date()) {
+    const acceptedAt = ride.acceptedAt || now;
+    const graceUntil = new Date(acceptedAt.getTime() + graceMinutes * 60 * 1000);
+    const elapsedMinutes = Math.max(0, Math.floor((now - acceptedAt) / 60000));
+    const distanceKm = await driverDistanceKm(ride);
+
+    let fee = 0;
+    if (role !== ROLES.ADMIN && now > graceUntil) {
+        fee = baseFee + feePerMinute * Math.floor((now - graceUntil) / 60000);
+
+        // The driver already came to the pickup for the user
+        if (role === ROLES.USER && distanceKm !== null && distanceKm <= nearDriverKm) {
+            fee += nearDriverSurcharge;
+        }
+        fee = Math.round(Math.min(fee, maxFee) * 100) / 100;
+    }
+
+    return {
+        cancellationFee: fee,
+        chargedTo: fee > 0 ? role : null,
+        graceUntil,
+        elapsedMinutes,
+        driverDistanceKm: distanceKm
+    };
+}
+
+/**
+ * Count a cancellation against the record of the driver, it lowers the dispatch ranking
+ */
+async function recordDriverCancellation(driverId, at = new Date()) {
+    // Access to mongoDB
+    const db = getDB();
+
+    await db.collection("drivers").updateOne(
+        { _id: new ObjectId(String(driverId)) },
+        { $inc: { "dispatchStats.cancelled": 1 }, $set: { lastCancelledAt: at } }
+    );
+}
+
+// Export functions
+module.exports = {
+    cancellationFee,
+    recordDriverCancellation
+};
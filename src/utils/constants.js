@@ -2,7 +2,129 @@
 const ACCOUNT_STATUS = {
     ACTIVE: "active",
     INACTIVE: "inactive",
-    SUSPENDED: "suspended"
+    SUSPENDED: "suspended",
+    PENDING_VERIFICATION: "pending_verification"
+};
+
+// Built-in admin role selection, custom roles can be added in "adminRoles" collection
+const ADMIN_ROLES = {
+    SUPER_ADMIN: "super_admin",
+    SUPPORT: "support",
+    FINANCE: "finance",
+    OPS: "ops"
+};
+
+// Dispatch status selection of a booking
+const DISPATCH_STATUS = {
+    SEARCHING: "searching", // Looking for an eligible driver
+    OFFERED: "offered", // Waiting for the answer of a driver
+    MATCHED: "matched",
+    EXHAUSTED: "exhausted", // No driver accepted within the maximum attempts
+    CANCELLED: "cancelled" // Booking cancelled or expired
+};
+
+// Error code selection, stable machine-readable code of every error response (see docs/error-codes.md)
+const ERROR_CODES = {
+    // General
+    BAD_REQUEST: "BAD_REQUEST",
+    VALIDATION_ERROR: "VALIDATION_ERROR",
+    INVALID_ID: "INVALID_ID",
+    INVALID_JSON: "INVALID_JSON",
+    UNAUTHORIZED: "UNAUTHORIZED",
+    FORBIDDEN: "FORBIDDEN",
+    NOT_FOUND: "NOT_FOUND",
+    ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+    CONFLICT: "CONFLICT",
+    TOO_MANY_REQUESTS: "TOO_MANY_REQUESTS",
+    INTERNAL_ERROR: "INTERNAL_ERROR",
+    // Authentication and session
+    MISSING_TOKEN: "MISSING_TOKEN",
+    INVALID_TOKEN: "INVALID_TOKEN",
+    SESSION_REVOKED: "SESSION_REVOKED",
+    INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+    INVALID_REFRESH_TOKEN: "INVALID_REFRESH_TOKEN",
+    LOGIN_LOCKED: "LOGIN_LOCKED",
+    ACCOUNT_NOT_FOUND: "ACCOUNT_NOT_FOUND",
+    ACCOUNT_NOT_VERIFIED: "ACCOUNT_NOT_VERIFIED",
+    ACCOUNT_NOT_ACTIVE: "ACCOUNT_NOT_ACTIVE",
+    ACCOUNT_ALREADY_EXISTS: "ACCOUNT_ALREADY_EXISTS",
+    SESSION_NOT_FOUND: "SESSION_NOT_FOUND",
+    INVALID_RESET_CODE: "INVALID_RESET_CODE",
+    INVALID_VERIFICATION_CODE: "INVALID_VERIFICATION_CODE",
+    VERIFICATION_RESEND_THROTTLED: "VERIFICATION_RESEND_THROTTLED",
+    // Two-factor authentication
+    INVALID_CHALLENGE_TOKEN: "INVALID_CHALLENGE_TOKEN",
+    INVALID_TWO_FACTOR_CODE: "INVALID_TWO_FACTOR_CODE",
+    TWO_FACTOR_SETUP_REQUIRED: "TWO_FACTOR_SETUP_REQUIRED",
+    TWO_FACTOR_SETUP_NOT_STARTED: "TWO_FACTOR_SETUP_NOT_STARTED",
+    TWO_FACTOR_ALREADY_ENABLED: "TWO_FACTOR_ALREADY_ENABLED",
+    TWO_FACTOR_NOT_ENABLED: "TWO_FACTOR_NOT_ENABLED",
+    TWO_FACTOR_MANDATORY: "TWO_FACTOR_MANDATORY",
+    // Authorization and admin
+    INSUFFICIENT_PERMISSIONS: "INSUFFICIENT_PERMISSIONS",
+    SUPER_ADMIN_ONLY: "SUPER_ADMIN_ONLY",
+    SELF_ACTION_NOT_ALLOWED: "SELF_ACTION_NOT_ALLOWED",
+    INVALID_INVITATION: "INVALID_INVITATION",
+    INVALID_ADMIN_ROLE: "INVALID_ADMIN_ROLE",
+    ADMIN_NOT_FOUND: "ADMIN_NOT_FOUND",
+    ADMIN_ROLE_NOT_FOUND: "ADMIN_ROLE_NOT_FOUND",
+    ADMIN_ROLE_EXISTS: "ADMIN_ROLE_EXISTS",
+    ADMIN_ROLE_IMMUTABLE: "ADMIN_ROLE_IMMUTABLE",
+    LOCKOUT_NOT_FOUND: "LOCKOUT_NOT_FOUND",
+    // Accounts and vehicles
+    USER_NOT_FOUND: "USER_NOT_FOUND",
+    DRIVER_NOT_FOUND: "DRIVER_NOT_FOUND",
+    VEHICLE_NOT_FOUND: "VEHICLE_NOT_FOUND",
+    NO_ACTIVE_VEHICLE: "NO_ACTIVE_VEHICLE",
+    DRIVER_LOCATION_REQUIRED: "DRIVER_LOCATION_REQUIRED",
+    NO_UPDATE_FIELDS: "NO_UPDATE_FIELDS",
+    // Bookings, rides and payments
+    BOOKING_NOT_FOUND: "BOOKING_NOT_FOUND",
+    BOOKING_NOT_AVAILABLE: "BOOKING_NOT_AVAILABLE",
+    BOOKING_RESERVED: "BOOKING_RESERVED",
+    BOOKING_ALREADY_ACCEPTED: "BOOKING_ALREADY_ACCEPTED",
+    BOOKING_NOT_REREQUESTABLE: "BOOKING_NOT_REREQUESTABLE",
+    OFFER_NOT_FOUND: "OFFER_NOT_FOUND",
+    OFFER_EXPIRED: "OFFER_EXPIRED",
+    NO_AVAILABLE_BOOKINGS: "NO_AVAILABLE_BOOKINGS",
+    VEHICLE_TYPE_MISMATCH: "VEHICLE_TYPE_MISMATCH",
+    RIDE_NOT_FOUND: "RIDE_NOT_FOUND",
+    RIDE_NOT_CANCELLABLE: "RIDE_NOT_CANCELLABLE",
+    CANCELLATION_FEE_NOT_CONFIRMED: "CANCELLATION_FEE_NOT_CONFIRMED",
+    RIDE_NOT_STARTABLE: "RIDE_NOT_STARTABLE",
+    INVALID_TRIP_PIN: "INVALID_TRIP_PIN",
+    TRIP_PIN_LOCKED: "TRIP_PIN_LOCKED",
+    RIDE_NOT_ARRIVABLE: "RIDE_NOT_ARRIVABLE",
+    RIDE_NOT_ARRIVED: "RIDE_NOT_ARRIVED",
+    NO_SHOW_TOO_EARLY: "NO_SHOW_TOO_EARLY",
+    RIDE_NOT_IN_PROGRESS: "RIDE_NOT_IN_PROGRESS",
+    RIDE_NOT_RATEABLE: "RIDE_NOT_RATEABLE",
+    RIDE_ALREADY_RATED: "RIDE_ALREADY_RATED",
+    PAYMENT_NOT_FOUND: "PAYMENT_NOT_FOUND",
+    INVALID_PICKUP_TIME: "INVALID_PICKUP_TIME",
+    // Tariffs and quotes
+    TARIFF_NOT_FOUND: "TARIFF_NOT_FOUND",
+    TARIFF_VERSION_CONFLICT: "TARIFF_VERSION_CONFLICT",
+    INVALID_QUOTE: "INVALID_QUOTE",
+    QUOTE_EXPIRED: "QUOTE_EXPIRED",
+    QUOTE_MISMATCH: "QUOTE_MISMATCH",
+    QUOTE_ALREADY_USED: "QUOTE_ALREADY_USED"
+};
+
+// Message delivery channel selection
+const MESSAGE_CHANNEL = {
+    EMAIL: "email",
+    SMS: "sms",
+    PUSH: "push"
+};
+
+// Dispatch offer status selection
+const OFFER_STATUS = {
+    OFFERED: "offered",
+    ACCEPTED: "accepted",
+    DECLINED: "declined",
+    EXPIRED: "expired",
+    CANCELLED: "cancelled"
 };
 
 // Payment method selection
@@ -15,16 +137,40 @@ const PAYMENT_METHOD = {
 // Payment status selection
 const PAYMENT_STATUS = {
     PENDING: "pending",
-    SUCCESS: "success"
+    SUCCESS: "success",
+    VOIDED: "voided" // Ride cancelled, never charged
 };
 
 // Ride status selection
 const RIDE_STATUS = {
     REQUESTED: "requested",
     ACCEPTED: "accepted",
+    ARRIVED: "arrived", // Driver waiting at the pickup
     ONGOING: "on going",
     COMPLETED: "completed",
-    CANCELLED: "cancelled"
+    CANCELLED: "cancelled",
+    EXPIRED: "expired" // Booking not accepted by any driver in time
+};
+
+// Admin permission selection
+const PERMISSIONS = {
+    USERS_READ: "users:read",
+    USERS_UPDATE: "users:update",
+    USERS_RESET_PASSWORD: "users:reset-password",
+    USERS_SUSPEND: "users:suspend",
+    DRIVERS_READ: "drivers:read",
+    DRIVERS_UPDATE: "drivers:update",
+    DRIVERS_RESET_PASSWORD: "drivers:reset-password",
+    DRIVERS_SUSPEND: "drivers:suspend",
+    RIDES_READ: "rides:read",
+    RIDES_CANCEL: "rides:cancel",
+    RIDES_OVERRIDE_PIN: "rides:override-pin",
+    PAYMENTS_REFUND: "payments:refund",
+    LOCKOUTS_MANAGE: "lockouts:manage",
+    AUDIT_READ: "audit:read",
+    ADMINS_MANAGE: "admins:manage",
+    ROLES_MANAGE: "roles:manage",
+    TARIFFS_MANAGE: "tariffs:manage"
 };
 
 // Available role selection
@@ -51,8 +197,14 @@ const VEHICLE_TYPE = {
 // Export the selection to allow these selection in other modules
 module.exports = {
     ACCOUNT_STATUS,
+    ADMIN_ROLES,
+    DISPATCH_STATUS,
+    ERROR_CODES,
+    MESSAGE_CHANNEL,
+    OFFER_STATUS,
     PAYMENT_METHOD,
     PAYMENT_STATUS,
+    PERMISSIONS,
     RIDE_STATUS,
     ROLES,
     VEHICLE_STATUS,
@@ -0,0 +1,345 @@
+/**
+ * dispatch.js
+ * Automatic dispatch of bookings. A booking is offered to one driver at a time,
+ * the best ranked online driver near the pickup, and cascades to the next driver
+ * when the offer is declined or not answered before its deadline.
+ * Every offer attempt is recorded in "dispatchOffers" collection.
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Import module for constants
+const { ACCOUNT_STATUS, DISPATCH_STATUS, OFFER_STATUS, RIDE_STATUS, ROLES, VEHICLE_STATUS } = require('./constants');
+
+// Import modules for function
+const { onlineSince } = require('./driverLocation');
+const { notifyAccount } = require('./notify');
+
+// Dispatch settings (use environment variable)
+const radiusKm = Number(process.env.DISPATCH_RADIUS_KM) || 5;
+const offerTimeoutSeconds = Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 20;
+const maxAttempts = Number(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+const retrySeconds = Number(process.env.DISPATCH_RETRY_SECONDS) || 30; // Wait before searching again when no driver is eligible
+const candidateLimit = 20;
+
+// Ranking weights of distance, rating and acceptance rate (use environment variable)
+const weights = {
+    distance: Number(process.env.DISPATCH_WEIGHT_DISTANCE) || 0.5,
+    rating: Number(process.env.DISPATCH_WEIGHT_RATING) || 0.3,
+    acceptance: Number(process.env.DISPATCH_WEIGHT_ACCEPTANCE) || 0.2
+};
+
+// Define collection
+const collection = "dispatchOffers";
+
+/**
+ * Initial dispatch state of a new booking.
+ * A scheduled booking starts searching when it is released.
+ */
+function initialDispatch(startAt = new Date()) {
+    return {
+        status: DISPATCH_STATUS.SEARCHING,
+        attempts: 0,
+        triedDriverIds: [],
+        currentOfferId: null,
+        currentDriverId: null,
+        offerExpiresAt: null,
+        nextAttemptAt: startAt,
+        startedAt: new Date()
+    };
+}
+
+/**
+ * Score of a candidate driver between 0 and 1, higher is better.
+ * Drivers without rating count as 4 stars, acceptance rate is smoothed for new drivers
+ * and lowered by the rides the driver cancelled after accepting.
+ */
+function scoreDriver(driver) {
+    const distanceScore = Math.max(0, 1 - driver.distance / (radiusKm * 1000));
+    const rating = driver.ratingCount > 0 ? driver.ratingSum / driver.ratingCount : 4;
+    const stats = driver.dispatchStats || {};
+    const acceptanceRate = Math.max(0, (stats.accepted || 0) - (stats.cancelled || 0) + 1) / ((stats.offered || 0) + 2);
+
+    return weights.distance * distanceScore + weights.rating * (rating / 5) + weights.acceptance * acceptanceRate;
+}
+
+/**
+ * Rank the eligible drivers of a booking, best first.
+ * Eligible: active, online near the pickup, active vehicle of the requested type,
+ * not tried yet for the booking, not on a ride and not holding another offer.
+ */
+async function rankDrivers(booking) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const candidates = await db.collection("drivers").aggregate([
+        {
+            $geoNear: {
+                near: booking.pickupLocation,
+                key: "lastLocation",
+                distanceField: "distance", // In metres
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query: {
+                    status: ACCOUNT_STATUS.ACTIVE,
+                    lastLocationAt: { $gte: onlineSince() },
+                    _id: { $nin: booking.dispatch.triedDriverIds }
+                }
+            }
+        },
+        { $limit: candidateLimit },
+        {
+            $lookup: {
+                from: "vehicles",
+                let: { driverId: "$_id" },
+                pipeline: [{ $match: { $expr: { $eq: ["$driverId", "$$driverId"] }, status: VEHICLE_STATUS.ACTIVE } }],
+                as: "vehicle"
+            }
+        },
+        { $unwind: "$vehicle" },
+        ...(booking.requestedVehicleType ? [{ $match: { "vehicle.vehicleType": booking.requestedVehicleType } }] : []),
+        { $project: { distance: 1, ratingSum: 1, ratingCount: 1, dispatchStats: 1 } }
+    ]).toArray();
+    if (candidates.length === 0) return [];
+
+    // Drivers on an immediate ride or holding another offer are busy
+    const driverIds = candidates.map(driver => driver._id);
+    const busyRides = await db.collection("rides").find(
+        {
+            driverId: { $in: driverIds },
+            $or: [
+                { status: { $in: [RIDE_STATUS.ARRIVED, RIDE_STATUS.ONGOING] } },
+                { status: RIDE_STATUS.ACCEPTED, scheduledPickupAt: null }
+            ]
+        },
+        { projection: { driverId: 1 } }
+    ).toArray();
+    const openOffers = await db.collection(collection).find(
+        { driverId: { $in: driverIds }, status: OFFER_STATUS.OFFERED },
+        { projection: { driverId: 1 } }
+    ).toArray();
+    const busy = new Set([...busyRides, ...openOffers].map(item => item.driverId.toString()));
+
+    return candidates
+        .filter(driver => !busy.has(driver._id.toString()))
+        .map(driver => ({ driverId: driver._id, distanceKm: Math.round(driver.distance / 10) / 100, score: scoreDriver(driver) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Offer the booking to the next best driver.
+ * previousOfferId is the offer the caller saw as current, the booking is only
+ * moved on when it still is, so that concurrent callers do not offer twice.
+ */
+async function offerNext(bookingId, previousOfferId = null) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const booking = await db.collection("bookings").findOne({
+        _id: new ObjectId(String(bookingId)),
+        status: RIDE_STATUS.REQUESTED,
+        "dispatch.currentOfferId": previousOfferId
+    });
+    if (!booking || !booking.dispatch) return null;
+
+    const now = new Date();
+    const current = { _id: booking._id, "dispatch.currentOfferId": previousOfferId };
+
+    // Stop after the maximum attempts, the booking stays in the booking feed
+    if (booking.dispatch.attempts >= maxAttempts) {
+        await db.collection("bookings").updateOne(current, {
+            $set: { "dispatch.status": DISPATCH_STATUS.EXHAUSTED, "dispatch.currentOfferId": null, "dispatch.currentDriverId": null, "dispatch.offerExpiresAt": null }
+        });
+        return null;
+    }
+
+    // Search again later when no driver is eligible now
+    const [best] = await rankDrivers(booking);
+    if (!best) {
+        await db.collection("bookings").updateOne(current, {
+            $set: {
+                "dispatch.status": DISPATCH_STATUS.SEARCHING,
+                "dispatch.currentOfferId": null,
+                "dispatch.currentDriverId": null,
+                "dispatch.offerExpiresAt": null,
+                "dispatch.nextAttemptAt": new Date(now.getTime() + retrySeconds * 1000)
+            }
+        });
+        return null;
+    }
+
+    // Record the offer attempt
+    const offer = {
+        bookingId: booking._id,
+        driverId: best.driverId,
+        attempt: booking.dispatch.attempts + 1,
+        score: Math.round(best.score * 1000) / 1000,
+        distanceKm: best.distanceKm,
+        status: OFFER_STATUS.OFFERED,
+        offeredAt: now,
+        expiresAt: new Date(now.getTime() + offerTimeoutSeconds * 1000),
+        respondedAt: null
+    };
+    const { insertedId } = await db.collection(collection).insertOne(offer);
+
+    const result = await db.collection("bookings").updateOne(
+        { ...current, status: RIDE_STATUS.REQUESTED },
+        {
+            $set: {
+                "dispatch.status": DISPATCH_STATUS.OFFERED,
+                "dispatch.currentOfferId": insertedId,
+                "dispatch.currentDriverId": best.driverId,
+                "dispatch.offerExpiresAt": offer.expiresAt,
+                "dispatch.attempts": offer.attempt
+            },
+            $push: { "dispatch.triedDriverIds": best.driverId }
+        }
+    );
+
+    // The booking was accepted, cancelled or moved on meanwhile
+    if (result.matchedCount === 0) {
+        await db.collection(collection).updateOne({ _id: insertedId }, { $set: { status: OFFER_STATUS.CANCELLED } });
+        return null;
+    }
+
+    await db.collection("drivers").updateOne({ _id: best.driverId }, { $inc: { "dispatchStats.offered": 1 } });
+    await notifyAccount({
+        role: ROLES.DRIVER,
+        accountId: best.driverId,
+        subject: "New ride offer",
+        body: `New ride offer ${best.distanceKm} km away. Accept within ${offerTimeoutSeconds} seconds.`,
+        meta: { purpose: "dispatch_offer", offerId: insertedId, bookingId: booking._id }
+    });
+
+    return { _id: insertedId, ...offer };
+}
+
+/**
+ * Start dispatching a new booking. A failure is logged only, the dispatch job retries it.
+ */
+async function startDispatch(bookingId) {
+    try {
+        return await offerNext(bookingId);
+    } catch (err) {
+        console.error(`Dispatch of booking ${bookingId} failed:`, err);
+        return null;
+    }
+}
+
+/**
+ * Driver declines an offer, the booking moves on to the next driver.
+ * Returns the declined offer or null when it is not open.
+ */
+async function declineOffer(offerId, driverId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const offer = await db.collection(collection).findOneAndUpdate(
+        { _id: new ObjectId(String(offerId)), driverId: new ObjectId(String(driverId)), status: OFFER_STATUS.OFFERED },
+        { $set: { status: OFFER_STATUS.DECLINED, respondedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (!offer) return null;
+
+    await offerNext(offer.bookingId, offer._id);
+    return offer;
+}
+
+/**
+ * Close the dispatch of an accepted booking.
+ * The offer of the accepting driver becomes accepted, any other open offer is cancelled.
+ */
+async function closeDispatch(bookingId, driverId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+    const accepted = await db.collection(collection).updateOne(
+        { bookingId, driverId: new ObjectId(String(driverId)), status: OFFER_STATUS.OFFERED },
+        { $set: { status: OFFER_STATUS.ACCEPTED, respondedAt: now } }
+    );
+    if (accepted.modifiedCount > 0) {
+        await db.collection("drivers").updateOne({ _id: new ObjectId(String(driverId)) }, { $inc: { "dispatchStats.accepted": 1 } });
+    }
+
+    await db.collection(collection).updateMany(
+        { bookingId, status: OFFER_STATUS.OFFERED },
+        { $set: { status: OFFER_STATUS.CANCELLED, respondedAt: now } }
+    );
+    await db.collection("bookings").updateOne(
+        { _id: bookingId, dispatch: { $exists: true } },
+        { $set: { "dispatch.status": DISPATCH_STATUS.MATCHED, "dispatch.offerExpiresAt": null } }
+    );
+}
+
+/**
+ * Withdraw the open offers of a booking, e.g. when its dispatch starts again after the trip changed
+ */
+async function withdrawOffers(bookingId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    await db.collection(collection).updateMany(
+        { bookingId, status: OFFER_STATUS.OFFERED },
+        { $set: { status: OFFER_STATUS.CANCELLED, respondedAt: new Date() } }
+    );
+}
+
+/**
+ * Stop the dispatch of a cancelled booking
+ */
+async function cancelDispatch(bookingId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    await withdrawOffers(bookingId);
+    await db.collection("bookings").updateOne(
+        { _id: bookingId, dispatch: { $exists: true } },
+        { $set: { "dispatch.status": DISPATCH_STATUS.CANCELLED, "dispatch.currentOfferId": null, "dispatch.offerExpiresAt": null } }
+    );
+}
+
+/**
+ * Check whether the booking is held by an open offer to another driver
+ */
+function isReservedForAnother(booking, driverId) {
+    const dispatch = booking.dispatch;
+    return !!dispatch
+        && dispatch.status === DISPATCH_STATUS.OFFERED
+        && dispatch.offerExpiresAt > new Date()
+        && String(dispatch.currentDriverId) !== String(driverId);
+}
+
+/**
+ * Dispatch progress of a booking shown to the user, without the identity of the drivers
+ */
+function dispatchProgress(booking) {
+    const dispatch = booking.dispatch;
+    if (!dispatch) return null;
+
+    return {
+        status: dispatch.status,
+        attempts: dispatch.attempts,
+        maxAttempts,
+        offerExpiresAt: dispatch.offerExpiresAt,
+        nextAttemptAt: dispatch.status === DISPATCH_STATUS.SEARCHING ? dispatch.nextAttemptAt : null,
+        startedAt: dispatch.startedAt
+    };
+}
+
+// Export functions
+module.exports = {
+    initialDispatch,
+    scoreDriver,
+    rankDrivers,
+    offerNext,
+    startDispatch,
+    declineOffer,
+    closeDispatch,
+    withdrawOffers,
+    cancelDispatch,
+    isReservedForAnother,
+    dispatchProgress
+};
@@ -0,0 +1,29 @@
+/**
+ * driverLocation.js
+ * Last reported location of drivers. A driver is online while the location is recent enough.
+ */
+
+// Online window of a reported location (use environment variable)
+const driverOnlineMinutes = Number(process.env.DRIVER_ONLINE_MINUTES) || 5;
+
+/**
+ * Oldest report time of an online driver
+ */
+function onlineSince(now = Date.now()) {
+    return new Date(now - driverOnlineMinutes * 60 * 1000);
+}
+
+/**
+ * Return the last location of the driver while it is recent, otherwise null
+ */
+function currentLocation(driver) {
+    if (!driver || !driver.lastLocation || !driver.lastLocationAt) return null;
+    return driver.lastLocationAt >= onlineSince() ? driver.lastLocation : null;
+}
+
+// Export functions
+module.exports = {
+    driverOnlineMinutes,
+    onlineSince,
+    currentLocation
+};
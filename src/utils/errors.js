@@ -0,0 +1,84 @@
+/**
+ * errors.js
+ * Error types thrown by controllers and middlewares.
+ * The error handler middleware turns them into the response envelope
+ * { error, code, details }.
+ */
+
+// Import module for constants
+const { ERROR_CODES } = require('./constants');
+
+/**
+ * Base error with HTTP status, stable error code and optional details
+ */
+class AppError extends Error {
+    constructor(message, status = 500, code = ERROR_CODES.INTERNAL_ERROR, details = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// 400 Bad Request
+class BadRequestError extends AppError {
+    constructor(message = "Bad request", code = ERROR_CODES.BAD_REQUEST, details = null) {
+        super(message, 400, code, details);
+    }
+}
+
+// 400 Bad Request with the list of failed fields
+class ValidationError extends AppError {
+    constructor(fields = [], message = "Validation failed", code = ERROR_CODES.VALIDATION_ERROR) {
+        super(message, 400, code, { fields });
+    }
+}
+
+// 401 Unauthorized
+class UnauthorizedError extends AppError {
+    constructor(message = "Unauthorized", code = ERROR_CODES.UNAUTHORIZED, details = null) {
+        super(message, 401, code, details);
+    }
+}
+
+// 403 Forbidden
+class ForbiddenError extends AppError {
+    constructor(message = "Forbidden", code = ERROR_CODES.FORBIDDEN, details = null) {
+        super(message, 403, code, details);
+    }
+}
+
+// 404 Not Found
+class NotFoundError extends AppError {
+    constructor(message = "Not found", code = ERROR_CODES.NOT_FOUND, details = null) {
+        super(message, 404, code, details);
+    }
+}
+
+// 409 Conflict
+class ConflictError extends AppError {
+    constructor(message = "Conflict", code = ERROR_CODES.CONFLICT, details = null) {
+        super(message, 409, code, details);
+    }
+}
+
+// 429 Too Many Requests, retryAfter in seconds is also sent as Retry-After header
+class TooManyRequestsError extends AppError {
+    constructor(message = "Too many requests", code = ERROR_CODES.TOO_MANY_REQUESTS, retryAfter = null) {
+        super(message, 429, code, retryAfter === null ? null : { retryAfter });
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Export error types
+module.exports = {
+    AppError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError
+};
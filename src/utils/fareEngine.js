@@ -0,0 +1,149 @@
+/**
+ * fareEngine.js
+ * Fare calculation from versioned tariffs stored in "tariffs" collection.
+ * A tariff is never edited, a change is published as a new version of the vehicle type,
+ * so that every booking and ride can point at the exact tariff that priced it.
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { ERROR_CODES, VEHICLE_TYPE } = require('./constants');
+
+// Import module for error types
+const { NotFoundError } = require('./errors');
+
+// Define collection
+const collection = "tariffs";
+
+// Vehicle type used to price a booking that does not request a vehicle type
+const DEFAULT_VEHICLE_TYPE = VEHICLE_TYPE.CAR_4P;
+
+// Rounding mode selection
+const ROUNDING_MODE = {
+    NEAREST: "nearest",
+    UP: "up",
+    DOWN: "down"
+};
+
+// First version of the tariff of every vehicle type (RM), seeded when missing
+const DEFAULT_TARIFFS = {
+    [VEHICLE_TYPE.MOTOR]: { baseFare: 2.0, perKm: 0.8, perMinute: 0.1, bookingFee: 0.5, minimumFare: 4.0 },
+    [VEHICLE_TYPE.CAR_4P]: { baseFare: 4.1, perKm: 1.5, perMinute: 0.25, bookingFee: 1.0, minimumFare: 6.0 },
+    [VEHICLE_TYPE.CAR_6P]: { baseFare: 5.0, perKm: 2.0, perMinute: 0.3, bookingFee: 1.0, minimumFare: 8.0 },
+    [VEHICLE_TYPE.VAN]: { baseFare: 8.0, perKm: 2.5, perMinute: 0.4, bookingFee: 1.5, minimumFare: 12.0 }
+};
+
+// Default rounding: to the nearest 10 sen
+const DEFAULT_ROUNDING = { mode: ROUNDING_MODE.NEAREST, step: 0.1 };
+
+/**
+ * Round an amount to a multiple of step, and to sen to avoid floating point residue
+ */
+function roundAmount(amount, { mode, step } = DEFAULT_ROUNDING) {
+    const round = { [ROUNDING_MODE.UP]: Math.ceil, [ROUNDING_MODE.DOWN]: Math.floor }[mode] || Math.round;
+    const rounded = step > 0 ? round(Math.round(amount / step * 1e6) / 1e6) * step : amount;
+    return Math.round(rounded * 100) / 100;
+}
+
+/**
+ * Compute the fare of a trip with a tariff.
+ * fare = max(base + per km + per minute, minimum) * surge + booking fee, then rounded.
+ * Returns { fare, breakdown }.
+ */
+function calculateFare(tariff, { distanceKm = 0, durationMinutes = 0 }, surgeMultiplier = 1) {
+    const distanceCharge = tariff.perKm * distanceKm;
+    const timeCharge = tariff.perMinute * durationMinutes;
+    const tripFare = tariff.baseFare + distanceCharge + timeCharge;
+    const minimumApplied = tripFare < tariff.minimumFare;
+
+    return {
+        fare: roundAmount(Math.max(tripFare, tariff.minimumFare) * surgeMultiplier + tariff.bookingFee, tariff.rounding),
+        breakdown: {
+            baseFare: tariff.baseFare,
+            distanceCharge: Math.round(distanceCharge * 100) / 100,
+            timeCharge: Math.round(timeCharge * 100) / 100,
+            bookingFee: tariff.bookingFee,
+            minimumApplied,
+            surgeMultiplier
+        }
+    };
+}
+
+/**
+ * Insert version 1 of the tariff of vehicle types that have no tariff yet.
+ * Published versions are left untouched so that changes survive restart.
+ */
+async function seedTariffs() {
+    // Access to mongoDB
+    const db = getDB();
+
+    for (const [vehicleType, rates] of Object.entries(DEFAULT_TARIFFS)) {
+        await db.collection(collection).updateOne(
+            { vehicleType, version: 1 },
+            { $setOnInsert: { vehicleType, version: 1, ...rates, rounding: DEFAULT_ROUNDING, createdBy: null, createdAt: new Date() } },
+            { upsert: true }
+        );
+    }
+}
+
+/**
+ * Return the latest version of the tariff of a vehicle type
+ */
+async function getActiveTariff(vehicleType = DEFAULT_VEHICLE_TYPE) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const tariff = await db.collection(collection).findOne({ vehicleType }, { sort: { version: -1 } });
+    if (!tariff) {
+        throw new NotFoundError(`No tariff for vehicle type ${vehicleType}`, ERROR_CODES.TARIFF_NOT_FOUND);
+    }
+    return tariff;
+}
+
+/**
+ * Return a tariff by id (the version that priced a booking or ride)
+ */
+async function getTariffById(id) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const tariff = await db.collection(collection).findOne({ _id: id });
+    if (!tariff) {
+        throw new NotFoundError("Tariff not found", ERROR_CODES.TARIFF_NOT_FOUND);
+    }
+    return tariff;
+}
+
+/**
+ * Price a trip with the active tariff of the vehicle type and the surge multiplier.
+ * Returns the fields stored on bookings and rides: { fare, tariffId, tariffVersion, pricedVehicleType, surgeMultiplier, breakdown }
+ */
+async function priceTrip(vehicleType, route, surgeMultiplier = 1) {
+    const tariff = await getActiveTariff(vehicleType || DEFAULT_VEHICLE_TYPE);
+    const { fare, breakdown } = calculateFare(tariff, route, surgeMultiplier);
+
+    return {
+        fare,
+        tariffId: tariff._id,
+        tariffVersion: tariff.version,
+        pricedVehicleType: tariff.vehicleType,
+        surgeMultiplier,
+        breakdown
+    };
+}
+
+// Export functions
+module.exports = {
+    DEFAULT_VEHICLE_TYPE,
+    ROUNDING_MODE,
+    DEFAULT_TARIFFS,
+    DEFAULT_ROUNDING,
+    roundAmount,
+    calculateFare,
+    seedTariffs,
+    getActiveTariff,
+    getTariffById,
+    priceTrip
+};
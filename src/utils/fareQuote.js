@@ -0,0 +1,107 @@
+/**
+ * fareQuote.js
+ * Price-locked fare quotes. A quote is a signed short-lived token holding the trip
+ * and the fare of every vehicle type, so a booking made with it keeps the quoted price.
+ */
+
+// Import modules for token
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Import module for constants
+const { ERROR_CODES, VEHICLE_TYPE } = require('./constants');
+
+// Import module for error types
+const { BadRequestError } = require('./errors');
+
+// Import modules for function
+const { estimateRoute } = require('./routeEstimator');
+const { priceTrip } = require('./fareEngine');
+const { getSurgeMultiplier } = require('./surgePricing');
+
+// Validity of a quote (use environment variable)
+const quoteExpiresInMinutes = Number(process.env.QUOTE_EXPIRES_IN_MINUTES) || 5;
+
+// Purpose claim, so that other tokens signed with the same secret are not accepted as a quote
+const QUOTE_PURPOSE = "fare_quote";
+
+/**
+ * Estimate the trip and price it for every vehicle type with the surge of the pickup area.
+ * Returns { quoteId, expiresAt, estimatedDistance, estimatedDuration, surgeMultiplier, fares }
+ */
+async function createQuote(userId, pickupLocation, dropoffLocation) {
+    // Estimate road distance, duration and surge of the trip once for all vehicle types
+    const route = await estimateRoute(pickupLocation, dropoffLocation);
+    const surgeMultiplier = await getSurgeMultiplier(pickupLocation);
+
+    const fares = [];
+    for (const vehicleType of Object.values(VEHICLE_TYPE)) {
+        const price = await priceTrip(vehicleType, route, surgeMultiplier);
+        fares.push({
+            vehicleType,
+            fare: price.fare,
+            tariffId: price.tariffId.toString(),
+            tariffVersion: price.tariffVersion,
+            breakdown: price.breakdown
+        });
+    }
+
+    const quoteId = jwt.sign(
+        {
+            id: userId.toString(),
+            purpose: QUOTE_PURPOSE,
+            pickup: pickupLocation.coordinates,
+            dropoff: dropoffLocation.coordinates,
+            distanceKm: route.distanceKm,
+            durationMinutes: route.durationMinutes,
+            surgeMultiplier,
+            fares: fares.map(({ vehicleType, fare, tariffId, tariffVersion }) => ({ vehicleType, fare, tariffId, tariffVersion }))
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: quoteExpiresInMinutes * 60, jwtid: crypto.randomUUID() }
+    );
+
+    return {
+        quoteId,
+        expiresAt: new Date(Date.now() + quoteExpiresInMinutes * 60 * 1000),
+        estimatedDistance: route.distanceKm,
+        estimatedDuration: route.durationMinutes,
+        surgeMultiplier,
+        fares: fares.map(({ tariffId, ...fare }) => fare)
+    };
+}
+
+/**
+ * Verify a quote of the user and return its decoded payload.
+ * Throws QUOTE_EXPIRED when it is past expiry, INVALID_QUOTE when it is tampered or not of the user.
+ */
+function verifyQuote(quoteId, userId) {
+    let decoded;
+    try {
+        decoded = jwt.verify(quoteId, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            throw new BadRequestError("Quote has expired, please request a new quote.", ERROR_CODES.QUOTE_EXPIRED);
+        }
+        throw new BadRequestError("Invalid quote.", ERROR_CODES.INVALID_QUOTE);
+    }
+
+    if (decoded.purpose !== QUOTE_PURPOSE || decoded.id !== userId.toString()) {
+        throw new BadRequestError("Invalid quote.", ERROR_CODES.INVALID_QUOTE);
+    }
+    return decoded;
+}
+
+/**
+ * Check whether a location is the one quoted, [longitude, latitude] compared as is
+ */
+function sameCoordinates(location, quoted) {
+    return !!location && location.coordinates[0] === quoted[0] && location.coordinates[1] === quoted[1];
+}
+
+// Export functions
+module.exports = {
+    createQuote,
+    verifyQuote,
+    sameCoordinates
+};
@@ -0,0 +1,29 @@
+/**
+ * geo.js
+ * Geo-coded locations stored as GeoJSON Point (2dsphere indexed)
+ */
+
+/**
+ * Build a GeoJSON Point from a location input { coordinates: [longitude, latitude] }
+ */
+function toGeoPoint(location) {
+    const [longitude, latitude] = location.coordinates;
+    return { type: "Point", coordinates: [Number(longitude), Number(latitude)] };
+}
+
+/**
+ * Split a location input into the stored fields:
+ * <prefix>Location (GeoJSON Point) and <prefix>Address (address label or null)
+ */
+function locationFields(prefix, location) {
+    return {
+        [`${prefix}Location`]: toGeoPoint(location),
+        [`${prefix}Address`]: location.address || null
+    };
+}
+
+// Export functions
+module.exports = {
+    toGeoPoint,
+    locationFields
+};
@@ -0,0 +1,127 @@
+/**
+ * loginThrottle.js
+ * Failed login tracking per account and per client IP with progressive lockout.
+ * State is kept in MongoDB so that every server instance shares it.
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for password hashing
+const bcrypt = require('bcrypt');
+
+// Define collection
+const collection = "loginAttempts";
+
+// Throttle settings (use environment variable)
+const maxAccountFailures = Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5;
+const maxIpFailures = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const baseLockSeconds = Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const maxLockSeconds = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const windowMinutes = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+// Hash compared against when the email is not registered, so that response time
+// does not reveal whether an email exists
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+/**
+ * Build the tracking keys of a login attempt
+ */
+function attemptKeys({ role, email, ip }) {
+    return [
+        { key: `account:${role}:${String(email).toLowerCase()}`, kind: "account", role, identifier: String(email).toLowerCase(), max: maxAccountFailures },
+        { key: `ip:${ip}`, kind: "ip", role: null, identifier: ip, max: maxIpFailures }
+    ];
+}
+
+/**
+ * Check whether the account or the client IP is locked.
+ * Returns { locked: false } or { locked: true, retryAfter } in seconds.
+ */
+async function checkLoginThrottle(attempt) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+    const records = await db.collection(collection).find({
+        key: { $in: attemptKeys(attempt).map(({ key }) => key) },
+        lockedUntil: { $gt: now }
+    }).toArray();
+
+    if (records.length === 0) return { locked: false };
+
+    const lockedUntil = Math.max(...records.map(record => record.lockedUntil.getTime()));
+    return { locked: true, retryAfter: Math.ceil((lockedUntil - now.getTime()) / 1000) };
+}
+
+/**
+ * Record a failed login for the account and the client IP.
+ * Once the failures reach the limit, the key is locked for a period that
+ * doubles with every further failure (capped by LOGIN_LOCKOUT_MAX_SECONDS).
+ */
+async function recordLoginFailure(attempt) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+
+    for (const { key, kind, role, identifier, max } of attemptKeys(attempt)) {
+        // Count failure, restart counting when the previous failures are outside the window
+        const record = await db.collection(collection).findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    key,
+                    kind,
+                    role,
+                    identifier,
+                    failures: {
+                        $cond: [
+                            { $lt: [{ $ifNull: ["$expiresAt", now] }, now] },
+                            1,
+                            { $add: [{ $ifNull: ["$failures", 0] }, 1] }
+                        ]
+                    },
+                    lastFailureAt: now
+                }
+            }],
+            { upsert: true, returnDocument: 'after' }
+        );
+
+        // Lock progressively after reaching the limit
+        let lockedUntil = record.lockedUntil || null;
+        if (record.failures >= max) {
+            const lockSeconds = Math.min(baseLockSeconds * 2 ** (record.failures - max), maxLockSeconds);
+            lockedUntil = new Date(now.getTime() + lockSeconds * 1000);
+        }
+
+        // Keep the record for the window or until the lock is over
+        const keepUntil = Math.max(
+            now.getTime() + windowMinutes * 60 * 1000,
+            lockedUntil ? lockedUntil.getTime() : 0
+        );
+
+        await db.collection(collection).updateOne(
+            { _id: record._id },
+            { $set: { lockedUntil, expiresAt: new Date(keepUntil) } }
+        );
+    }
+}
+
+/**
+ * Clear the failed login of the account after a successful login
+ */
+async function clearLoginFailures({ role, email }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    await db.collection(collection).deleteOne({ key: `account:${role}:${String(email).toLowerCase()}` });
+}
+
+// Export functions
+module.exports = {
+    DUMMY_PASSWORD_HASH,
+    checkLoginThrottle,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,54 @@
+/**
+ * messageSender.js
+ * Pluggable delivery of outgoing messages (email, sms, push)
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+/**
+ * Default sender: store the message in the local "outbox" collection.
+ * Enough for development and testing, the outbox can be inspected directly.
+ */
+async function outboxSender(message) {
+    // Access to mongoDB
+    const db = getDB();
+
+    await db.collection("outbox").insertOne({
+        ...message,
+        createdAt: new Date()
+    });
+}
+
+// Registered senders, selectable with MESSAGE_SENDER environment variable
+const senders = {
+    outbox: outboxSender
+};
+
+/**
+ * Register a new sender, e.g. an email or sms provider
+ */
+function registerSender(name, sender) {
+    if (typeof sender !== 'function') {
+        throw new Error('sender must be a function');
+    }
+    senders[name] = sender;
+}
+
+/**
+ * Send a message through the configured sender
+ * message: { channel, to, subject, body, meta }
+ */
+async function sendMessage(message) {
+    const name = process.env.MESSAGE_SENDER || "outbox";
+    const sender = senders[name];
+    if (!sender) throw new Error(`Message sender "${name}" is not registered`);
+
+    await sender(message);
+}
+
+// Export functions
+module.exports = {
+    registerSender,
+    sendMessage
+};
@@ -0,0 +1,47 @@
+/**
+ * notify.js
+ * Trip notifications to a user or driver by SMS through the message sender
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Import module for constants
+const { MESSAGE_CHANNEL } = require('./constants');
+
+// Import modules for function
+const accountCollection = require('./accountCollection');
+const { sendMessage } = require('./messageSender');
+
+/**
+ * Send a notification to the account of a role.
+ * A missing account is ignored, a notification must never fail the trip flow that sends it.
+ */
+async function notifyAccount({ role, accountId, subject, body, meta = {} }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const account = await db.collection(accountCollection(role)).findOne(
+        { _id: new ObjectId(String(accountId)) },
+        { projection: { phone: 1 } }
+    );
+    if (!account) return;
+
+    try {
+        await sendMessage({
+            channel: MESSAGE_CHANNEL.SMS,
+            to: account.phone,
+            subject,
+            body,
+            meta: { ...meta, role, accountId: account._id }
+        });
+    } catch (err) {
+        console.error(`Notification "${subject}" to ${role} ${account._id} failed:`, err.message);
+    }
+}
+
+// Export function
+module.exports = {
+    notifyAccount
+};
@@ -0,0 +1,100 @@
+/**
+ * oneTimeCode.js
+ * Hashed, expiring and single use numeric codes (password reset, verification)
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for code generation
+const crypto = require('crypto');
+
+// Define collection
+const collection = "oneTimeCodes";
+
+// Maximum wrong attempts before a code is burnt
+const maxAttempts = 5;
+
+/**
+ * Hash a code, only the hash is stored in database
+ */
+function hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Create a new code for the account and purpose.
+ * Previous unused codes of the same purpose are invalidated.
+ * Returns the plain code to be delivered to the account owner.
+ */
+async function createCode({ accountId, role, purpose, channel = null, ttlMinutes = 15 }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const now = new Date();
+
+    // Only the latest code is valid
+    await db.collection(collection).updateMany(
+        { accountId, role, purpose, channel, usedAt: null },
+        { $set: { usedAt: now, supersededAt: now } }
+    );
+
+    // Insert new code document into MongoDB
+    await db.collection(collection).insertOne({
+        accountId,
+        role,
+        purpose,
+        channel,
+        codeHash: hashCode(code),
+        attempts: 0,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+        usedAt: null
+    });
+
+    return code;
+}
+
+/**
+ * Verify and consume a code.
+ * Returns true only once for a valid, unexpired code.
+ */
+async function consumeCode({ accountId, role, purpose, channel = null, code }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Count the attempt on the latest usable code before comparing,
+    // so that parallel guesses never get more than the maximum attempts
+    const record = await db.collection(collection).findOneAndUpdate(
+        {
+            accountId,
+            role,
+            purpose,
+            channel,
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+            attempts: { $lt: maxAttempts }
+        },
+        { $inc: { attempts: 1 } },
+        { sort: { createdAt: -1 }, returnDocument: 'after' }
+    );
+    if (!record) return false;
+
+    // Wrong code, the attempt stays counted to stop guessing
+    if (record.codeHash !== hashCode(code)) return false;
+
+    // Mark the code as used, the filter prevents double use
+    const result = await db.collection(collection).updateOne(
+        { _id: record._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+// Export functions
+module.exports = {
+    createCode,
+    consumeCode
+};
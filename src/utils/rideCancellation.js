@@ -0,0 +1,151 @@
+/**
+ * rideCancellation.js
+ * Cancellation of a ride propagated to its booking and payment in one transaction.
+ * The pending payment is voided, or kept for the fee when the user pays a fee.
+ * A fee of the driver is recorded as a separate pending charge of the driver. The booking is cancelled, or returned to the pool when the driver
+ * cancels before pickup, so that another driver can take it. The driver is free again as soon as
+ * the ride is cancelled, since dispatch and the booking feed only count accepted and ongoing rides.
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB, getClient } = require('../db');
+
+// Import module for constants
+const { PAYMENT_STATUS, RIDE_STATUS, ROLES } = require('./constants');
+
+// Import modules for function
+const { initialDispatch, startDispatch } = require('./dispatch');
+const { transition } = require('./rideStateMachine');
+const { notifyAccount } = require('./notify');
+
+// Return the booking to the pool when the driver cancels before pickup (use environment variable)
+const requeueOnDriverCancel = process.env.REQUEUE_ON_DRIVER_CANCEL !== "false";
+
+/**
+ * Notify the other party of a cancelled ride
+ */
+async function notifyCancellation(ride, actor, bookingStatus) {
+    const requeued = bookingStatus === RIDE_STATUS.REQUESTED;
+
+    if (actor.role !== ROLES.USER) {
+        await notifyAccount({
+            role: ROLES.USER,
+            accountId: ride.userId,
+            subject: "Ride cancelled",
+            body: requeued
+                ? "Your driver cancelled the ride. We are looking for another driver for your booking."
+                : "Your ride has been cancelled.",
+            meta: { purpose: "ride_cancelled", rideId: ride._id, bookingId: ride.bookingId }
+        });
+    }
+
+    if (actor.role !== ROLES.DRIVER) {
+        await notifyAccount({
+            role: ROLES.DRIVER,
+            accountId: ride.driverId,
+            subject: "Ride cancelled",
+            body: "The ride you accepted has been cancelled.",
+            meta: { purpose: "ride_cancelled", rideId: ride._id, bookingId: ride.bookingId }
+        });
+    }
+}
+
+/**
+ * Cancel the ride matching the filter when the role of the actor may cancel it,
+ * void its pending payment and cancel or requeue its booking.
+ * actor: { id, role }, set: other fields updated on the ride, e.g. cancelledAt
+ * fee: { amount, type, chargedTo } charged instead of the fare, to the user by default, e.g. no-show fee
+ * Returns { ride, bookingStatus } with the ride before cancellation, or null when no ride can be cancelled.
+ */
+async function cancelRideCascade(filter, actor, { reason = null, at = new Date(), set = {}, fee = null } = {}) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = at;
+    let ride = null;
+    let booking = null;
+    let bookingStatus = null;
+
+    const session = getClient().startSession();
+    try {
+        await session.withTransaction(async () => {
+            // Outcome of this attempt, the callback runs again when the transaction is retried
+            booking = null;
+            bookingStatus = null;
+
+            ride = await transition("rides", filter, RIDE_STATUS.CANCELLED, actor, { reason, at: now, set, session });
+            if (!ride) return;
+
+            // The fare of a cancelled ride is never charged, only a fee when one applies
+            const chargedTo = fee && fee.amount > 0 ? fee.chargedTo || ROLES.USER : null;
+            await db.collection("payments").updateOne(
+                { rideId: ride._id, status: PAYMENT_STATUS.PENDING },
+                {
+                    $set: chargedTo === ROLES.USER
+                        ? { amount: fee.amount, feeType: fee.type }
+                        : { status: PAYMENT_STATUS.VOIDED, voidedAt: now, voidReason: reason || "Ride cancelled" }
+                },
+                { session }
+            );
+            if (chargedTo === ROLES.DRIVER) {
+                await db.collection("payments").insertOne({
+                    rideId: ride._id,
+                    driverId: ride.driverId,
+                    chargedTo,
+                    amount: fee.amount,
+                    feeType: fee.type,
+                    status: PAYMENT_STATUS.PENDING,
+                    createdAt: now
+                }, { session });
+            }
+
+            booking = await db.collection("bookings").findOne({ _id: ride.bookingId }, { session });
+            if (!booking) return;
+
+            // A booking still before its accept deadline goes back to the pool when the driver cancels before pickup
+            const requeue = requeueOnDriverCancel
+                && actor.role === ROLES.DRIVER
+                && ride.status === RIDE_STATUS.ACCEPTED
+                && (!booking.acceptDeadline || booking.acceptDeadline > now);
+
+            if (requeue) {
+                // Dispatch again from the release time of a scheduled booking, never to the same driver
+                const dispatch = initialDispatch(booking.releaseAt && booking.releaseAt > now ? booking.releaseAt : now);
+                dispatch.triedDriverIds = [...((booking.dispatch && booking.dispatch.triedDriverIds) || []), ride.driverId];
+
+                await transition("bookings", { _id: booking._id }, RIDE_STATUS.REQUESTED, actor, {
+                    reason,
+                    at: now,
+                    set: { acceptedAt: null, requeuedAt: now, dispatch },
+                    session
+                });
+                bookingStatus = RIDE_STATUS.REQUESTED;
+            } else {
+                await transition("bookings", { _id: booking._id }, RIDE_STATUS.CANCELLED, actor, {
+                    reason,
+                    at: now,
+                    set: { cancelledAt: now, cancelledBy: actor.id ? new ObjectId(String(actor.id)) : null, cancelledByRole: actor.role, cancelReason: reason },
+                    session
+                });
+                bookingStatus = RIDE_STATUS.CANCELLED;
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
+    if (!ride) return null;
+
+    // Offer a requeued immediate or released booking to the next driver now
+    if (bookingStatus === RIDE_STATUS.REQUESTED && (!booking.releaseAt || booking.releaseAt <= now)) {
+        await startDispatch(booking._id);
+    }
+    await notifyCancellation(ride, actor, bookingStatus);
+
+    return { ride, bookingStatus };
+}
+
+// Export functions
+module.exports = {
+    cancelRideCascade
+};
@@ -68,6 +68,11 @@ async function rideDetail( {rideId, authId, isAdmin = false}) {
                     _id: 1,
                     status: 1,
                     bookingId: 1,
+                    pickupLocation: 1,
+                    pickupAddress: 1,
+                    dropoffLocation: 1,
+                    dropoffAddress: 1,
+                    scheduledPickupAt: 1,
                     acceptedAt: 1,
                     arrivedAt: 1,
                     startedAt: 1,
@@ -75,6 +80,21 @@ async function rideDetail( {rideId, authId, isAdmin = false}) {
                     distance: 1,
                     duration: 1,
                     fare: 1,
+                    fareBreakdown: 1,
+                    waitingMinutes: 1,
+                    waitingFee: 1,
+                    noShow: 1,
+                    noShowFee: 1,
+                    cancellationFee: 1,
+                    cancellationFeeChargedTo: 1,
+                    tariffVersion: 1,
+                    surgeMultiplier: 1,
+                    statusHistory: 1, // Timeline of status changes with actor, role, time and reason
+
+                    // Trip PIN is shown to the user of the ride only
+                    tripPin: isAdmin
+                        ? "$$REMOVE"
+                        : { $cond: [{ $eq: ["$userId", new ObjectId(authId)] }, "$tripPin", "$$REMOVE"] },
 
                     user: {
                         username: "$user.username",
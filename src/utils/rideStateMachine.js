@@ -0,0 +1,104 @@
+/**
+ * rideStateMachine.js
+ * Allowed status transitions of bookings and rides (RIDE_STATUS) and the roles that may trigger each one.
+ * A transition is a conditional update on the current status that appends an entry
+ * { status, actorId, role, at, reason } to the "statusHistory" timeline of the document.
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Import module for constants
+const { RIDE_STATUS, ROLES } = require('./constants');
+
+// Role of the transitions made by background jobs
+const SYSTEM_ROLE = "system";
+
+// Current status => next status => roles allowed to trigger the transition
+const TRANSITIONS = {
+    [RIDE_STATUS.REQUESTED]: {
+        [RIDE_STATUS.ACCEPTED]: [ROLES.DRIVER],
+        [RIDE_STATUS.CANCELLED]: [ROLES.USER, SYSTEM_ROLE],
+        [RIDE_STATUS.EXPIRED]: [SYSTEM_ROLE]
+    },
+    [RIDE_STATUS.ACCEPTED]: {
+        [RIDE_STATUS.REQUESTED]: [ROLES.DRIVER], // Booking returned to the pool when the driver cancels
+        [RIDE_STATUS.ARRIVED]: [ROLES.DRIVER],
+        [RIDE_STATUS.ONGOING]: [ROLES.DRIVER, ROLES.ADMIN], // Admin starts without trip PIN
+        [RIDE_STATUS.CANCELLED]: [ROLES.USER, ROLES.DRIVER, ROLES.ADMIN]
+    },
+    [RIDE_STATUS.ARRIVED]: {
+        [RIDE_STATUS.ONGOING]: [ROLES.DRIVER, ROLES.ADMIN],
+        [RIDE_STATUS.CANCELLED]: [ROLES.USER, ROLES.DRIVER, ROLES.ADMIN] // Driver cancels for a no-show
+    },
+    [RIDE_STATUS.ONGOING]: {
+        [RIDE_STATUS.COMPLETED]: [ROLES.DRIVER],
+        [RIDE_STATUS.CANCELLED]: [ROLES.ADMIN]
+    }
+};
+
+/**
+ * Check whether a role may move a document from a status to another
+ */
+function canTransition(from, to, role) {
+    const allowed = (TRANSITIONS[from] || {})[to];
+    return !!allowed && allowed.includes(role);
+}
+
+/**
+ * Statuses from which a role may move a document to a status
+ */
+function allowedFrom(to, role) {
+    return Object.keys(TRANSITIONS).filter(from => canTransition(from, to, role));
+}
+
+/**
+ * Timeline entry of a status change.
+ * actor: { id, role }, id is null for the system
+ */
+function historyEntry(status, actor, { reason = null, at = new Date() } = {}) {
+    return {
+        status,
+        actorId: actor.id ? new ObjectId(String(actor.id)) : null,
+        role: actor.role,
+        at,
+        reason
+    };
+}
+
+/**
+ * Move the document of a collection ("bookings" or "rides") matching the filter to a status,
+ * when its current status allows the transition for the role of the actor.
+ * A status in the filter narrows the allowed statuses further.
+ * set: other fields updated with the status, e.g. startedAt
+ * Returns the document before the transition, or null when no document can make the transition.
+ */
+async function transition(collection, filter, to, actor, { reason = null, at = new Date(), set = {}, session } = {}) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const from = allowedFrom(to, actor.role);
+    if (from.length === 0) {
+        throw new Error(`Role ${actor.role} cannot move a ${collection} document to ${to}`);
+    }
+
+    return db.collection(collection).findOneAndUpdate(
+        { ...filter, $and: [...(filter.$and || []), { status: { $in: from } }] },
+        {
+            $set: { ...set, status: to },
+            $push: { statusHistory: historyEntry(to, actor, { reason, at }) }
+        },
+        { returnDocument: 'before', session }
+    );
+}
+
+// Export functions
+module.exports = {
+    SYSTEM_ROLE,
+    TRANSITIONS,
+    canTransition,
+    allowedFrom,
+    historyEntry,
+    transition
+};
@@ -0,0 +1,115 @@
+/**
+ * routeEstimator.js
+ * Pluggable distance and duration estimation between two GeoJSON Points
+ */
+
+// Estimation settings (use environment variable)
+const roadFactor = Number(process.env.ROAD_FACTOR) || 1.3; // Road distance / straight line distance
+const averageSpeedKmh = Number(process.env.AVERAGE_SPEED_KMH) || 30;
+const osrmUrl = (process.env.OSRM_URL || "http://localhost:5000").replace(/\/+$/, '');
+const osrmProfile = process.env.OSRM_PROFILE || "driving";
+const osrmTimeoutMs = Number(process.env.OSRM_TIMEOUT_MS) || 3000;
+
+// Mean earth radius in km
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Great-circle distance in km between two [longitude, latitude] pairs
+ */
+function haversineKm([lng1, lat1], [lng2, lat2]) {
+    const toRad = degree => degree * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Built-in provider: straight line distance corrected by the road factor,
+ * duration from the average speed
+ */
+async function haversineProvider(from, to) {
+    const distanceKm = haversineKm(from.coordinates, to.coordinates) * roadFactor;
+
+    return {
+        distanceKm,
+        durationMinutes: distanceKm / averageSpeedKmh * 60
+    };
+}
+
+/**
+ * OSRM-compatible HTTP routing API: GET /route/v1/{profile}/{lng,lat};{lng,lat}
+ */
+async function osrmProvider(from, to) {
+    const coordinates = `${from.coordinates.join(',')};${to.coordinates.join(',')}`;
+    const url = `${osrmUrl}/route/v1/${osrmProfile}/${coordinates}?overview=false`;
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(osrmTimeoutMs) });
+    if (!response.ok) throw new Error(`OSRM responded ${response.status}`);
+
+    const body = await response.json();
+    if (body.code !== "Ok" || !Array.isArray(body.routes) || body.routes.length === 0) {
+        throw new Error(`OSRM found no route (${body.code})`);
+    }
+
+    // OSRM returns metres and seconds
+    return {
+        distanceKm: body.routes[0].distance / 1000,
+        durationMinutes: body.routes[0].duration / 60
+    };
+}
+
+// Registered providers, selectable with DISTANCE_PROVIDER environment variable
+const providers = {
+    haversine: haversineProvider,
+    osrm: osrmProvider
+};
+
+/**
+ * Register a new provider, e.g. a commercial routing API
+ * provider: async (from, to) => { distanceKm, durationMinutes }
+ */
+function registerProvider(name, provider) {
+    if (typeof provider !== 'function') {
+        throw new Error('provider must be a function');
+    }
+    providers[name] = provider;
+}
+
+/**
+ * Estimate the road distance (km, 2 decimals) and duration (minutes, rounded up)
+ * with the configured provider. Falls back to haversine when the provider fails
+ * so that booking does not depend on the availability of an external service.
+ */
+async function estimateRoute(from, to) {
+    const name = process.env.DISTANCE_PROVIDER || "haversine";
+    const provider = providers[name];
+    if (!provider) throw new Error(`Distance provider "${name}" is not registered`);
+
+    let estimate;
+    let used = name;
+    try {
+        estimate = await provider(from, to);
+    } catch (err) {
+        if (name === "haversine") throw err;
+        console.error(`Distance provider "${name}" failed, fallback to haversine:`, err.message);
+        estimate = await haversineProvider(from, to);
+        used = "haversine";
+    }
+
+    return {
+        distanceKm: Math.round(estimate.distanceKm * 100) / 100,
+        durationMinutes: Math.ceil(estimate.durationMinutes),
+        provider: used
+    };
+}
+
+// Export functions
+module.exports = {
+    haversineKm,
+    registerProvider,
+    estimateRoute
+};
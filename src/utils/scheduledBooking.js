@@ -0,0 +1,68 @@
+/**
+ * scheduledBooking.js
+ * Rules of bookings for a future pickup time.
+ * A scheduled booking is hidden from the driver feed until its release time,
+ * can be pre-accepted from the scheduled feed and is cancelled when nobody accepts it by the deadline.
+ */
+
+// Import module for constants
+const { ERROR_CODES } = require('./constants');
+
+// Import module for error types
+const { BadRequestError } = require('./errors');
+
+// Schedule settings (use environment variable)
+const minLeadMinutes = Number(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30;
+const maxLeadDays = Number(process.env.SCHEDULE_MAX_LEAD_DAYS) || 7;
+const releaseMinutes = Number(process.env.SCHEDULE_RELEASE_MINUTES) || 30; // Shown in the driver feed this long before pickup
+const reminderMinutes = Number(process.env.SCHEDULE_REMINDER_MINUTES) || 60; // Reminder this long before pickup
+const acceptDeadlineMinutes = Number(process.env.SCHEDULE_ACCEPT_DEADLINE_MINUTES) || 10; // Cancelled when not accepted this long before pickup
+
+/**
+ * Schedule fields stored on a booking.
+ * Throws INVALID_PICKUP_TIME when the pickup time is outside the allowed lead time.
+ */
+function scheduleFields(scheduledPickupAt) {
+    if (!scheduledPickupAt) {
+        return { scheduledPickupAt: null, releaseAt: null, acceptDeadline: null, reminderSentAt: null };
+    }
+
+    const pickupAt = new Date(scheduledPickupAt);
+    const leadMs = pickupAt.getTime() - Date.now();
+    if (leadMs < minLeadMinutes * 60 * 1000 || leadMs > maxLeadDays * 24 * 60 * 60 * 1000) {
+        throw new BadRequestError(
+            `Scheduled pickup must be between ${minLeadMinutes} minutes and ${maxLeadDays} days from now.`,
+            ERROR_CODES.INVALID_PICKUP_TIME,
+            { minLeadMinutes, maxLeadDays }
+        );
+    }
+
+    return {
+        scheduledPickupAt: pickupAt,
+        releaseAt: new Date(pickupAt.getTime() - releaseMinutes * 60 * 1000),
+        acceptDeadline: new Date(pickupAt.getTime() - acceptDeadlineMinutes * 60 * 1000),
+        reminderSentAt: null
+    };
+}
+
+/**
+ * Filter of bookings visible in the driver feed: immediate, or scheduled and released
+ */
+function releasedFilter(now = new Date()) {
+    return { $or: [{ scheduledPickupAt: null }, { releaseAt: { $lte: now } }] };
+}
+
+/**
+ * Filter of scheduled bookings not released yet, open to pre-accept
+ */
+function upcomingFilter(now = new Date()) {
+    return { scheduledPickupAt: { $ne: null }, releaseAt: { $gt: now } };
+}
+
+// Export functions
+module.exports = {
+    reminderMinutes,
+    scheduleFields,
+    releasedFilter,
+    upcomingFilter
+};
@@ -0,0 +1,213 @@
+/**
+ * sessions.js
+ * Login sessions with short-lived access tokens and rotating refresh tokens
+ */
+
+// Import modules to access mongoDB
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+
+// Import modules for token generation
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Define collection
+const collection = "sessions";
+
+// Refresh token lifetime in days (use environment variable)
+const refreshTokenDays = Number(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+
+// Number of rotated refresh token hashes kept per session to detect reuse
+const maxRotatedHashes = 100;
+
+/**
+ * Hash a refresh token secret, only the hash is stored in database
+ */
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function signAccessToken(account, sessionId) {
+    return jwt.sign(
+        {
+            id: account._id.toString(),
+            role: account.role,
+            sid: sessionId.toString()
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRES_IN }
+    );
+}
+
+/**
+ * Create a new session for the account after a successful login.
+ * Returns the access token and the refresh token ("<sessionId>.<secret>").
+ */
+async function createSession(account, req) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    // Prepare new session object to insert into database
+    const newSession = {
+        accountId: account._id,
+        role: account.role,
+        refreshTokenHash: hashToken(secret),
+        rotatedRefreshTokenHashes: [], // Hashes of the refresh tokens already exchanged
+        userAgent: req.headers['user-agent'] || null,
+        ip: req.ip || null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + refreshTokenDays * 24 * 60 * 60 * 1000),
+        revokedAt: null
+    };
+
+    // Insert new session document into MongoDB
+    const result = await db.collection(collection).insertOne(newSession);
+
+    return {
+        token: signAccessToken(account, result.insertedId),
+        refreshToken: `${result.insertedId}.${secret}`
+    };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The refresh token is rotated on every use; presenting an already used
+ * refresh token revokes the whole session, a secret that never matched is only rejected.
+ * Returns null if the refresh token is invalid, expired or revoked.
+ */
+async function rotateSession(refreshToken, req) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Split refresh token into session id and secret
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!secret || !ObjectId.isValid(sessionId)) return null;
+
+    // Find the session that still usable
+    const session = await db.collection(collection).findOne({
+        _id: new ObjectId(sessionId),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    if (!session) return null;
+
+    if (session.refreshTokenHash !== hashToken(secret)) {
+        // Old refresh token reused, assume it was stolen and revoke the session
+        if ((session.rotatedRefreshTokenHashes || []).includes(hashToken(secret))) {
+            await revokeSession(session._id, "refresh_token_reused");
+        }
+        return null;
+    }
+
+    // Rotate the refresh token, the old hash in filter prevents double use
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    const result = await db.collection(collection).updateOne(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(newSecret),
+                lastUsedAt: new Date(),
+                userAgent: req.headers['user-agent'] || session.userAgent,
+                ip: req.ip || session.ip
+            },
+            $push: { rotatedRefreshTokenHashes: { $each: [session.refreshTokenHash], $slice: -maxRotatedHashes } }
+        }
+    );
+    if (result.matchedCount === 0) return null;
+
+    return {
+        session,
+        token: signAccessToken({ _id: session.accountId, role: session.role }, session._id),
+        refreshToken: `${session._id}.${newSecret}`
+    };
+}
+
+/**
+ * Check whether the session of an access token is still valid
+ */
+async function isSessionActive(sessionId, accountId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    if (!ObjectId.isValid(sessionId)) return false;
+
+    const session = await db.collection(collection).findOne({
+        _id: new ObjectId(sessionId),
+        accountId: new ObjectId(accountId),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+    return !!session;
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(sessionId, reason = "logout", accountId = null) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Restrict to the owner of session if account id provided
+    const filter = { _id: new ObjectId(sessionId), revokedAt: null };
+    if (accountId) filter.accountId = new ObjectId(accountId);
+
+    const result = await db.collection(collection).updateOne(
+        filter,
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.matchedCount > 0;
+}
+
+/**
+ * Revoke every active session of an account, optionally keeping one session
+ */
+async function revokeAllSessions(accountId, reason, exceptSessionId = null) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const filter = { accountId: new ObjectId(accountId), revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: new ObjectId(exceptSessionId) };
+
+    const result = await db.collection(collection).updateMany(
+        filter,
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount;
+}
+
+/**
+ * List the active sessions (devices) of an account
+ */
+async function listSessions(accountId) {
+    // Access to mongoDB
+    const db = getDB();
+
+    return db.collection(collection).find(
+        {
+            accountId: new ObjectId(accountId),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { projection: { refreshTokenHash: 0, rotatedRefreshTokenHashes: 0 } } // Ignore the token hashes for security
+    ).sort({ lastUsedAt: -1 }).toArray();
+}
+
+// Export functions
+module.exports = {
+    createSession,
+    rotateSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+};
@@ -0,0 +1,109 @@
+/**
+ * surgePricing.js
+ * Surge multiplier per geographic cell from live demand and supply.
+ * Demand is the open requested bookings picked up in the cell within the demand window,
+ * supply is the drivers whose last reported location in the cell is recent enough.
+ * The multiplier is capped and smoothed with the previous value of the cell in "surgeCells" collection.
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { RIDE_STATUS } = require('./constants');
+
+// Import modules for function
+const { onlineSince } = require('./driverLocation');
+
+// Surge settings (use environment variable)
+const surgeEnabled = process.env.SURGE_ENABLED !== "false";
+const cellSizeDeg = Number(process.env.SURGE_CELL_SIZE_DEG) || 0.02; // About 2.2 km at the equator
+const demandWindowMinutes = Number(process.env.SURGE_DEMAND_WINDOW_MINUTES) || 15;
+const minDemand = Number(process.env.SURGE_MIN_DEMAND) || 3; // No surge below this number of open bookings
+const sensitivity = Number(process.env.SURGE_SENSITIVITY) || 0.5; // Multiplier added per extra booking per driver
+const maxMultiplier = Number(process.env.SURGE_MAX_MULTIPLIER) || 2.5;
+const smoothing = Number(process.env.SURGE_SMOOTHING) || 0.5; // Weight of the new value, 1 disables smoothing
+const refreshSeconds = Number(process.env.SURGE_REFRESH_SECONDS) || 60;
+
+// Define collection
+const collection = "surgeCells";
+
+/**
+ * Cell of a [longitude, latitude] position: id and polygon of the cell
+ */
+function cellOf([lng, lat]) {
+    const row = Math.floor(lat / cellSizeDeg);
+    const column = Math.floor(lng / cellSizeDeg);
+
+    const south = row * cellSizeDeg;
+    const west = column * cellSizeDeg;
+    const north = south + cellSizeDeg;
+    const east = west + cellSizeDeg;
+
+    return {
+        cellId: `${row}:${column}`,
+        polygon: {
+            type: "Polygon",
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        }
+    };
+}
+
+/**
+ * Multiplier from demand and supply before smoothing, rounded to 0.1 and capped
+ */
+function rawMultiplier(demand, supply) {
+    if (demand < minDemand || demand <= supply) return 1;
+
+    const ratio = demand / Math.max(supply, 1);
+    const multiplier = 1 + sensitivity * (ratio - 1);
+    return Math.min(maxMultiplier, Math.round(multiplier * 10) / 10);
+}
+
+/**
+ * Return the surge multiplier of the cell of a pickup location.
+ * A cell is computed again at most once per refresh interval.
+ */
+async function getSurgeMultiplier(pickupLocation) {
+    if (!surgeEnabled) return 1;
+
+    // Access to mongoDB
+    const db = getDB();
+
+    const { cellId, polygon } = cellOf(pickupLocation.coordinates);
+    const now = Date.now();
+
+    // Use the value of the cell while it is fresh
+    const cell = await db.collection(collection).findOne({ cellId });
+    if (cell && now - cell.updatedAt.getTime() < refreshSeconds * 1000) return cell.multiplier;
+
+    const demand = await db.collection("bookings").countDocuments({
+        status: RIDE_STATUS.REQUESTED,
+        createdAt: { $gte: new Date(now - demandWindowMinutes * 60 * 1000) },
+        pickupLocation: { $geoWithin: { $geometry: polygon } }
+    });
+    const supply = await db.collection("drivers").countDocuments({
+        lastLocationAt: { $gte: onlineSince(now) },
+        lastLocation: { $geoWithin: { $geometry: polygon } }
+    });
+
+    // Exponential smoothing with the previous value so that the price does not jump between requests
+    const raw = rawMultiplier(demand, supply);
+    const previous = cell ? cell.multiplier : 1;
+    const multiplier = Math.min(maxMultiplier, Math.max(1, Math.round((smoothing * raw + (1 - smoothing) * previous) * 10) / 10));
+
+    await db.collection(collection).updateOne(
+        { cellId },
+        { $set: { cellId, multiplier, rawMultiplier: raw, demand, supply, updatedAt: new Date(now) } },
+        { upsert: true }
+    );
+
+    return multiplier;
+}
+
+// Export functions
+module.exports = {
+    cellOf,
+    rawMultiplier,
+    getSurgeMultiplier
+};
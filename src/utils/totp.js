@@ -0,0 +1,136 @@
+/**
+ * totp.js
+ * Time-based one-time password (RFC 6238, HMAC-SHA1, 6 digits, 30 seconds)
+ */
+
+// Import module for HMAC and random secret
+const crypto = require('crypto');
+
+// TOTP parameters, the defaults of authenticator apps
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+// RFC 4648 base32 alphabet
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode a buffer to base32 without padding
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+}
+
+/**
+ * Decode a base32 string (padding and spaces ignored) to a buffer
+ */
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random base32 secret (160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth URI to be shown as QR code by the client
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate the code of a time step (HOTP with counter = time step)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Return the current time step
+ */
+function currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Verify a code within +/- window time steps.
+ * Steps not after lastUsedStep are rejected so that a code cannot be replayed.
+ * Returns the matched time step or null.
+ */
+function verifyCode(secret, code, { window = 1, lastUsedStep = -1, time = Date.now() } = {}) {
+    const input = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(input) || input.length !== DIGITS) return null;
+
+    const now = currentStep(time);
+    for (let step = now - window; step <= now + window; step++) {
+        if (step <= lastUsedStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(input))) return step;
+    }
+
+    return null;
+}
+
+// Export functions
+module.exports = {
+    generateSecret,
+    buildOtpauthUri,
+    generateCode,
+    currentStep,
+    verifyCode
+};
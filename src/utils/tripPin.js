@@ -0,0 +1,78 @@
+/**
+ * tripPin.js
+ * Trip PIN proving that the right passenger got in. A random 4-digit PIN is generated when a booking
+ * is accepted and shown to the user only, the driver enters it to start the ride.
+ * Wrong PINs are counted on the ride, and the ride is locked for a while after too many.
+ */
+
+// Import modules for PIN
+const crypto = require('crypto');
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { ERROR_CODES } = require('./constants');
+
+// Import module for error types
+const { BadRequestError, TooManyRequestsError } = require('./errors');
+
+// PIN settings (use environment variable)
+const maxAttempts = Number(process.env.TRIP_PIN_MAX_ATTEMPTS) || 5;
+const lockMinutes = Number(process.env.TRIP_PIN_LOCK_MINUTES) || 15;
+
+/**
+ * Random 4-digit PIN, leading zeros kept
+ */
+function generateTripPin() {
+    return String(crypto.randomInt(0, 10000)).padStart(4, "0");
+}
+
+/**
+ * Check the PIN entered by the driver against the PIN of the ride.
+ * Throws TRIP_PIN_LOCKED while the ride is locked, INVALID_TRIP_PIN with the attempts left for a wrong PIN.
+ * A ride accepted before trip PINs has no PIN and needs none.
+ */
+async function verifyTripPin(ride, tripPin) {
+    if (!ride.tripPin) return;
+
+    // Access to mongoDB
+    const db = getDB();
+
+    const now = new Date();
+    if (ride.tripPinLockedUntil && ride.tripPinLockedUntil > now) {
+        const retryAfter = Math.ceil((ride.tripPinLockedUntil - now) / 1000);
+        throw new TooManyRequestsError("Too many wrong trip PINs. Try again later.", ERROR_CODES.TRIP_PIN_LOCKED, retryAfter);
+    }
+
+    // Constant time comparison of the PIN
+    const expected = Buffer.from(ride.tripPin);
+    const given = Buffer.from(String(tripPin || ""));
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+        await db.collection("rides").updateOne({ _id: ride._id }, { $set: { tripPinAttempts: 0, tripPinLockedUntil: null } });
+        return;
+    }
+
+    // Count the wrong PIN atomically so that parallel guesses are counted too, the count restarts after a lock
+    const counted = await db.collection("rides").findOneAndUpdate(
+        { _id: ride._id },
+        { $inc: { tripPinAttempts: 1 } },
+        { returnDocument: 'after', projection: { tripPinAttempts: 1 } }
+    );
+    const attempts = counted.tripPinAttempts;
+    if (attempts >= maxAttempts) {
+        await db.collection("rides").updateOne(
+            { _id: ride._id },
+            { $set: { tripPinAttempts: 0, tripPinLockedUntil: new Date(now.getTime() + lockMinutes * 60 * 1000) } }
+        );
+        throw new TooManyRequestsError("Too many wrong trip PINs. Try again later.", ERROR_CODES.TRIP_PIN_LOCKED, lockMinutes * 60);
+    }
+
+    throw new BadRequestError("Wrong trip PIN.", ERROR_CODES.INVALID_TRIP_PIN, { attemptsLeft: maxAttempts - attempts });
+}
+
+// Export functions
+module.exports = {
+    generateTripPin,
+    verifyTripPin
+};
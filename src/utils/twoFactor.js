@@ -0,0 +1,132 @@
+/**
+ * twoFactor.js
+ * Two-factor authentication (TOTP and recovery codes) of an account
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import modules for token and recovery code
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Import module for constants
+const { ROLES } = require('./constants');
+
+// Import modules for function
+const accountCollection = require('./accountCollection');
+const { verifyCode } = require('./totp');
+
+// Two-factor settings (use environment variable)
+const challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m";
+const recoveryCodeCount = 10;
+
+/**
+ * Check whether the policy makes two-factor authentication mandatory for the role
+ */
+function isTwoFactorMandatory(role) {
+    return role === ROLES.ADMIN && process.env.ADMIN_2FA_REQUIRED === "true";
+}
+
+/**
+ * Check whether the account has two-factor authentication enabled
+ */
+function isTwoFactorEnabled(account) {
+    return !!(account && account.twoFactor && account.twoFactor.enabled);
+}
+
+/**
+ * Sign a short-lived challenge token for the second login step
+ */
+function signChallengeToken(account) {
+    return jwt.sign(
+        {
+            id: account._id.toString(),
+            role: account.role,
+            purpose: "2fa_login"
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: challengeExpiresIn }
+    );
+}
+
+/**
+ * Verify a challenge token, returns the decoded payload or null
+ */
+function verifyChallengeToken(token) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === "2fa_login" ? decoded : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Hash a recovery code, only the hash is stored in database
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Generate a new set of recovery codes.
+ * Returns the plain codes (shown once) and their hashes (stored).
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: recoveryCodeCount }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Verify a TOTP code or a recovery code of the account.
+ * The used TOTP step or recovery code is burnt so that it cannot be reused.
+ * Returns "totp", "recovery" or null.
+ */
+async function verifySecondFactor(account, { code, recoveryCode }) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(account.role);
+
+    if (!isTwoFactorEnabled(account)) return null;
+    const { secret, lastUsedStep = -1 } = account.twoFactor;
+
+    if (code) {
+        const step = verifyCode(secret, code, { lastUsedStep });
+        if (step === null) return null;
+
+        // Remember the step, the filter prevents concurrent reuse
+        const result = await db.collection(collection).updateOne(
+            { _id: account._id, "twoFactor.lastUsedStep": account.twoFactor.lastUsedStep },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        );
+        return result.modifiedCount === 1 ? "totp" : null;
+    }
+
+    if (recoveryCode) {
+        // Remove the recovery code once used
+        const result = await db.collection(collection).updateOne(
+            { _id: account._id, "twoFactor.recoveryCodeHashes": hashRecoveryCode(recoveryCode) },
+            { $pull: { "twoFactor.recoveryCodeHashes": hashRecoveryCode(recoveryCode) } }
+        );
+        return result.modifiedCount === 1 ? "recovery" : null;
+    }
+
+    return null;
+}
+
+// Export functions
+module.exports = {
+    isTwoFactorMandatory,
+    isTwoFactorEnabled,
+    signChallengeToken,
+    verifyChallengeToken,
+    generateRecoveryCodes,
+    verifySecondFactor
+};
@@ -0,0 +1,134 @@
+/**
+ * verification.js
+ * Email and phone verification of newly registered accounts
+ */
+
+// Import module to access mongoDB
+const { getDB } = require('../db');
+
+// Import module for constants
+const { ACCOUNT_STATUS, MESSAGE_CHANNEL } = require('./constants');
+
+// Import modules for function
+const accountCollection = require('./accountCollection');
+const { createCode, consumeCode } = require('./oneTimeCode');
+const { sendMessage } = require('./messageSender');
+
+// Verification settings (use environment variable)
+const codeMinutes = Number(process.env.VERIFICATION_EXPIRES_IN_MINUTES) || 30;
+const resendSeconds = Number(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS) || 60;
+const maxSendsPerHour = Number(process.env.VERIFICATION_MAX_SENDS_PER_HOUR) || 5;
+
+// Channels to verify and the account field that holds the address
+const VERIFY_CHANNELS = {
+    email: { channel: MESSAGE_CHANNEL.EMAIL, field: "email", verifiedField: "emailVerifiedAt" },
+    phone: { channel: MESSAGE_CHANNEL.SMS, field: "phone", verifiedField: "phoneVerifiedAt" }
+};
+
+/**
+ * Send a verification code of the channel ("email" or "phone") to the account.
+ * Returns { sent: true } or { sent: false, retryAfter } when throttled.
+ */
+async function sendVerificationCode(account, type) {
+    // Access to mongoDB
+    const db = getDB();
+
+    const { channel, field } = VERIFY_CHANNELS[type];
+    const now = Date.now();
+
+    // Codes sent within the last hour, the latest first
+    const recentCodes = await db.collection("oneTimeCodes").find(
+        {
+            accountId: account._id,
+            role: account.role,
+            purpose: "verification",
+            channel: type,
+            createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+        },
+        { projection: { createdAt: 1 } }
+    ).sort({ createdAt: -1 }).toArray();
+
+    // Throttle resend by interval and hourly limit
+    if (recentCodes.length > 0) {
+        const nextByInterval = recentCodes[0].createdAt.getTime() + resendSeconds * 1000;
+        const nextByLimit = recentCodes.length >= maxSendsPerHour
+            ? recentCodes[maxSendsPerHour - 1].createdAt.getTime() + 60 * 60 * 1000
+            : 0;
+        const nextAllowed = Math.max(nextByInterval, nextByLimit);
+
+        if (nextAllowed > now) {
+            return { sent: false, retryAfter: Math.ceil((nextAllowed - now) / 1000) };
+        }
+    }
+
+    const code = await createCode({
+        accountId: account._id,
+        role: account.role,
+        purpose: "verification",
+        channel: type,
+        ttlMinutes: codeMinutes
+    });
+
+    await sendMessage({
+        channel,
+        to: account[field],
+        subject: "Verification code",
+        body: `Your verification code is ${code}. It expires in ${codeMinutes} minutes.`,
+        meta: { purpose: "verification", role: account.role, accountId: account._id, type }
+    });
+
+    return { sent: true };
+}
+
+/**
+ * Verify the channel ("email" or "phone") of the account with a code.
+ * The account becomes active once both email and phone are verified.
+ * Returns the updated verification state or null if the code is invalid.
+ */
+async function verifyAccount(account, type, code) {
+    // Access to mongoDB
+    const db = getDB();
+
+    // Define collection according to role
+    const collection = accountCollection(account.role);
+
+    const isValid = await consumeCode({
+        accountId: account._id,
+        role: account.role,
+        purpose: "verification",
+        channel: type,
+        code
+    });
+    if (!isValid) return null;
+
+    // Mark the channel as verified
+    const { verifiedField } = VERIFY_CHANNELS[type];
+    const updated = await db.collection(collection).findOneAndUpdate(
+        { _id: account._id },
+        { $set: { [verifiedField]: new Date() } },
+        { returnDocument: 'after' }
+    );
+
+    // Activate the account after every channel verified
+    const isFullyVerified = Object.values(VERIFY_CHANNELS).every(({ verifiedField }) => updated[verifiedField]);
+    if (isFullyVerified && updated.status === ACCOUNT_STATUS.PENDING_VERIFICATION) {
+        await db.collection(collection).updateOne(
+            { _id: account._id, status: ACCOUNT_STATUS.PENDING_VERIFICATION },
+            { $set: { status: ACCOUNT_STATUS.ACTIVE, verifiedAt: new Date() } }
+        );
+        updated.status = ACCOUNT_STATUS.ACTIVE;
+    }
+
+    return {
+        status: updated.status,
+        emailVerified: !!updated.emailVerifiedAt,
+        phoneVerified: !!updated.phoneVerifiedAt
+    };
+}
+
+// Export functions
+module.exports = {
+    VERIFY_CHANNELS,
+    sendVerificationCode,
+    verifyAccount
+};
@@ -0,0 +1,50 @@
+/**
+ * waitingTime.js
+ * Waiting of the driver at the pickup after arrival.
+ * The first minutes are free, then a per-minute waiting fee accrues into the fare.
+ * After the no-show limit the driver can mark the passenger as no-show, which charges the no-show fee.
+ */
+
+// Waiting settings (use environment variable)
+const freeWaitingMinutes = Number(process.env.WAITING_FREE_MINUTES) || 5;
+const waitingFeePerMinute = Number(process.env.WAITING_FEE_PER_MINUTE) || 0.3; // RM
+const noShowMinutes = Number(process.env.NO_SHOW_MINUTES) || 10;
+const noShowFee = Number(process.env.NO_SHOW_FEE) || 5; // RM
+
+/**
+ * Waiting charge from the arrival to the start of the ride.
+ * Returns { waitingMinutes, waitingFee }, whole minutes only are charged.
+ */
+function waitingCharge(arrivedAt, startedAt = new Date()) {
+    if (!arrivedAt) return { waitingMinutes: 0, waitingFee: 0 };
+
+    const waitingMinutes = Math.max(0, Math.floor((startedAt - arrivedAt) / 60000));
+    const chargeableMinutes = Math.max(0, waitingMinutes - freeWaitingMinutes);
+
+    return {
+        waitingMinutes,
+        waitingFee: Math.round(chargeableMinutes * waitingFeePerMinute * 100) / 100
+    };
+}
+
+/**
+ * End of the free waiting window of a driver who arrived
+ */
+function freeWaitingUntil(arrivedAt) {
+    return new Date(arrivedAt.getTime() + freeWaitingMinutes * 60 * 1000);
+}
+
+/**
+ * Time from which the driver can mark the passenger as no-show
+ */
+function noShowAllowedAt(arrivedAt) {
+    return new Date(arrivedAt.getTime() + noShowMinutes * 60 * 1000);
+}
+
+// Export functions
+module.exports = {
+    noShowFee,
+    waitingCharge,
+    freeWaitingUntil,
+    noShowAllowedAt
+};
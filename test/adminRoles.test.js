@@ -0,0 +1,59 @@
+/**
+ * adminRoles.test.js
+ * Seeding of the built-in admin roles on start
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { skipWithoutMongo, setupTestDB, teardownTestDB } = require('./helpers/mongo');
+
+describe("built-in admin roles seeding", { skip: skipWithoutMongo }, () => {
+    let db;
+    let adminRoles;
+    let ADMIN_ROLES;
+    let PERMISSIONS;
+
+    before(async () => {
+        await setupTestDB("admin_roles");
+        db = require('../src/db').getDB();
+        adminRoles = require('../src/utils/adminRoles');
+        ({ ADMIN_ROLES, PERMISSIONS } = require('../src/utils/constants'));
+        await adminRoles.seedAdminRoles();
+    });
+
+    after(async () => {
+        await teardownTestDB();
+    });
+
+    async function permissionsOf(name) {
+        return (await db.collection("adminRoles").findOne({ name })).permissions;
+    }
+
+    it("seeds the default permissions of every built-in role", async () => {
+        for (const [name, permissions] of Object.entries(adminRoles.DEFAULT_ROLE_PERMISSIONS)) {
+            assert.deepStrictEqual(await permissionsOf(name), permissions);
+        }
+    });
+
+    it("keeps a permission removed by an admin after restart", async () => {
+        await db.collection("adminRoles").updateOne(
+            { name: ADMIN_ROLES.OPS },
+            { $pull: { permissions: PERMISSIONS.AUDIT_READ } }
+        );
+
+        await adminRoles.seedAdminRoles();
+        assert.ok(!(await permissionsOf(ADMIN_ROLES.OPS)).includes(PERMISSIONS.AUDIT_READ));
+    });
+
+    it("grants a default added in a new version to an existing role", async () => {
+        // The role was seeded by a version without the permission
+        await db.collection("adminRoles").updateOne(
+            { name: ADMIN_ROLES.FINANCE },
+            { $pull: { permissions: PERMISSIONS.TARIFFS_MANAGE, seededPermissions: PERMISSIONS.TARIFFS_MANAGE } }
+        );
+
+        await adminRoles.seedAdminRoles();
+        assert.ok((await permissionsOf(ADMIN_ROLES.FINANCE)).includes(PERMISSIONS.TARIFFS_MANAGE));
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * bookingAcceptance.test.js
+ * Two drivers accepting the same booking at the same moment (needs a replica set for transactions)
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { skipWithoutMongo, setupTestDB, teardownTestDB } = require('./helpers/mongo');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+describe("concurrent booking acceptance", { skip: skipWithoutMongo }, () => {
+    let db;
+    let client;
+    let driversController;
+    let ERROR_CODES;
+    let RIDE_STATUS;
+    let ROLES;
+    let VEHICLE_STATUS;
+
+    before(async () => {
+        await setupTestDB("booking_acceptance");
+        db = require('../src/db').getDB();
+        client = require('../src/db').getClient();
+        driversController = require('../src/controller/driversController');
+        ({ ERROR_CODES, RIDE_STATUS, ROLES, VEHICLE_STATUS } = require('../src/utils/constants'));
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await teardownTestDB();
+    });
+
+    // Driver with an active vehicle
+    async function createDriver() {
+        const driverId = new ObjectId();
+        await db.collection("vehicles").insertOne({ driverId, vehicleType: "car", status: VEHICLE_STATUS.ACTIVE });
+        return driverId;
+    }
+
+    // Hold every accept at the start of its transaction until both accepts got there,
+    // so that both pass the checks on the requested booking before either claims it
+    function holdTransactionsUntil(count) {
+        let arrived = 0;
+        let release;
+        const barrier = new Promise(resolve => { release = resolve; });
+
+        const startSession = client.startSession.bind(client);
+        mock.method(client, "startSession", (...args) => {
+            const session = startSession(...args);
+            const withTransaction = session.withTransaction.bind(session);
+            session.withTransaction = async (...txArgs) => {
+                if (++arrived === count) release();
+                await barrier;
+                return withTransaction(...txArgs);
+            };
+            return session;
+        });
+    }
+
+    it("lets exactly one driver accept, the other gets BOOKING_ALREADY_ACCEPTED", async () => {
+        const bookingId = new ObjectId();
+        await db.collection("bookings").insertOne({
+            _id: bookingId,
+            userId: new ObjectId(),
+            pickupLocation: { type: "Point", coordinates: [102.2501, 2.1896] },
+            dropoffLocation: { type: "Point", coordinates: [102.3210, 2.2310] },
+            estimatedDistance: 10,
+            estimatedDuration: 20,
+            estimatedFare: 15,
+            tariffId: new ObjectId(),
+            tariffVersion: 1,
+            pricedVehicleType: "car",
+            requestedVehicleType: "car",
+            status: RIDE_STATUS.REQUESTED,
+            statusHistory: [],
+            createdAt: new Date()
+        });
+        const driverIds = [await createDriver(), await createDriver()];
+
+        holdTransactionsUntil(2);
+        const results = await Promise.allSettled(driverIds.map(driverId => driversController.acceptBooking(
+            mockRequest({ params: { id: String(bookingId) }, auth: { id: String(driverId), role: ROLES.DRIVER } }),
+            mockResponse()
+        )));
+
+        const accepted = results.filter(result => result.status === "fulfilled");
+        const rejected = results.filter(result => result.status === "rejected");
+        assert.strictEqual(accepted.length, 1);
+        assert.strictEqual(rejected.length, 1);
+        assert.strictEqual(rejected[0].reason.status, 409);
+        assert.strictEqual(rejected[0].reason.code, ERROR_CODES.BOOKING_ALREADY_ACCEPTED);
+
+        const rides = await db.collection("rides").find({ bookingId }).toArray();
+        assert.strictEqual(rides.length, 1);
+        assert.strictEqual(await db.collection("payments").countDocuments({ rideId: rides[0]._id }), 1);
+        assert.strictEqual(await db.collection("payments").countDocuments({}), 1);
+
+        const booking = await db.collection("bookings").findOne({ _id: bookingId });
+        assert.strictEqual(booking.status, RIDE_STATUS.ACCEPTED);
+        assert.strictEqual(booking.statusHistory.length, 1);
+        assert.ok(booking.statusHistory[0].actorId.equals(rides[0].driverId));
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * http.js
+ * Minimal request and response objects to call controllers directly
+ */
+
+/**
+ * Request with the given body, params, query and auth
+ */
+function mockRequest({ body = {}, params = {}, query = {}, auth = null, ip = "127.0.0.1" } = {}) {
+    return { body, params, query, auth, ip, headers: {} };
+}
+
+/**
+ * Response recording the status code and JSON body
+ */
+function mockResponse() {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+}
+
+// Export functions
+module.exports = {
+    mockRequest,
+    mockResponse
+};
@@ -0,0 +1,40 @@
+/**
+ * mongo.js
+ * Test database on the MongoDB of MONGO_TEST_URI (a replica set, transactions are used).
+ * Every test file gets its own database, dropped after the tests.
+ * Tests that need the database are skipped when MONGO_TEST_URI is not set.
+ */
+
+// Skip reason of the database tests, false when the database is available
+const skipWithoutMongo = process.env.MONGO_TEST_URI ? false : "MONGO_TEST_URI is not set";
+
+/**
+ * Connect the app to a new test database
+ */
+async function setupTestDB(name) {
+    process.env.MONGO_URI = process.env.MONGO_TEST_URI;
+    process.env.DB_NAME = `test_${name}_${process.pid}_${Date.now()}`;
+
+    // Tokens are signed with a test secret unless configured
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+
+    const { connectToMongoDB } = require('../../src/db');
+    await connectToMongoDB();
+}
+
+/**
+ * Drop the test database and close the connection
+ */
+async function teardownTestDB() {
+    const { getDB, getClient } = require('../../src/db');
+    await getDB().dropDatabase();
+    await getClient().close();
+}
+
+// Export functions
+module.exports = {
+    skipWithoutMongo,
+    setupTestDB,
+    teardownTestDB
+};
@@ -0,0 +1,94 @@
+/**
+ * rerequestBooking.test.js
+ * Requesting again a cancelled or expired booking
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { skipWithoutMongo, setupTestDB, teardownTestDB } = require('./helpers/mongo');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+describe("booking re-request", { skip: skipWithoutMongo }, () => {
+    let db;
+    let usersController;
+    let ERROR_CODES;
+    let RIDE_STATUS;
+    let ROLES;
+    let VEHICLE_TYPE;
+
+    before(async () => {
+        await setupTestDB("rerequest_booking");
+        db = require('../src/db').getDB();
+        usersController = require('../src/controller/usersController');
+        ({ ERROR_CODES, RIDE_STATUS, ROLES, VEHICLE_TYPE } = require('../src/utils/constants'));
+        await require('../src/utils/fareEngine').seedTariffs();
+    });
+
+    after(async () => {
+        await teardownTestDB();
+    });
+
+    // Cancelled booking of a user
+    async function cancelledBooking(fields = {}) {
+        const booking = {
+            _id: new ObjectId(),
+            userId: new ObjectId(),
+            pickupLocation: { type: "Point", coordinates: [102.2501, 2.1896] },
+            pickupAddress: "Melaka Sentral",
+            dropoffLocation: { type: "Point", coordinates: [102.3210, 2.2310] },
+            dropoffAddress: "UTeM",
+            requestedVehicleType: VEHICLE_TYPE.CAR_4P,
+            status: RIDE_STATUS.CANCELLED,
+            statusHistory: [],
+            createdAt: new Date(),
+            ...fields
+        };
+        await db.collection("bookings").insertOne(booking);
+        return booking;
+    }
+
+    function rerequest(booking) {
+        const res = mockResponse();
+        return usersController.rerequestBooking(mockRequest({
+            params: { id: String(booking._id) },
+            auth: { id: String(booking.userId), role: ROLES.USER }
+        }), res).then(() => res);
+    }
+
+    it("creates a new requested booking linked to the old one", async () => {
+        const booking = await cancelledBooking();
+
+        const res = await rerequest(booking);
+        assert.strictEqual(res.statusCode, 201);
+
+        const newBooking = await db.collection("bookings").findOne({ _id: res.body.bookingId });
+        assert.strictEqual(newBooking.status, RIDE_STATUS.REQUESTED);
+        assert.ok(newBooking.rerequestedFrom.equals(booking._id));
+        assert.ok((await db.collection("bookings").findOne({ _id: booking._id })).rerequestedAs.equals(newBooking._id));
+    });
+
+    it("rejects a second re-request of the same booking", async () => {
+        const booking = await cancelledBooking();
+        await rerequest(booking);
+
+        await assert.rejects(rerequest(booking), { status: 409, code: ERROR_CODES.BOOKING_NOT_REREQUESTABLE });
+        assert.strictEqual(await db.collection("bookings").countDocuments({ rerequestedFrom: booking._id }), 1);
+    });
+
+    it("creates one booking only for parallel re-requests", async () => {
+        const booking = await cancelledBooking({ status: RIDE_STATUS.EXPIRED });
+
+        const results = await Promise.allSettled([rerequest(booking), rerequest(booking)]);
+        assert.strictEqual(results.filter(result => result.status === "fulfilled").length, 1);
+        assert.strictEqual(results.find(result => result.status === "rejected").reason.code, ERROR_CODES.BOOKING_NOT_REREQUESTABLE);
+        assert.strictEqual(await db.collection("bookings").countDocuments({ rerequestedFrom: booking._id }), 1);
+    });
+
+    it("rejects a legacy booking without coordinates", async () => {
+        const booking = await cancelledBooking({ pickupLocation: undefined, dropoffLocation: undefined });
+
+        await assert.rejects(rerequest(booking), { status: 409, code: ERROR_CODES.BOOKING_NOT_REREQUESTABLE });
+    });
+});
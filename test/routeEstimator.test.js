@@ -0,0 +1,104 @@
+/**
+ * routeEstimator.test.js
+ * OSRM provider against a stub routing server, and the fallback to haversine
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+// Pickup and dropoff in Melaka
+const from = { type: "Point", coordinates: [102.2501, 2.1896] };
+const to = { type: "Point", coordinates: [102.3210, 2.2310] };
+
+describe("routeEstimator", () => {
+    let server;
+    let requests;
+    let respond;
+    let estimateRoute;
+    let haversineEstimate;
+
+    before(async () => {
+        // Stub OSRM server, each test sets how it responds
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            respond(req, res);
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+        // OSRM settings are read when the module is loaded
+        process.env.OSRM_URL = `http://127.0.0.1:${server.address().port}/`;
+        process.env.OSRM_PROFILE = "driving";
+        process.env.OSRM_TIMEOUT_MS = "200";
+        ({ estimateRoute } = require('../src/utils/routeEstimator'));
+
+        process.env.DISTANCE_PROVIDER = "haversine";
+        haversineEstimate = await estimateRoute(from, to);
+    });
+
+    after(async () => {
+        delete process.env.DISTANCE_PROVIDER;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        process.env.DISTANCE_PROVIDER = "osrm";
+        mock.restoreAll();
+        mock.method(console, "error", () => {});
+    });
+
+    // Respond with a JSON body
+    function json(status, body) {
+        return (req, res) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+    }
+
+    it("uses the road distance and duration of the first OSRM route", async () => {
+        respond = json(200, { code: "Ok", routes: [{ distance: 12345, duration: 1234 }] });
+
+        const estimate = await estimateRoute(from, to);
+
+        assert.deepStrictEqual(estimate, { distanceKm: 12.35, durationMinutes: 21, provider: "osrm" });
+        assert.deepStrictEqual(requests, [
+            "/route/v1/driving/102.2501,2.1896;102.321,2.231?overview=false"
+        ]);
+    });
+
+    it("falls back to haversine when OSRM finds no route", async () => {
+        respond = json(200, { code: "NoRoute", routes: [] });
+
+        assert.deepStrictEqual(await estimateRoute(from, to), haversineEstimate);
+        assert.strictEqual(requests.length, 1);
+    });
+
+    it("falls back to haversine when OSRM responds with an error status", async () => {
+        respond = json(400, { code: "InvalidQuery", message: "Query string malformed" });
+
+        assert.deepStrictEqual(await estimateRoute(from, to), haversineEstimate);
+    });
+
+    it("falls back to haversine when OSRM does not respond in time", async () => {
+        respond = () => {}; // Never respond
+
+        const startedAt = Date.now();
+        assert.deepStrictEqual(await estimateRoute(from, to), haversineEstimate);
+        assert.ok(Date.now() - startedAt < 2000, "the request is aborted after OSRM_TIMEOUT_MS");
+        assert.strictEqual(console.error.mock.callCount(), 1);
+    });
+
+    it("selects the provider with DISTANCE_PROVIDER", async () => {
+        respond = json(200, { code: "Ok", routes: [{ distance: 12345, duration: 1234 }] });
+
+        process.env.DISTANCE_PROVIDER = "haversine";
+        const estimate = await estimateRoute(from, to);
+        assert.strictEqual(estimate.provider, "haversine");
+        assert.strictEqual(requests.length, 0);
+
+        process.env.DISTANCE_PROVIDER = "unknown";
+        await assert.rejects(estimateRoute(from, to), /Distance provider "unknown" is not registered/);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * sessions.test.js
+ * Refresh token rotation and reuse detection
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { skipWithoutMongo, setupTestDB, teardownTestDB } = require('./helpers/mongo');
+const { mockRequest } = require('./helpers/http');
+
+describe("refresh token rotation", { skip: skipWithoutMongo }, () => {
+    let sessions;
+
+    before(async () => {
+        await setupTestDB("sessions");
+        sessions = require('../src/utils/sessions');
+    });
+
+    after(async () => {
+        await teardownTestDB();
+    });
+
+    // Login session of a new account
+    async function login() {
+        const account = { _id: new ObjectId(), role: "user" };
+        const { refreshToken } = await sessions.createSession(account, mockRequest());
+        return { account, refreshToken };
+    }
+
+    it("rotates the refresh token on every use", async () => {
+        const { account, refreshToken } = await login();
+
+        const rotated = await sessions.rotateSession(refreshToken, mockRequest());
+        assert.ok(rotated);
+        assert.notStrictEqual(rotated.refreshToken, refreshToken);
+        assert.ok(await sessions.rotateSession(rotated.refreshToken, mockRequest()));
+        assert.strictEqual((await sessions.listSessions(account._id)).length, 1);
+    });
+
+    it("rejects a secret that never matched and keeps the session", async () => {
+        const { account, refreshToken } = await login();
+        const [sessionId] = refreshToken.split('.');
+
+        assert.strictEqual(await sessions.rotateSession(`${sessionId}.guessed`, mockRequest()), null);
+        assert.strictEqual((await sessions.listSessions(account._id)).length, 1);
+        assert.ok(await sessions.rotateSession(refreshToken, mockRequest()));
+    });
+
+    it("revokes the session when a rotated refresh token is reused", async () => {
+        const { account, refreshToken } = await login();
+        const rotated = await sessions.rotateSession(refreshToken, mockRequest());
+
+        assert.strictEqual(await sessions.rotateSession(refreshToken, mockRequest()), null);
+        assert.strictEqual((await sessions.listSessions(account._id)).length, 0);
+        assert.strictEqual(await sessions.rotateSession(rotated.refreshToken, mockRequest()), null);
+    });
+});
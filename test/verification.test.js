@@ -0,0 +1,154 @@
+/**
+ * verification.test.js
+ * Signup verification and password reset through the outbox message sender
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { skipWithoutMongo, setupTestDB, teardownTestDB } = require('./helpers/mongo');
+const { mockRequest, mockResponse } = require('./helpers/http');
+
+// Deliver messages to the outbox collection
+process.env.MESSAGE_SENDER = "outbox";
+
+describe("signup verification and password reset", { skip: skipWithoutMongo }, () => {
+    let db;
+    let usersController;
+    let authController;
+    let ROLES;
+    let ACCOUNT_STATUS;
+    let ERROR_CODES;
+
+    before(async () => {
+        await setupTestDB("verification");
+        db = require('../src/db').getDB();
+        usersController = require('../src/controller/usersController');
+        authController = require('../src/controller/authController');
+        ({ ROLES, ACCOUNT_STATUS, ERROR_CODES } = require('../src/utils/constants'));
+    });
+
+    after(async () => {
+        await teardownTestDB();
+    });
+
+    // Register a user, the verification codes go to the outbox
+    async function register(email, phone = "0123456789") {
+        const res = mockResponse();
+        await usersController.userRegistration(mockRequest({
+            body: { username: "tester", phone, email, password: "Passw0rd!", preferPay: "cash" }
+        }), res);
+        assert.strictEqual(res.statusCode, 201);
+        return res.body.id;
+    }
+
+    // Latest code sent to an address for a purpose
+    async function latestCode(to, purpose) {
+        const [message] = await db.collection("outbox")
+            .find({ to, "meta.purpose": purpose })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(1)
+            .toArray();
+        assert.ok(message, `no ${purpose} message sent to ${to}`);
+        return message.body.match(/\b(\d{6})\b/)[1];
+    }
+
+    async function verify(email, channel, code) {
+        const res = mockResponse();
+        await authController.verifyContact(ROLES.USER)(mockRequest({ body: { email, channel, code } }), res);
+        return res;
+    }
+
+    async function resetPassword(email, code, newPassword = "N3wPassw0rd!") {
+        const res = mockResponse();
+        await authController.resetPassword(ROLES.USER)(mockRequest({ body: { email, code, newPassword } }), res);
+        return res;
+    }
+
+    it("sends email and sms codes on signup and activates the account once both are verified", async () => {
+        const email = "signup@example.com";
+        const id = await register(email, "0111111111");
+
+        const messages = await db.collection("outbox").find({ "meta.accountId": id }).toArray();
+        assert.deepStrictEqual(messages.map(message => message.channel).sort(), ["email", "sms"]);
+
+        const emailRes = await verify(email, "email", await latestCode(email, "verification"));
+        assert.strictEqual(emailRes.body.emailVerified, true);
+        assert.strictEqual(emailRes.body.status, ACCOUNT_STATUS.PENDING_VERIFICATION);
+
+        const phoneRes = await verify(email, "phone", await latestCode("0111111111", "verification"));
+        assert.strictEqual(phoneRes.body.phoneVerified, true);
+        assert.strictEqual(phoneRes.body.status, ACCOUNT_STATUS.ACTIVE);
+    });
+
+    it("accepts a verification code only once", async () => {
+        const email = "single-use@example.com";
+        await register(email);
+        const code = await latestCode(email, "verification");
+
+        await verify(email, "email", code);
+        await assert.rejects(verify(email, "email", code), { code: ERROR_CODES.INVALID_VERIFICATION_CODE });
+    });
+
+    it("rejects an expired verification code", async () => {
+        const email = "expired@example.com";
+        const id = await register(email);
+        const code = await latestCode(email, "verification");
+
+        await db.collection("oneTimeCodes").updateMany(
+            { accountId: id, purpose: "verification" },
+            { $set: { expiresAt: new Date(Date.now() - 1000) } }
+        );
+        await assert.rejects(verify(email, "email", code), { code: ERROR_CODES.INVALID_VERIFICATION_CODE });
+    });
+
+    it("resets the password with the emailed code only once", async () => {
+        const email = "reset@example.com";
+        await register(email);
+
+        const forgotRes = mockResponse();
+        await authController.forgotPassword(ROLES.USER)(mockRequest({ body: { email } }), forgotRes);
+        assert.strictEqual(forgotRes.statusCode, 200);
+        const code = await latestCode(email, "password_reset");
+
+        const res = await resetPassword(email, code);
+        assert.strictEqual(res.statusCode, 200);
+        await assert.rejects(resetPassword(email, code), { code: ERROR_CODES.INVALID_RESET_CODE });
+    });
+
+    it("rejects an expired reset code", async () => {
+        const email = "reset-expired@example.com";
+        const id = await register(email);
+
+        await authController.forgotPassword(ROLES.USER)(mockRequest({ body: { email } }), mockResponse());
+        const code = await latestCode(email, "password_reset");
+
+        await db.collection("oneTimeCodes").updateMany(
+            { accountId: id, purpose: "password_reset" },
+            { $set: { expiresAt: new Date(Date.now() - 1000) } }
+        );
+        await assert.rejects(resetPassword(email, code), { code: ERROR_CODES.INVALID_RESET_CODE });
+    });
+
+    it("burns a code after the maximum wrong attempts, parallel guesses included", async () => {
+        const { createCode, consumeCode } = require('../src/utils/oneTimeCode');
+        const target = { accountId: await register("guessing@example.com"), role: ROLES.USER, purpose: "password_reset" };
+        const code = await createCode(target);
+        const wrongCode = code === "000000" ? "000001" : "000000";
+
+        const guesses = await Promise.all(Array.from({ length: 10 }, () => consumeCode({ ...target, code: wrongCode })));
+        assert.ok(guesses.every(valid => valid === false));
+
+        const record = await db.collection("oneTimeCodes").findOne({ accountId: target.accountId, purpose: "password_reset" });
+        assert.strictEqual(record.attempts, 5);
+        assert.strictEqual(await consumeCode({ ...target, code }), false);
+    });
+
+    it("sends no reset code to an unregistered email", async () => {
+        const res = mockResponse();
+        await authController.forgotPassword(ROLES.USER)(mockRequest({ body: { email: "nobody@example.com" } }), res);
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(await db.collection("outbox").countDocuments({ to: "nobody@example.com" }), 0);
+    });
+});